@@ -0,0 +1,55 @@
+/*
+  Delete the on-disk cache of token and transaction data kept next to the
+  wallet files. Wallet files are not touched.
+*/
+
+// Local libraries
+import WalletCache from '../lib/wallet-cache.js'
+import Output from '../lib/output.js'
+import { wrapError } from '../lib/errors.js'
+
+class CacheClear {
+  constructor () {
+    // Encapsulate dependencies
+    this.walletCache = new WalletCache()
+    this.output = new Output()
+
+    // Bind 'this' object to all subfunctions
+    this.run = this.run.bind(this)
+    this.clearCache = this.clearCache.bind(this)
+  }
+
+  async run (flags = {}) {
+    try {
+      const cacheDir = this.walletCache.getCacheDir()
+      this.output.info(`Clearing cache in ${cacheDir}...\n`)
+
+      const removed = await this.clearCache()
+
+      if (removed === 0) {
+        this.output.info('The cache is already empty.')
+      } else {
+        this.output.info(`Removed ${removed} cache file${removed === 1 ? '' : 's'}.`)
+        this.output.info('Token and transaction data will be fetched again on the next run.')
+      }
+
+      this.output.json({ cacheDir, removed })
+
+      return true
+    } catch (err) {
+      console.error('Error clearing cache:', err.message)
+      this.output.error(err)
+      return 0
+    }
+  }
+
+  async clearCache () {
+    try {
+      return await this.walletCache.clear()
+    } catch (err) {
+      throw wrapError(err, 'Failed to clear cache')
+    }
+  }
+}
+
+export default CacheClear
@@ -0,0 +1,229 @@
+/*
+  Permanently destroy an exact quantity of an eToken (SLP BURN or ALP
+  intentional burn). Previews the signed transactions and asks for
+  confirmation unless --yes is given.
+*/
+
+// Local libraries
+import WalletUtil from '../lib/wallet-util.js'
+import Output from '../lib/output.js'
+import Prompt from '../lib/prompt.js'
+import TokenTx from '../lib/token-tx.js'
+import TxPreview from '../lib/tx-preview.js'
+import AmountUtil from '../lib/amount-util.js'
+import WalletCache from '../lib/wallet-cache.js'
+import { ValidationError, InsufficientFundsError, wrapError } from '../lib/errors.js'
+
+class ETokenBurn {
+  constructor () {
+    // Encapsulate dependencies
+    this.walletUtil = new WalletUtil()
+    this.output = new Output()
+    this.walletCache = new WalletCache()
+    this.prompt = new Prompt()
+    this.tokenTx = new TokenTx()
+    this.txPreview = new TxPreview()
+    this.amountUtil = new AmountUtil()
+
+    // Bind 'this' object to all subfunctions
+    this.run = this.run.bind(this)
+    this.validateFlags = this.validateFlags.bind(this)
+    this.prepareBurn = this.prepareBurn.bind(this)
+    this.buildBurn = this.buildBurn.bind(this)
+    this.previewBurn = this.previewBurn.bind(this)
+    this.confirmBurn = this.confirmBurn.bind(this)
+  }
+
+  async run (flags) {
+    try {
+      this.validateFlags(flags)
+
+      // Load wallet data
+      const walletData = await this.walletUtil.loadWallet(flags.name)
+      this.walletUtil.assertCanSpend(flags.name, walletData)
+
+      const burn = await this.prepareBurn(walletData, flags)
+
+      this.output.info(`Burning ${burn.ticker} from wallet '${flags.name}':`)
+      this.output.info(`   Token ID: ${flags.tokenId}`)
+      this.output.info(`   Protocol: ${burn.protocol}`)
+      this.output.info(`   Current Balance: ${this.amountUtil.formatAtoms(burn.balance, burn.decimals, { trim: true })} ${burn.ticker}`)
+      this.output.info(`   Burn: ${this.amountUtil.formatAtoms(burn.atoms, burn.decimals, { trim: true })} ${burn.ticker}`)
+      this.output.info(`   Remaining Balance: ${this.amountUtil.formatAtoms(burn.balance - burn.atoms, burn.decimals, { trim: true })} ${burn.ticker}`)
+      this.output.info()
+
+      // Sign the split (SLP only) and the burn, and show them before anything is broadcast
+      const txs = this.buildBurn(burn, flags)
+      this.previewBurn(burn, txs)
+      this.output.info('Burned tokens are destroyed forever. This cannot be undone.')
+
+      if (!flags.yes) {
+        await this.confirmBurn()
+      }
+
+      let result
+      try {
+        result = await this.tokenTx.sendBurn(burn.xecWallet, txs.split, txs.burn)
+      } catch (err) {
+        throw wrapError(err, 'Failed to burn tokens')
+      }
+
+      this.output.info()
+      this.output.info('Tokens burned successfully!')
+      if (result.splitTxid) {
+        this.output.info(`   Split TXID: ${result.splitTxid}`)
+      }
+      this.output.info(`   Burn TXID: ${result.txid}`)
+      this.output.info(`   Fee: ${this.amountUtil.formatFee(result.fee, result.feeRate)}${result.splitTxid ? ' (both transactions)' : ''}`)
+      this.output.info()
+      this.output.info('View this transaction on block explorers:')
+      this.output.info(`   https://explorer.e.cash/tx/${result.txid}`)
+
+      this.output.json({
+        name: flags.name,
+        tokenId: flags.tokenId,
+        ticker: burn.ticker,
+        protocol: burn.protocol,
+        burned: this.amountUtil.formatAtoms(burn.atoms, burn.decimals, { trim: true }),
+        atoms: burn.atoms,
+        remaining: this.amountUtil.formatAtoms(burn.balance - burn.atoms, burn.decimals, { trim: true }),
+        splitTxid: result.splitTxid,
+        txid: result.txid,
+        fee: this.output.xecAmount(result.fee),
+        feeRate: result.feeRate,
+        explorer: `https://explorer.e.cash/tx/${result.txid}`
+      })
+
+      return true
+    } catch (err) {
+      console.error('Error burning tokens:', err.message)
+      this.output.error(err)
+      return 0
+    }
+  }
+
+  validateFlags (flags = {}) {
+    // Exit if wallet name not specified
+    const name = flags.name
+    if (!name || name === '') {
+      throw new ValidationError('You must specify a wallet name with the -n flag.')
+    }
+
+    // Exit if token ID not specified
+    const tokenId = flags.tokenId
+    if (!tokenId || tokenId === '') {
+      throw new ValidationError('You must specify a token ID with the -t flag.')
+    }
+    if (!/^[0-9a-fA-F]{64}$/.test(tokenId)) {
+      throw new ValidationError('Token ID must be a 64-character hex string.')
+    }
+
+    // Token IDs are lowercase hex in the wallet UTXOs, so use that form from here on
+    flags.tokenId = tokenId.toLowerCase()
+
+    // Exit if quantity not specified
+    const qty = flags.qty
+    if (!qty || qty === '') {
+      throw new ValidationError('You must specify a quantity to burn with the -q flag.')
+    }
+
+    // A destination address means the user wanted to send, not burn
+    if (flags.addr) {
+      throw new ValidationError(
+        'etoken-burn destroys tokens and does not take an address. ' +
+        `To send tokens to ${flags.addr} use: node xec-wallet.js send-etokens -n ${name} -t ${tokenId} -a ${flags.addr} -q ${qty}`
+      )
+    }
+
+    return true
+  }
+
+  // Look up the token and check the wallet holds enough of it to burn
+  async prepareBurn (walletData, flags) {
+    try {
+      // Create wallet instance from stored wallet data
+      const xecWallet = this.walletUtil.createXecWallet(walletData)
+      await xecWallet.walletInfoPromise
+
+      // Initialize to get UTXOs
+      await xecWallet.initialize()
+
+      const tokenUtxos = this.tokenTx.getTokenUtxos(xecWallet, flags.tokenId)
+      if (tokenUtxos.length === 0) {
+        throw new InsufficientFundsError(`No tokens found for token ID: ${flags.tokenId}`)
+      }
+
+      const protocol = tokenUtxos[0].token.tokenType?.protocol || 'SLP'
+      const tokenData = await this.walletCache.getTokenData(xecWallet, flags.tokenId)
+      const decimals = (tokenData && tokenData.decimals) || 0
+      const ticker = (tokenData && tokenData.ticker) || 'tokens'
+
+      const atoms = this.tokenTx.toAtoms(flags.qty, decimals, protocol)
+      if (atoms === 0n) {
+        throw new ValidationError('Quantity to burn must be greater than 0.')
+      }
+
+      const balance = tokenUtxos.reduce((sum, utxo) => sum + BigInt(utxo.token.atoms), 0n)
+      if (atoms > balance) {
+        throw new InsufficientFundsError(
+          `Insufficient token balance. Available: ${this.amountUtil.formatAtoms(balance, decimals, { trim: true })} ${ticker}, ` +
+          `requested burn: ${flags.qty} ${ticker}`
+        )
+      }
+
+      return { xecWallet, protocol, decimals, ticker, atoms, balance }
+    } catch (err) {
+      throw wrapError(err, 'Failed to prepare burn')
+    }
+  }
+
+  // Sign the burn without broadcasting it. An SLP burn of part of a UTXO
+  // first needs a split: it is signed too, and applied to the wallet so the
+  // burn spends its output. Returns { split, burn, summaries }.
+  buildBurn (burn, flags) {
+    const { xecWallet } = burn
+    const options = { tokenId: flags.tokenId, atoms: burn.atoms }
+    const token = { tokenId: flags.tokenId, ticker: burn.ticker, decimals: burn.decimals }
+
+    try {
+      const summaries = []
+      const split = this.tokenTx.buildBurnSplit(xecWallet, options)
+      if (split) {
+        summaries.push(this.txPreview.describe(xecWallet, split, token))
+        const tokenType = split.inputs[0].token.tokenType
+        this.tokenTx.applyToWallet(xecWallet, split, { tokenId: flags.tokenId, tokenType })
+      }
+
+      const built = this.tokenTx.buildBurn(xecWallet, options)
+      summaries.push(this.txPreview.describe(xecWallet, built, token))
+
+      return { split, burn: built, summaries }
+    } catch (err) {
+      throw wrapError(err, 'Failed to build burn')
+    }
+  }
+
+  // Show the burn transaction, or the split and the burn with their fees
+  previewBurn (burn, txs) {
+    const { summaries } = txs
+    if (!txs.split) {
+      return this.txPreview.display(summaries[0])
+    }
+
+    const amount = this.amountUtil.formatAtoms(burn.atoms, burn.decimals, { trim: true })
+    const labels = [`split ${amount} ${burn.ticker} into a UTXO of its own`, `burn ${amount} ${burn.ticker}`]
+    return this.txPreview.displayBatch(summaries, i => labels[i])
+  }
+
+  // Require the user to type 'burn' before anything is broadcast
+  async confirmBurn () {
+    const answer = await this.prompt.ask("Type 'burn' to confirm: ")
+    if (answer.toLowerCase() !== 'burn') {
+      throw new ValidationError('Burn cancelled. No tokens were burned.')
+    }
+
+    return true
+  }
+}
+
+export default ETokenBurn
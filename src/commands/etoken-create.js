@@ -0,0 +1,179 @@
+/*
+  Create a new fungible eToken (SLP type 1 or ALP) by broadcasting a GENESIS transaction.
+  The initial quantity, and the optional mint baton, go to the wallet's own address.
+*/
+
+// Local libraries
+import WalletUtil from '../lib/wallet-util.js'
+import Output from '../lib/output.js'
+import TokenTx from '../lib/token-tx.js'
+import AmountUtil from '../lib/amount-util.js'
+import { ValidationError, wrapError } from '../lib/errors.js'
+
+class ETokenCreate {
+  constructor () {
+    // Encapsulate dependencies
+    this.walletUtil = new WalletUtil()
+    this.output = new Output()
+    this.tokenTx = new TokenTx()
+    this.amountUtil = new AmountUtil()
+
+    // Bind 'this' object to all subfunctions
+    this.run = this.run.bind(this)
+    this.validateFlags = this.validateFlags.bind(this)
+    this.parseProtocol = this.parseProtocol.bind(this)
+    this.parseDecimals = this.parseDecimals.bind(this)
+    this.createToken = this.createToken.bind(this)
+  }
+
+  async run (flags) {
+    try {
+      const params = this.validateFlags(flags)
+
+      this.output.info(`Creating ${params.protocol} token '${params.ticker}' from wallet '${flags.name}'...\n`)
+
+      // Load wallet data
+      const walletData = await this.walletUtil.loadWallet(flags.name)
+      this.walletUtil.assertCanSpend(flags.name, walletData)
+
+      const { tokenId, txid, fee, feeRate } = await this.createToken(walletData, params)
+
+      this.output.info('Token created successfully!')
+      this.output.info()
+      this.output.info('Token Details:')
+      this.output.info(`   Token ID: ${tokenId}`)
+      this.output.info(`   Protocol: ${params.protocol}`)
+      this.output.info(`   Ticker: ${params.ticker}`)
+      this.output.info(`   Name: ${params.tokenName}`)
+      this.output.info(`   Decimals: ${params.decimals}`)
+      this.output.info(`   Initial Quantity: ${params.qty}`)
+      this.output.info(`   Mint Baton: ${params.mintBaton ? 'yes (held by this wallet)' : 'no (fixed supply)'}`)
+      if (params.url) {
+        this.output.info(`   Document URL: ${params.url}`)
+      }
+      if (params.hash) {
+        this.output.info(`   Document Hash: ${params.hash}`)
+      }
+      this.output.info(`   Fee: ${this.amountUtil.formatFee(fee, feeRate)}`)
+      this.output.info()
+      this.output.info('View this transaction on block explorers:')
+      this.output.info(`   https://explorer.e.cash/tx/${txid}`)
+      this.output.info()
+      this.output.info('Commands:')
+      this.output.info(`   Token info: node xec-wallet.js etoken-info -n ${flags.name} -t ${tokenId}`)
+      this.output.info(`   Send tokens: node xec-wallet.js send-etokens -n ${flags.name} -t ${tokenId} -a <address> -q <amount>`)
+
+      this.output.json({
+        name: flags.name,
+        tokenId,
+        txid,
+        protocol: params.protocol,
+        ticker: params.ticker,
+        tokenName: params.tokenName,
+        url: params.url || null,
+        hash: params.hash || null,
+        decimals: params.decimals,
+        qty: params.qty,
+        atoms: params.atoms,
+        mintBaton: params.mintBaton,
+        fee: this.output.xecAmount(fee),
+        feeRate,
+        explorer: `https://explorer.e.cash/tx/${txid}`
+      })
+
+      return true
+    } catch (err) {
+      console.error('Error creating token:', err.message)
+      this.output.error(err)
+      return 0
+    }
+  }
+
+  // Validate the flags and return the normalized token parameters
+  validateFlags (flags = {}) {
+    // Exit if wallet name not specified
+    const name = flags.name
+    if (!name || name === '') {
+      throw new ValidationError('You must specify a wallet name with the -n flag.')
+    }
+
+    const ticker = flags.ticker
+    if (!ticker || ticker === '') {
+      throw new ValidationError('You must specify a token ticker with the --ticker flag.')
+    }
+
+    const tokenName = flags.tokenName
+    if (!tokenName || tokenName === '') {
+      throw new ValidationError('You must specify a token name with the --token-name flag.')
+    }
+
+    const protocol = this.parseProtocol(flags.protocol)
+    const decimals = this.parseDecimals(flags.decimals)
+
+    // Document hash is a sha256 of the token document, only SLP can carry it
+    let hash
+    if (flags.hash) {
+      if (protocol === 'ALP') {
+        throw new ValidationError('ALP tokens do not have a document hash field.')
+      }
+      if (!/^[0-9a-fA-F]{64}$/.test(flags.hash)) {
+        throw new ValidationError('Document hash must be a 64-character hex string (sha256).')
+      }
+      hash = flags.hash.toLowerCase()
+    }
+
+    const mintBaton = Boolean(flags.mintBaton)
+    const qty = flags.qty === undefined ? '0' : String(flags.qty).trim()
+    const atoms = this.tokenTx.toAtoms(qty, decimals, protocol)
+    if (atoms === 0n && !mintBaton) {
+      throw new ValidationError('A token without a mint baton needs an initial quantity (-q).')
+    }
+
+    return { ticker, tokenName, url: flags.url, hash, protocol, decimals, qty, atoms, mintBaton }
+  }
+
+  parseProtocol (protocol = 'slp') {
+    const value = String(protocol).toUpperCase()
+    if (value !== 'SLP' && value !== 'ALP') {
+      throw new ValidationError("Protocol must be 'slp' or 'alp'.")
+    }
+
+    return value
+  }
+
+  parseDecimals (decimals = '0') {
+    const value = Number(decimals)
+    if (!Number.isInteger(value) || value < 0 || value > 9) {
+      throw new ValidationError('Decimals must be a whole number between 0 and 9.')
+    }
+
+    return value
+  }
+
+  // Broadcast the GENESIS transaction from the wallet
+  async createToken (walletData, params) {
+    try {
+      // Create wallet instance from stored wallet data
+      const xecWallet = this.walletUtil.createXecWallet(walletData)
+      await xecWallet.walletInfoPromise
+
+      // Initialize to get UTXOs
+      await xecWallet.initialize()
+
+      return await this.tokenTx.createGenesis(xecWallet, {
+        protocol: params.protocol,
+        ticker: params.ticker,
+        name: params.tokenName,
+        url: params.url,
+        hash: params.hash,
+        decimals: params.decimals,
+        atoms: params.atoms,
+        mintBaton: params.mintBaton
+      })
+    } catch (err) {
+      throw wrapError(err, 'Failed to create token')
+    }
+  }
+}
+
+export default ETokenCreate
@@ -2,22 +2,28 @@
   Get comprehensive information about an eToken including genesis data, metadata, and protocol details.
 */
 
-// Global npm libraries
-import MinimalXecWallet from 'minimal-xec-wallet'
-
 // Local libraries
 import WalletUtil from '../lib/wallet-util.js'
+import Output from '../lib/output.js'
+import WalletCache from '../lib/wallet-cache.js'
+import TokenTx from '../lib/token-tx.js'
+import AmountUtil from '../lib/amount-util.js'
+import { ValidationError, wrapError } from '../lib/errors.js'
 
 class ETokenInfo {
   constructor () {
     // Encapsulate dependencies
-    this.MinimalXecWallet = MinimalXecWallet
     this.walletUtil = new WalletUtil()
+    this.output = new Output()
+    this.walletCache = new WalletCache()
+    this.tokenTx = new TokenTx()
+    this.amountUtil = new AmountUtil()
 
     // Bind 'this' object to all subfunctions
     this.run = this.run.bind(this)
     this.validateFlags = this.validateFlags.bind(this)
     this.getTokenInfo = this.getTokenInfo.bind(this)
+    this.getHdTokenBalances = this.getHdTokenBalances.bind(this)
     this.displayTokenInfo = this.displayTokenInfo.bind(this)
   }
 
@@ -26,7 +32,7 @@ class ETokenInfo {
       this.validateFlags(flags)
 
       const walletName = flags.name
-      console.log(`Getting token information from wallet '${walletName}' for token: ${flags.tokenId}...\\n`)
+      this.output.info(`Getting token information from wallet '${walletName}' for token: ${flags.tokenId}...\\n`)
 
       // Get token information with wallet context
       const tokenInfo = await this.getTokenInfo(flags.tokenId, walletName)
@@ -34,9 +40,31 @@ class ETokenInfo {
       // Display token information
       this.displayTokenInfo(tokenInfo, walletName)
 
+      const { tokenData, tokenBalance, hdBalances } = tokenInfo
+      this.output.json({
+        name: walletName,
+        address: tokenInfo.walletAddress,
+        tokenId: tokenInfo.tokenId,
+        protocol: tokenData.protocol || null,
+        type: tokenData.type || null,
+        ticker: tokenData.ticker || null,
+        tokenName: tokenData.name || null,
+        decimals: tokenData.decimals || 0,
+        url: tokenData.url || null,
+        mintBaton: tokenInfo.mintBaton,
+        balance: {
+          atoms: tokenBalance && tokenBalance.balance ? tokenBalance.balance.atoms : 0n,
+          display: tokenBalance && tokenBalance.balance ? tokenBalance.balance.display : '0',
+          utxoCount: (tokenBalance && tokenBalance.utxoCount) || 0
+        },
+        hdAddresses: hdBalances ? hdBalances.entries : [],
+        hdTotal: hdBalances ? hdBalances.total : null
+      })
+
       return true
     } catch (err) {
       console.error('Error getting token info:', err.message)
+      this.output.error(err)
       return 0
     }
   }
@@ -45,20 +73,23 @@ class ETokenInfo {
     // Exit if wallet name not specified
     const name = flags.name
     if (!name || name === '') {
-      throw new Error('You must specify a wallet name with the -n flag.')
+      throw new ValidationError('You must specify a wallet name with the -n flag.')
     }
 
     // Exit if token ID not specified
     const tokenId = flags.tokenId
     if (!tokenId || tokenId === '') {
-      throw new Error('You must specify a token ID with the -t flag.')
+      throw new ValidationError('You must specify a token ID with the -t flag.')
     }
 
     // Basic token ID format validation
     if (typeof tokenId !== 'string' || tokenId.length !== 64) {
-      throw new Error('Token ID must be a 64-character hex string.')
+      throw new ValidationError('Token ID must be a 64-character hex string.')
     }
 
+    // Token IDs are lowercase hex in the wallet UTXOs, so use that form from here on
+    flags.tokenId = tokenId.toLowerCase()
+
     return true
   }
 
@@ -69,91 +100,160 @@ class ETokenInfo {
       const walletData = await this.walletUtil.loadWallet(walletName)
       
       // Create wallet instance for token data access
-      const wallet = new this.MinimalXecWallet(walletData.wallet.mnemonic)
+      const wallet = this.walletUtil.createXecWallet(walletData)
       await wallet.walletInfoPromise
       await wallet.initialize()
 
-      // Get token data using hybrid tokens manager
-      const tokenData = await wallet.hybridTokens.getTokenData(tokenId)
-      
-      // Get basic eToken data
-      const eTokenData = await wallet.getETokenData(tokenId).catch(() => null)
+      // Get token data, cached after the first lookup
+      const tokenData = await this.walletCache.getTokenData(wallet, tokenId)
+      if (!tokenData) {
+        throw new ValidationError(`Token ${tokenId} not found or not supported.`)
+      }
       
-      // Get wallet's token balance for this specific token
-      const tokenBalance = await wallet.getETokenBalance({ tokenId })
+      // Get wallet's token balance for this specific token, summed from its UTXOs
+      const tokenUtxos = this.tokenTx.getTokenUtxos(wallet, tokenId)
+      const atoms = this.amountUtil.sum(tokenUtxos.map(utxo => utxo.token.atoms))
+      const tokenBalance = tokenUtxos.length > 0
+        ? {
+            balance: { atoms, display: this.amountUtil.formatAtoms(atoms, tokenData.decimals || 0, { trim: true }) },
+            utxoCount: tokenUtxos.length
+          }
+        : null
+
+      // Mint baton held by this wallet, if any
+      const batonUtxo = this.tokenTx.findMintBaton(wallet, tokenId, true)
+      const mintBaton = batonUtxo
+        ? {
+            held: true,
+            txid: batonUtxo.outpoint.txid,
+            outIdx: batonUtxo.outpoint.outIdx,
+            frozen: this.tokenTx.frozenOutpoints(wallet).includes(this.tokenTx.outpointId(batonUtxo))
+          }
+        : { held: false }
+
+      // Watch-only xpub wallets also report every scanned HD address
+      const hdBalances = await this.getHdTokenBalances(wallet, walletData, tokenId, tokenData.decimals || 0)
 
       return {
         tokenId,
         tokenData,
-        eTokenData,
         tokenBalance,
+        mintBaton,
+        hdBalances,
         walletAddress: wallet.walletInfo.xecAddress
       }
     } catch (err) {
-      throw new Error(`Failed to get token information: ${err.message}`)
+      throw wrapError(err, 'Failed to get token information')
     }
   }
 
+  // Get the token balance of each HD address found by an xpub scan
+  async getHdTokenBalances (wallet, walletData, tokenId, decimals) {
+    const hdAddresses = this.walletUtil.getHdAddresses(walletData)
+    if (hdAddresses.length === 0) {
+      return null
+    }
+
+    const entries = []
+    let totalAtoms = 0n
+    for (const entry of hdAddresses) {
+      try {
+        const utxos = await this.tokenTx.getAddressTokenUtxos(wallet, entry.address, tokenId)
+        const atoms = this.amountUtil.sum(utxos.map(utxo => utxo.token.atoms))
+        entries.push({
+          ...entry,
+          atoms,
+          display: this.amountUtil.formatAtoms(atoms, decimals, { trim: true }),
+          utxoCount: utxos.length
+        })
+        totalAtoms += atoms
+      } catch (err) {
+        entries.push({ ...entry, error: err.message })
+      }
+    }
+
+    return {
+      entries,
+      total: { atoms: totalAtoms, display: this.amountUtil.formatAtoms(totalAtoms, decimals, { trim: true }) }
+    }
+  }
 
   // Display comprehensive token information
   displayTokenInfo (tokenInfo, walletName) {
     try {
-      const { tokenId, tokenData, eTokenData, tokenBalance, walletAddress } = tokenInfo
+      const { tokenId, tokenData, tokenBalance, mintBaton, hdBalances, walletAddress } = tokenInfo
 
-      console.log('='.repeat(80))
-      console.log(`eToken Information (Wallet: ${walletName})`)
-      console.log('='.repeat(80))
-      console.log()
+      this.output.info('='.repeat(80))
+      this.output.info(`eToken Information (Wallet: ${walletName})`)
+      this.output.info('='.repeat(80))
+      this.output.info()
 
       // Wallet Context
-      console.log('Wallet Context:')
-      console.log(`   Wallet Name: ${walletName}`)
-      console.log(`   Wallet Address: ${walletAddress}`)
-      console.log()
+      this.output.info('Wallet Context:')
+      this.output.info(`   Wallet Name: ${walletName}`)
+      this.output.info(`   Wallet Address: ${walletAddress}`)
+      this.output.info()
 
       // Basic token information (from eCash blockchain)
-      console.log('Token Information:')
-      console.log(`   Token ID: ${tokenId}`)
-      console.log(`   Protocol: ${tokenData.protocol || 'Unknown'}`)
-      console.log(`   Type: ${tokenData.type || 'Unknown'}`)
-      console.log(`   Ticker: ${tokenData.ticker || 'Unknown'}`)
-      console.log(`   Name: ${tokenData.name || 'Unknown Token'}`)
-      console.log(`   Decimals: ${tokenData.decimals || 0}`)
-      console.log(`   Document URL: ${tokenData.url || 'N/A'}`)
+      this.output.info('Token Information:')
+      this.output.info(`   Token ID: ${tokenId}`)
+      this.output.info(`   Protocol: ${tokenData.protocol || 'Unknown'}`)
+      this.output.info(`   Type: ${tokenData.type || 'Unknown'}`)
+      this.output.info(`   Ticker: ${tokenData.ticker || 'Unknown'}`)
+      this.output.info(`   Name: ${tokenData.name || 'Unknown Token'}`)
+      this.output.info(`   Decimals: ${tokenData.decimals || 0}`)
+      this.output.info(`   Document URL: ${tokenData.url || 'N/A'}`)
 
       // Wallet Balance for this token
-      console.log()
-      console.log('Wallet Balance:')
+      this.output.info()
+      this.output.info(hdBalances ? 'Wallet Balance (primary address):' : 'Wallet Balance:')
       if (tokenBalance && tokenBalance.balance) {
-        console.log(`   Current Balance: ${tokenBalance.balance.display} ${tokenData.ticker || 'tokens'}`)
-        console.log(`   Raw Balance (atoms): ${tokenBalance.balance.atoms}`)
-        console.log(`   UTXO Count: ${tokenBalance.utxoCount || 0}`)
+        this.output.info(`   Current Balance: ${tokenBalance.balance.display} ${tokenData.ticker || 'tokens'}`)
+        this.output.info(`   Raw Balance (atoms): ${tokenBalance.balance.atoms}`)
+        this.output.info(`   UTXO Count: ${tokenBalance.utxoCount || 0}`)
+      } else {
+        this.output.info(`   Current Balance: 0 ${tokenData.ticker || 'tokens'}`)
+        this.output.info(`   (No tokens found in this wallet)`)
+      }
+      if (mintBaton && mintBaton.held) {
+        this.output.info(`   Mint Baton: held by this wallet (${mintBaton.txid}:${mintBaton.outIdx})${mintBaton.frozen ? ' [frozen]' : ''}`)
       } else {
-        console.log(`   Current Balance: 0 ${tokenData.ticker || 'tokens'}`)
-        console.log(`   (No tokens found in this wallet)`)
+        this.output.info('   Mint Baton: not held by this wallet')
+      }
+
+      if (hdBalances) {
+        const ticker = tokenData.ticker || 'tokens'
+        this.output.info()
+        this.output.info(`HD Addresses (xpub scan, ${hdBalances.entries.length} with history):`)
+        for (const entry of hdBalances.entries) {
+          const amount = entry.error ? `error: ${entry.error}` : `${entry.display} ${ticker} (${entry.utxoCount} UTXO${entry.utxoCount === 1 ? '' : 's'})`
+          this.output.info(`   ${entry.path.padEnd(8)} ${entry.address}  ${amount}`)
+        }
+        this.output.info(`   Total across HD addresses: ${hdBalances.total.display} ${ticker}`)
       }
 
-      console.log()
+      this.output.info()
 
       // Raw token data for debugging
-      if (eTokenData) {
-        console.log('Raw Token Data:')
-        console.log(`   ${JSON.stringify(eTokenData, null, 2)}`)
-        console.log()
-      }
+      this.output.info('Raw Token Data:')
+      this.output.info(`   ${JSON.stringify(tokenData, null, 2)}`)
+      this.output.info()
 
       // Commands
-      console.log('Related Commands:')
-      console.log(`   Transaction history: node xec-wallet.js etoken-tx-history -n ${walletName} -t ${tokenId}`)
-      console.log(`   Send tokens: node xec-wallet.js send-etokens -n ${walletName} -t ${tokenId} -a <address> -q <amount>`)
-      console.log(`   Check balance: node xec-wallet.js wallet-balance -n ${walletName}`)
+      this.output.info('Related Commands:')
+      this.output.info(`   Transaction history: node xec-wallet.js etoken-tx-history -n ${walletName} -t ${tokenId}`)
+      this.output.info(`   Send tokens: node xec-wallet.js send-etokens -n ${walletName} -t ${tokenId} -a <address> -q <amount>`)
+      if (mintBaton && mintBaton.held) {
+        this.output.info(`   Mint tokens: node xec-wallet.js etoken-mint -n ${walletName} -t ${tokenId} -q <amount>`)
+      }
+      this.output.info(`   Check balance: node xec-wallet.js wallet-balance -n ${walletName}`)
 
-      console.log()
-      console.log('='.repeat(80))
+      this.output.info()
+      this.output.info('='.repeat(80))
 
       return true
     } catch (err) {
-      throw new Error(`Failed to display token info: ${err.message}`)
+      throw wrapError(err, 'Failed to display token info')
     }
   }
 }
@@ -0,0 +1,167 @@
+/*
+  Mint additional supply of an eToken, using a mint baton held by the wallet.
+  The baton stays in the wallet by default, can be passed to another address,
+  or can be destroyed to fix the supply for good.
+*/
+
+// Local libraries
+import WalletUtil from '../lib/wallet-util.js'
+import Output from '../lib/output.js'
+import TokenTx from '../lib/token-tx.js'
+import WalletCache from '../lib/wallet-cache.js'
+import AddressUtil from '../lib/address-util.js'
+import AmountUtil from '../lib/amount-util.js'
+import { ValidationError, wrapError } from '../lib/errors.js'
+
+class ETokenMint {
+  constructor () {
+    // Encapsulate dependencies
+    this.walletUtil = new WalletUtil()
+    this.output = new Output()
+    this.walletCache = new WalletCache()
+    this.tokenTx = new TokenTx()
+    this.addressUtil = new AddressUtil()
+    this.amountUtil = new AmountUtil()
+
+    // Bind 'this' object to all subfunctions
+    this.run = this.run.bind(this)
+    this.validateFlags = this.validateFlags.bind(this)
+    this.mintTokens = this.mintTokens.bind(this)
+  }
+
+  async run (flags) {
+    try {
+      this.validateFlags(flags)
+
+      this.output.info(`Minting ${flags.qty} of token ${flags.tokenId} from wallet '${flags.name}'...\n`)
+
+      // Load wallet data
+      const walletData = await this.walletUtil.loadWallet(flags.name)
+      this.walletUtil.assertCanSpend(flags.name, walletData)
+
+      const result = await this.mintTokens(walletData, flags)
+
+      this.output.info('Tokens minted successfully!')
+      this.output.info()
+      this.output.info('Mint Details:')
+      this.output.info(`   Token: ${result.ticker} (${result.protocol})`)
+      this.output.info(`   Minted: ${flags.qty} ${result.ticker}`)
+      this.output.info(`   To: ${result.address}`)
+      if (result.batonAddress) {
+        this.output.info(`   Mint Baton: sent to ${result.batonAddress}`)
+      } else {
+        this.output.info('   Mint Baton: destroyed (supply is now fixed)')
+      }
+      this.output.info(`   TXID: ${result.txid}`)
+      this.output.info(`   Fee: ${this.amountUtil.formatFee(result.fee, result.feeRate)}`)
+      this.output.info()
+      this.output.info('View this transaction on block explorers:')
+      this.output.info(`   https://explorer.e.cash/tx/${result.txid}`)
+
+      this.output.json({
+        name: flags.name,
+        tokenId: flags.tokenId,
+        ticker: result.ticker,
+        protocol: result.protocol,
+        qty: flags.qty,
+        atoms: result.atoms,
+        to: result.address,
+        batonTo: result.batonAddress,
+        batonDestroyed: result.batonAddress === null,
+        txid: result.txid,
+        fee: this.output.xecAmount(result.fee),
+        feeRate: result.feeRate,
+        explorer: `https://explorer.e.cash/tx/${result.txid}`
+      })
+
+      return true
+    } catch (err) {
+      console.error('Error minting tokens:', err.message)
+      this.output.error(err)
+      return 0
+    }
+  }
+
+  validateFlags (flags = {}) {
+    // Exit if wallet name not specified
+    const name = flags.name
+    if (!name || name === '') {
+      throw new ValidationError('You must specify a wallet name with the -n flag.')
+    }
+
+    // Exit if token ID not specified
+    const tokenId = flags.tokenId
+    if (!tokenId || tokenId === '') {
+      throw new ValidationError('You must specify a token ID with the -t flag.')
+    }
+    if (!/^[0-9a-fA-F]{64}$/.test(tokenId)) {
+      throw new ValidationError('Token ID must be a 64-character hex string.')
+    }
+
+    // Token IDs are lowercase hex in the wallet UTXOs, so use that form from here on
+    flags.tokenId = tokenId.toLowerCase()
+
+    // Exit if quantity not specified
+    const qty = flags.qty
+    if (!qty || qty === '') {
+      throw new ValidationError('You must specify a quantity to mint with the -q flag.')
+    }
+
+    if (flags.batonTo && flags.burnBaton) {
+      throw new ValidationError('Use either --baton-to or --burn-baton, not both.')
+    }
+
+    if (flags.addr) {
+      flags.addr = this.addressUtil.normalize(flags.addr, 'Recipient address')
+    }
+    if (flags.batonTo) {
+      flags.batonTo = this.addressUtil.normalize(flags.batonTo, 'Baton address')
+    }
+
+    return true
+  }
+
+  // Build and broadcast the MINT transaction, spending the wallet's baton
+  async mintTokens (walletData, flags) {
+    try {
+      // Create wallet instance from stored wallet data
+      const xecWallet = this.walletUtil.createXecWallet(walletData)
+      await xecWallet.walletInfoPromise
+
+      // Initialize to get UTXOs
+      await xecWallet.initialize()
+
+      const batonUtxo = this.tokenTx.findMintBaton(xecWallet, flags.tokenId)
+      if (!batonUtxo) {
+        throw new ValidationError(`Wallet does not hold the mint baton for token ${flags.tokenId}`)
+      }
+
+      const protocol = batonUtxo.token.tokenType?.protocol || 'SLP'
+      const tokenData = await this.walletCache.getTokenData(xecWallet, flags.tokenId)
+      const decimals = (tokenData && tokenData.decimals) || 0
+      const ticker = (tokenData && tokenData.ticker) || 'tokens'
+
+      const atoms = this.tokenTx.toAtoms(flags.qty, decimals, protocol)
+      if (atoms === 0n) {
+        throw new ValidationError('Quantity to mint must be greater than 0.')
+      }
+
+      const ownAddress = xecWallet.walletInfo.xecAddress
+      const address = flags.addr || ownAddress
+      const batonAddress = flags.burnBaton ? null : (flags.batonTo || ownAddress)
+
+      const { txid, fee, feeRate } = await this.tokenTx.createMint(xecWallet, {
+        batonUtxo,
+        atoms,
+        address,
+        batonAddress
+      })
+
+      return { txid, fee, feeRate, ticker, protocol, atoms, address, batonAddress }
+    } catch (err) {
+      throw wrapError(err, 'Failed to mint tokens')
+    }
+  }
+}
+
+export default ETokenMint
@@ -2,26 +2,37 @@
   Get transaction history for an eToken, showing all transactions involving the token.
 */
 
-// Global npm libraries
-import MinimalXecWallet from 'minimal-xec-wallet'
-
 // Local libraries
 import WalletUtil from '../lib/wallet-util.js'
+import Output from '../lib/output.js'
+import TxHistory from '../lib/tx-history.js'
+import WalletCache from '../lib/wallet-cache.js'
+import AmountUtil from '../lib/amount-util.js'
+import TokenTx from '../lib/token-tx.js'
+import { ValidationError, wrapError } from '../lib/errors.js'
 
 class ETokenTxHistory {
   constructor () {
     // Encapsulate dependencies
-    this.MinimalXecWallet = MinimalXecWallet
     this.walletUtil = new WalletUtil()
+    this.output = new Output()
+    this.walletCache = new WalletCache()
+    this.txHistory = new TxHistory()
+    this.amountUtil = new AmountUtil()
+    this.tokenTx = new TokenTx()
 
     // Bind 'this' object to all subfunctions
     this.run = this.run.bind(this)
     this.validateFlags = this.validateFlags.bind(this)
     this.getTokenTxHistory = this.getTokenTxHistory.bind(this)
+    this.getHdTokenHistory = this.getHdTokenHistory.bind(this)
     this.displayTxHistory = this.displayTxHistory.bind(this)
     this.formatTransaction = this.formatTransaction.bind(this)
     this.formatDate = this.formatDate.bind(this)
     this.getTransactionType = this.getTransactionType.bind(this)
+    this.getTransactionDirection = this.getTransactionDirection.bind(this)
+    this.addRunningBalances = this.addRunningBalances.bind(this)
+    this.historyToJson = this.historyToJson.bind(this)
   }
 
   async run (flags) {
@@ -29,7 +40,7 @@ class ETokenTxHistory {
       this.validateFlags(flags)
 
       const walletName = flags.name
-      console.log(`Getting transaction history from wallet '${walletName}' for token: ${flags.tokenId}...\n`)
+      this.output.info(`Getting transaction history from wallet '${walletName}' for token: ${flags.tokenId}...\n`)
 
       // Get token transaction history
       const txHistory = await this.getTokenTxHistory(flags.tokenId, walletName)
@@ -37,9 +48,14 @@ class ETokenTxHistory {
       // Display transaction history
       await this.displayTxHistory(txHistory, flags.tokenId, walletName)
 
+      if (this.output.isJson()) {
+        this.output.json(await this.historyToJson(txHistory, flags.tokenId, walletName))
+      }
+
       return true
     } catch (err) {
       console.error('Error getting token transaction history:', err.message)
+      this.output.error(err)
       return 0
     }
   }
@@ -48,20 +64,23 @@ class ETokenTxHistory {
     // Exit if wallet name not specified
     const name = flags.name
     if (!name || name === '') {
-      throw new Error('You must specify a wallet name with the -n flag.')
+      throw new ValidationError('You must specify a wallet name with the -n flag.')
     }
 
     // Exit if token ID not specified
     const tokenId = flags.tokenId
     if (!tokenId || tokenId === '') {
-      throw new Error('You must specify a token ID with the -t flag.')
+      throw new ValidationError('You must specify a token ID with the -t flag.')
     }
 
     // Basic token ID format validation
     if (typeof tokenId !== 'string' || tokenId.length !== 64) {
-      throw new Error('Token ID must be a 64-character hex string.')
+      throw new ValidationError('Token ID must be a 64-character hex string.')
     }
 
+    // Token IDs are lowercase hex in transactions, so use that form from here on
+    flags.tokenId = tokenId.toLowerCase()
+
     return true
   }
 
@@ -72,57 +91,99 @@ class ETokenTxHistory {
       const walletData = await this.walletUtil.loadWallet(walletName)
       
       // Create wallet instance from stored data
-      const wallet = new this.MinimalXecWallet(walletData.wallet.mnemonic)
+      const wallet = this.walletUtil.createXecWallet(walletData)
       await wallet.walletInfoPromise
       await wallet.initialize()
 
       // Get token metadata
-      const tokenData = await wallet.getETokenData(tokenId)
+      const tokenData = await this.walletCache.getTokenData(wallet, tokenId)
       if (!tokenData) {
-        throw new Error(`Token ${tokenId} not found or not supported`)
+        throw new ValidationError(`Token ${tokenId} not found or not supported`)
       }
       
-      // Get general transaction history for the wallet
-      const allTransactions = await wallet.getTransactions(wallet.walletInfo.xecAddress)
-      
-      // Filter transactions that involve this specific token
-      const tokenTransactions = []
-      
-      // Get detailed transaction data to check for token entries
-      for (const tx of allTransactions) {
-        try {
-          // Get detailed transaction data which includes tokenEntries
-          const txData = await wallet.getTxData([tx.txid])
-          const detailedTx = txData[0]
-          
-          if (detailedTx && detailedTx.tokenEntries && detailedTx.tokenEntries.length > 0) {
-            const hasToken = detailedTx.tokenEntries.some(entry => entry.tokenId === tokenId)
-            
-            if (hasToken) {
-              // Merge basic transaction info with detailed token data
-              const mergedTx = {
-                ...tx,
-                tokenEntries: detailedTx.tokenEntries
-              }
-              tokenTransactions.push(mergedTx)
-            }
-          }
-        } catch (err) {
-          // Skip transactions that can't be fetched (silently)
-        }
+      const walletAddress = wallet.walletInfo.xecAddress
+
+      // Watch-only xpub wallets also hold tokens on every scanned HD address
+      const hdAddresses = this.walletUtil.getHdAddresses(walletData)
+      const addresses = [...new Set([walletAddress, ...hdAddresses.map(entry => entry.address)])]
+      const walletScripts = addresses.map(address => this.txHistory.getWalletScript(address))
+
+      // Keep the wallet's token transactions that involve this token. A
+      // transaction between two addresses of the wallet is listed once.
+      const byTxid = new Map()
+      for (const address of addresses) {
+        const tokenTxs = await this.txHistory.getTokenTxs(wallet, address)
+        tokenTxs
+          .filter(tx => tx.tokenEntries.some(entry => entry.tokenId === tokenId))
+          .forEach(tx => byTxid.set(tx.txid, tx))
       }
+      const tokenTransactions = [...byTxid.values()]
+
+      // Sort transactions by timestamp (newest first)
+      tokenTransactions.sort((a, b) => {
+        const timeA = a.block?.timestamp || a.timeFirstSeen || 0
+        const timeB = b.block?.timestamp || b.timeFirstSeen || 0
+        return timeB - timeA
+      })
+
+      const hdHistory = await this.getHdTokenHistory(wallet, hdAddresses, tokenId, tokenTransactions)
+
+      // The current balance of every address anchors the running balance column
+      const primaryAtoms = (wallet.utxos?.utxoStore?.xecUtxos || [])
+        .filter(utxo => utxo.token && utxo.token.tokenId === tokenId && !utxo.token.isMintBaton)
+        .reduce((sum, utxo) => sum + BigInt(utxo.token.atoms), 0n)
+      const otherAtoms = hdHistory
+        ? hdHistory.entries.filter(entry => entry.address !== walletAddress).reduce((sum, entry) => sum + entry.balanceAtoms, 0n)
+        : 0n
+      const balanceAtoms = primaryAtoms + otherAtoms
 
       return {
         tokenData,
-        transactions: tokenTransactions,
-        walletAddress: wallet.walletInfo.xecAddress,
+        transactions: this.addRunningBalances(tokenTransactions, tokenId, walletScripts, balanceAtoms),
+        balanceAtoms,
+        hdHistory,
+        walletAddress,
         wallet: wallet
       }
     } catch (err) {
-      throw new Error(`Failed to get token transaction history: ${err.message}`)
+      throw wrapError(err, 'Failed to get token transaction history')
     }
   }
 
+  // Token balance and movements of each HD address found by an xpub scan.
+  // Unlike wallet-balance, a failed address is not skipped: the running
+  // balances would be wrong without it.
+  async getHdTokenHistory (wallet, hdAddresses, tokenId, transactions) {
+    if (hdAddresses.length === 0) {
+      return null
+    }
+
+    const entries = []
+    let totalAtoms = 0n
+    for (const entry of hdAddresses) {
+      const utxos = await this.tokenTx.getAddressTokenUtxos(wallet, entry.address, tokenId)
+      const balanceAtoms = this.amountUtil.sum(utxos.map(utxo => utxo.token.atoms))
+
+      // Movements seen from this address alone, so transfers between the
+      // wallet's addresses count on both sides
+      const script = this.txHistory.getWalletScript(entry.address)
+      const flows = transactions
+        .map(tx => this.txHistory.getTokenFlow(tx, tokenId, script))
+        .filter(flow => flow.atomsIn > 0n || flow.atomsOut > 0n)
+
+      entries.push({
+        ...entry,
+        balanceAtoms,
+        numTxs: flows.length,
+        atomsIn: flows.reduce((sum, flow) => sum + flow.atomsIn, 0n),
+        atomsOut: flows.reduce((sum, flow) => sum + flow.atomsOut, 0n)
+      })
+      totalAtoms += balanceAtoms
+    }
+
+    return { entries, totalAtoms }
+  }
+
   // Get transaction type based on token entries
   getTransactionType (tx, tokenId) {
     try {
@@ -172,6 +233,33 @@ class ETokenTxHistory {
     }
   }
 
+  // Determine transaction direction from the wallet's net token change
+  getTransactionDirection (tx, tokenId) {
+    const type = this.getTransactionType(tx, tokenId)
+    const { netAtoms } = tx.flow
+
+    if (type === 'GENESIS') return 'CREATED'
+    if (type === 'MINT') return 'MINTED'
+    if (type === 'BURN') return 'BURNED'
+    if (netAtoms > 0n) return 'RECEIVED'
+    if (netAtoms < 0n) return 'SENT'
+    return 'SELF'
+  }
+
+  // Attach the token flow and the balance after each transaction. Transactions
+  // are newest first, so balances are worked back from the current balance.
+  // walletScript is one output script, or a list with one per wallet address.
+  addRunningBalances (transactions, tokenId, walletScript, balanceAtoms) {
+    let balance = balanceAtoms
+
+    return transactions.map(tx => {
+      const flow = this.txHistory.getTokenFlow(tx, tokenId, walletScript)
+      const withFlow = { ...tx, flow: { ...flow, balanceAfter: balance } }
+      balance -= flow.netAtoms
+      return withFlow
+    })
+  }
+
   // Format timestamp to readable date
   formatDate (timestamp) {
     if (!timestamp) return 'Unknown Date'
@@ -185,138 +273,83 @@ class ETokenTxHistory {
   }
 
   // Format a single transaction for display
-  async formatTransaction (tx, index, decimals = 0, tokenId, walletAddress, wallet) {
+  formatTransaction (tx, index, decimals = 0, tokenId) {
     try {
       const timestamp = tx.block?.timestamp || tx.timeFirstSeen
       const date = this.formatDate(timestamp)
       const type = this.getTransactionType(tx, tokenId)
+      const direction = this.getTransactionDirection(tx, tokenId)
       const txid = tx.txid || 'Unknown'
-      const isConfirmed = tx.block !== null
-      const status = isConfirmed ? '' : ' (pending)'
-      
-      let amount = 'tokens'
-      let direction = ''
-      const transactionDirection = await this.getTransactionDirection(tx, walletAddress, wallet)
-
-      // Extract token-specific information from token entries
-      if (tx.tokenEntries && tx.tokenEntries.length > 0) {
-        const tokenEntry = tx.tokenEntries.find(entry => entry.tokenId === tokenId)
-        
-        if (tokenEntry) {
-          // Get token amount from the entry
-          let tokenAtoms = 0n
-          
-          if (tokenEntry.actualBurnAtoms && tokenEntry.actualBurnAtoms > 0n) {
-            tokenAtoms = BigInt(tokenEntry.actualBurnAtoms)
-            direction = 'BURNED'
-            amount = (Number(tokenAtoms) / Math.pow(10, decimals)).toLocaleString()
-          } else if (tokenEntry.intentionalBurnAtoms && tokenEntry.intentionalBurnAtoms > 0n) {
-            tokenAtoms = BigInt(tokenEntry.intentionalBurnAtoms)
-            direction = 'BURNED'
-            amount = (Number(tokenAtoms) / Math.pow(10, decimals)).toLocaleString()
-          } else if (tokenEntry.txType === 'SEND') {
-            // Determine direction based on wallet involvement
-            if (transactionDirection === 'RECEIVE') {
-              direction = 'RECEIVED'
-              amount = 'tokens'
-            } else if (transactionDirection === 'SEND') {
-              direction = 'SENT'
-              amount = 'tokens'
-            } else {
-              direction = 'UNKNOWN'
-              amount = 'tokens'
-            }
-          } else if (tokenEntry.txType === 'GENESIS') {
-            direction = 'CREATED'
-            amount = 'tokens'
-          } else if (tokenEntry.txType === 'MINT') {
-            direction = 'MINTED'
-            amount = 'tokens'
-          }
-        }
-      }
+      const status = tx.block ? '' : ' (pending)'
 
-      // Format based on transaction type and direction
-      let formattedTx = `${index + 1}.  ${date}  ${type.padEnd(8)}`
-      
-      if (type === 'GENESIS') {
-        formattedTx += ` ${amount.padStart(12)} ${direction}`
-      } else if (type === 'MINT') {
-        formattedTx += ` ${amount.padStart(12)} ${direction}`
-      } else if (type === 'SEND') {
-        formattedTx += ` ${amount.padStart(12)} ${direction}`
-      } else if (type === 'BURN') {
-        formattedTx += ` ${amount.padStart(12)} ${direction}`
-      } else {
-        formattedTx += ` ${amount.padStart(12)} ${direction}`
-      }
+      const amount = this.amountUtil.formatAtoms(tx.flow.netAtoms, decimals, { signed: true })
+      const balance = this.amountUtil.formatAtoms(tx.flow.balanceAfter, decimals)
 
-      formattedTx += `  ${txid.slice(0, 8)}...${status}`
-
-      return formattedTx
+      return `${String(index + 1).padStart(3)}.  ${date}  ${type.padEnd(8)} ${amount.padStart(18)} ${balance.padStart(18)}  ${direction.padEnd(8)}  ${txid.slice(0, 8)}...${status}`
     } catch (err) {
       return `${index + 1}.  Error formatting transaction: ${err.message}`
     }
   }
 
-  // Determine transaction direction from wallet's perspective  
-  async getTransactionDirection (tx, walletAddress, wallet) {
-    try {
-      // Simple heuristic: Check if any outputs go to our wallet address
-      // If yes, it's likely RECEIVE; if no outputs to us, it's likely SEND
-      
-      if (!tx.outputs || tx.outputs.length === 0) {
-        return 'UNKNOWN'
-      }
-      
-      let hasOutputToUs = false
-      
-      // Check each output to see if it goes to our wallet
-      for (const output of tx.outputs) {
-        if (output.outputScript) {
-          try {
-            // Try to decode the output script to see if it matches our address
-            const walletHash = walletAddress.replace('ecash:', '')
-            
-            // For eCash P2PKH outputs, look for our address hash in the script
-            if (output.outputScript.includes(walletHash)) {
-              hasOutputToUs = true
-              break
-            }
-          } catch (err) {
-            // Skip this output if we can't decode it
-            continue
-          }
-        }
-      }
-      
-      // If transaction has outputs to us, it's likely someone sent tokens TO us
-      if (hasOutputToUs) {
-        return 'RECEIVE'
-      } else {
-        // No outputs to us, so we probably sent tokens FROM our wallet
-        return 'SEND'
-      }
-    } catch (err) {
-      return 'UNKNOWN'
+  // Build the --json document for a token history
+  async historyToJson (txHistory, tokenId, walletName) {
+    const { tokenData, transactions, balanceAtoms, hdHistory, walletAddress } = txHistory
+    const decimals = tokenData?.decimals || 0
+
+    const txs = transactions.map(tx => ({
+      txid: tx.txid,
+      timestamp: tx.block?.timestamp || tx.timeFirstSeen || null,
+      type: this.getTransactionType(tx, tokenId),
+      direction: this.getTransactionDirection(tx, tokenId),
+      amount: this.amountUtil.formatAtoms(tx.flow.netAtoms, decimals),
+      atoms: tx.flow.netAtoms,
+      balance: this.amountUtil.formatAtoms(tx.flow.balanceAfter, decimals),
+      counterparty: tx.flow.counterparty,
+      confirmed: Boolean(tx.block),
+      blockHeight: tx.block?.height || null
+    }))
+
+    const hdAddresses = (hdHistory ? hdHistory.entries : []).map(entry => ({
+      path: entry.path,
+      address: entry.address,
+      balance: this.amountUtil.formatAtoms(entry.balanceAtoms, decimals),
+      numTxs: entry.numTxs,
+      totalIn: this.amountUtil.formatAtoms(entry.atomsIn, decimals),
+      totalOut: this.amountUtil.formatAtoms(entry.atomsOut, decimals)
+    }))
+
+    return {
+      name: walletName,
+      address: walletAddress,
+      token: {
+        tokenId,
+        ticker: tokenData?.ticker || null,
+        name: tokenData?.name || null,
+        protocol: tokenData?.protocol || null,
+        decimals
+      },
+      balance: this.amountUtil.formatAtoms(balanceAtoms, decimals),
+      hdAddresses,
+      hdTotal: hdHistory ? this.amountUtil.formatAtoms(hdHistory.totalAtoms, decimals) : null,
+      transactions: txs
     }
   }
 
   // Display transaction history
   async displayTxHistory (txHistory, tokenId, walletName) {
     try {
-      const { tokenData, transactions, walletAddress, wallet } = txHistory
+      const { tokenData, transactions, balanceAtoms, hdHistory, walletAddress } = txHistory
 
-      console.log('='.repeat(100))
-      console.log(`eToken Transaction History (Wallet: ${walletName})`)
-      console.log('='.repeat(100))
-      console.log()
+      this.output.info('='.repeat(100))
+      this.output.info(`eToken Transaction History (Wallet: ${walletName})`)
+      this.output.info('='.repeat(100))
+      this.output.info()
 
       // Display wallet context
-      console.log('Wallet Context:')
-      console.log(`   Wallet Name: ${walletName}`)
-      console.log(`   Wallet Address: ${walletAddress}`)
-      console.log()
+      this.output.info('Wallet Context:')
+      this.output.info(`   Wallet Name: ${walletName}`)
+      this.output.info(`   Wallet Address: ${walletAddress}`)
+      this.output.info()
 
       // Display basic token info
       const ticker = tokenData?.ticker || 'Unknown'
@@ -324,83 +357,75 @@ class ETokenTxHistory {
       const protocol = tokenData?.protocol || 'Unknown'
       const decimals = tokenData?.decimals || 0
 
-      console.log('Token Information:')
-      console.log(`   Token: ${ticker} (${name})`)
-      console.log(`   Protocol: ${protocol}`)
-      console.log(`   Token ID: ${tokenId}`)
-      console.log(`   Decimals: ${decimals}`)
-      console.log()
+      this.output.info('Token Information:')
+      this.output.info(`   Token: ${ticker} (${name})`)
+      this.output.info(`   Protocol: ${protocol}`)
+      this.output.info(`   Token ID: ${tokenId}`)
+      this.output.info(`   Decimals: ${decimals}`)
+      this.output.info(`   Current Balance: ${this.amountUtil.formatAtoms(balanceAtoms, decimals)} ${ticker}`)
+      this.output.info()
+
+      if (hdHistory) {
+        this.output.info(`HD Addresses (xpub scan, ${hdHistory.entries.length} with history):`)
+        for (const entry of hdHistory.entries) {
+          const balance = this.amountUtil.formatAtoms(entry.balanceAtoms, decimals)
+          const moved = `in ${this.amountUtil.formatAtoms(entry.atomsIn, decimals)}, out ${this.amountUtil.formatAtoms(entry.atomsOut, decimals)}`
+          this.output.info(`   ${entry.path.padEnd(8)} ${entry.address}  ${balance} ${ticker}  (${entry.numTxs} txs, ${moved})`)
+        }
+        this.output.info(`   Total across HD addresses: ${this.amountUtil.formatAtoms(hdHistory.totalAtoms, decimals)} ${ticker}`)
+        this.output.info()
+      }
 
       if (!transactions || transactions.length === 0) {
-        console.log('No transaction history found for this token.')
-        console.log()
-        console.log('='.repeat(100))
+        this.output.info('No transaction history found for this token.')
+        this.output.info()
+        this.output.info('='.repeat(100))
         return true
       }
 
-      console.log(`Total Transactions: ${transactions.length}`)
-      console.log()
-      console.log('Transaction History (newest first):')
-      console.log()
-
-      // Sort transactions by timestamp (newest first)
-      const sortedTxs = [...transactions].sort((a, b) => {
-        const timeA = a.block?.timestamp || a.timeFirstSeen || 0
-        const timeB = b.block?.timestamp || b.timeFirstSeen || 0
-        return timeB - timeA
-      })
+      this.output.info(`Total Transactions: ${transactions.length}`)
+      this.output.info()
+      this.output.info('Transaction History (newest first):')
+      this.output.info()
+      this.output.info(`${'#'.padStart(3)}   ${'Date'.padEnd(19)}  ${'Type'.padEnd(8)} ${'Amount'.padStart(18)} ${'Balance'.padStart(18)}  Direction`)
 
       // Display each transaction
-      for (let i = 0; i < sortedTxs.length; i++) {
-        const formattedTx = await this.formatTransaction(sortedTxs[i], i, decimals, tokenId, walletAddress, wallet)
-        console.log(formattedTx)
-      }
+      transactions.forEach((tx, i) => {
+        this.output.info(this.formatTransaction(tx, i, decimals, tokenId))
+      })
 
-      console.log()
+      this.output.info()
 
-      // Enhanced summary statistics with direction analysis
-      const genesisCount = transactions.filter(tx => this.getTransactionType(tx, tokenId) === 'GENESIS').length
-      const mintCount = transactions.filter(tx => this.getTransactionType(tx, tokenId) === 'MINT').length
-      const sendCount = transactions.filter(tx => this.getTransactionType(tx, tokenId) === 'SEND').length
-      const burnCount = transactions.filter(tx => this.getTransactionType(tx, tokenId) === 'BURN').length
-      
-      // Count by direction for SEND transactions
-      let sentCount = 0
-      let receivedCount = 0
-      
-      for (const tx of transactions) {
-        if (this.getTransactionType(tx, tokenId) === 'SEND') {
-          const direction = await this.getTransactionDirection(tx, walletAddress, wallet)
-          if (direction === 'SEND') {
-            sentCount++
-          } else if (direction === 'RECEIVE') {
-            receivedCount++
-          }
-        }
-      }
+      // Summary statistics by type and direction
+      const countType = type => transactions.filter(tx => this.getTransactionType(tx, tokenId) === type).length
+      const countDirection = direction => transactions.filter(tx => this.getTransactionDirection(tx, tokenId) === direction).length
+      const totalIn = transactions.reduce((sum, tx) => tx.flow.netAtoms > 0n ? sum + tx.flow.netAtoms : sum, 0n)
+      const totalOut = transactions.reduce((sum, tx) => tx.flow.netAtoms < 0n ? sum - tx.flow.netAtoms : sum, 0n)
 
-      console.log('Transaction Summary:')
-      console.log(`   Genesis: ${genesisCount}`)
-      console.log(`   Mint: ${mintCount}`)
-      console.log(`   Transactions: ${sendCount} (${sentCount} sent, ${receivedCount} received)`)
-      console.log(`   Burn: ${burnCount}`)
+      this.output.info('Transaction Summary:')
+      this.output.info(`   Genesis: ${countType('GENESIS')}`)
+      this.output.info(`   Mint: ${countType('MINT')}`)
+      this.output.info(`   Transactions: ${countType('SEND')} (${countDirection('SENT')} sent, ${countDirection('RECEIVED')} received)`)
+      this.output.info(`   Burn: ${countType('BURN')}`)
+      this.output.info(`   Total In: ${this.amountUtil.formatAtoms(totalIn, decimals)} ${ticker}`)
+      this.output.info(`   Total Out: ${this.amountUtil.formatAtoms(totalOut, decimals)} ${ticker}`)
 
-      console.log()
+      this.output.info()
 
       // Related commands
-      console.log('Related Commands:')
-      console.log(`   Token info: node xec-wallet.js etoken-info -n ${walletName} -t ${tokenId}`)
-      console.log(`   Send tokens: node xec-wallet.js send-etokens -n ${walletName} -t ${tokenId} -a <address> -q <amount>`)
-      console.log(`   Check balance: node xec-wallet.js wallet-balance -n ${walletName}`)
+      this.output.info('Related Commands:')
+      this.output.info(`   Token info: node xec-wallet.js etoken-info -n ${walletName} -t ${tokenId}`)
+      this.output.info(`   Send tokens: node xec-wallet.js send-etokens -n ${walletName} -t ${tokenId} -a <address> -q <amount>`)
+      this.output.info(`   Check balance: node xec-wallet.js wallet-balance -n ${walletName}`)
 
-      console.log()
-      console.log('='.repeat(100))
+      this.output.info()
+      this.output.info('='.repeat(100))
 
       return true
     } catch (err) {
-      throw new Error(`Failed to display transaction history: ${err.message}`)
+      throw wrapError(err, 'Failed to display transaction history')
     }
   }
 }
 
-export default ETokenTxHistory
\ No newline at end of file
+export default ETokenTxHistory
@@ -0,0 +1,336 @@
+/*
+  Export a wallet's XEC and token movements as a ledger file for accounting:
+  CSV by default, or JSON or an OFX bank statement.
+*/
+
+// Global npm libraries
+import { writeFile } from 'fs/promises'
+
+// Local libraries
+import WalletUtil from '../lib/wallet-util.js'
+import Output from '../lib/output.js'
+import TxHistory from '../lib/tx-history.js'
+import CsvUtil from '../lib/csv-util.js'
+import WalletCache from '../lib/wallet-cache.js'
+import AmountUtil from '../lib/amount-util.js'
+import { ValidationError, wrapError } from '../lib/errors.js'
+
+const FORMATS = ['csv', 'json', 'ofx']
+
+// CSV columns, in order. The USD columns are named for what they hold: the
+// price source has no historical prices, so every row uses the price at
+// export time, not the price on the date of the transaction.
+const COLUMNS = [
+  'date', 'timestamp', 'txid', 'blockHeight', 'confirmed', 'direction',
+  'sats', 'xec', 'feeSats', 'feeXec',
+  'tokenId', 'tokenTicker', 'tokenAmount', 'tokenAtoms',
+  'usdPriceAtExport', 'usdValueAtExport', 'counterparty'
+]
+
+// Where the XEC/USD price comes from
+const PRICE_SOURCE = 'minimal-xec-wallet getXecUsd (spot price)'
+
+class ExportHistory {
+  constructor () {
+    // Encapsulate dependencies
+    this.walletUtil = new WalletUtil()
+    this.output = new Output()
+    this.walletCache = new WalletCache()
+    this.txHistory = new TxHistory()
+    this.csvUtil = new CsvUtil()
+    this.amountUtil = new AmountUtil()
+    this.writeFile = writeFile
+
+    // Bind 'this' object to all subfunctions
+    this.run = this.run.bind(this)
+    this.validateFlags = this.validateFlags.bind(this)
+    this.getLedger = this.getLedger.bind(this)
+    this.getTokenInfo = this.getTokenInfo.bind(this)
+    this.txToRows = this.txToRows.bind(this)
+    this.formatLedger = this.formatLedger.bind(this)
+    this.formatOfx = this.formatOfx.bind(this)
+    this.formatOfxDate = this.formatOfxDate.bind(this)
+    this.escapeOfx = this.escapeOfx.bind(this)
+  }
+
+  async run (flags) {
+    try {
+      const options = this.validateFlags(flags)
+
+      this.output.info(`Exporting transaction history for wallet '${flags.name}'...\n`)
+
+      // Load wallet data
+      const walletData = await this.walletUtil.loadWallet(flags.name)
+
+      const ledger = await this.getLedger(walletData, options)
+
+      try {
+        await this.writeFile(options.file, this.formatLedger(ledger, options.format))
+      } catch (err) {
+        throw new ValidationError(`Could not write ${options.file}: ${err.message}`)
+      }
+
+      this.output.info(`Exported ${ledger.numTxs} transactions (${ledger.rows.length} rows) to ${options.file}`)
+      this.output.info(`   Format: ${options.format.toUpperCase()}`)
+      this.output.info(`   Address: ${ledger.address}`)
+      if (options.from !== null || options.to !== null) {
+        const from = options.from !== null ? new Date(options.from * 1000).toISOString() : 'start'
+        const to = options.to !== null ? new Date(options.to * 1000).toISOString() : 'now'
+        this.output.info(`   Date range: ${from} to ${to}`)
+      }
+      this.output.info()
+      if (ledger.usdPrice) {
+        this.output.info(`USD values use the XEC price at export time ($${ledger.usdPrice}/XEC at ${ledger.priceTime}),`)
+        this.output.info('not the price on the date of each transaction: the price source has no historical prices.')
+      } else {
+        this.output.info('The XEC price is unavailable, so USD values are left empty.')
+      }
+
+      this.output.json({
+        name: flags.name,
+        address: ledger.address,
+        file: options.file,
+        format: options.format,
+        from: options.from,
+        to: options.to,
+        numTxs: ledger.numTxs,
+        numRows: ledger.rows.length,
+        usdPriceAtExport: ledger.usdPrice,
+        priceSource: ledger.usdPrice ? PRICE_SOURCE : null,
+        priceTime: ledger.priceTime
+      })
+
+      return true
+    } catch (err) {
+      console.error('Error exporting transaction history:', err.message)
+      this.output.error(err)
+      return 0
+    }
+  }
+
+  // Validate the flags and return the export options
+  validateFlags (flags = {}) {
+    // Exit if wallet name not specified
+    const name = flags.name
+    if (!name || name === '') {
+      throw new ValidationError('You must specify a wallet name with the -n flag.')
+    }
+
+    const format = (flags.format || 'csv').toLowerCase()
+    if (!FORMATS.includes(format)) {
+      throw new ValidationError(`Format must be one of: ${FORMATS.join(', ')}.`)
+    }
+
+    const options = {
+      format,
+      file: flags.output || `${name}-history.${format}`,
+      from: flags.from ? this.txHistory.parseDate(flags.from, 'from') : null,
+      to: flags.to ? this.txHistory.parseDate(flags.to, 'to') : null
+    }
+
+    if (options.from !== null && options.to !== null && options.from > options.to) {
+      throw new ValidationError('--from must be before --to.')
+    }
+
+    return options
+  }
+
+  // Build the ledger rows, oldest first
+  async getLedger (walletData, options) {
+    try {
+      // Create wallet instance from stored wallet data
+      const wallet = this.walletUtil.createXecWallet(walletData)
+      await wallet.walletInfoPromise
+
+      const address = wallet.walletInfo.xecAddress
+      const walletScript = this.txHistory.getWalletScript(address)
+      const usdPrice = await wallet.getXecUsd().catch(() => null)
+      const priceTime = usdPrice ? new Date().toISOString() : null
+
+      const allTxs = await this.txHistory.getAll(wallet, address)
+      const txs = allTxs
+        .filter(tx => {
+          const timestamp = tx.block?.timestamp || tx.timeFirstSeen || null
+          if (options.from !== null && (timestamp === null || timestamp < options.from)) return false
+          if (options.to !== null && (timestamp === null || timestamp > options.to)) return false
+          return true
+        })
+        .reverse()
+
+      const tokenInfo = await this.getTokenInfo(wallet, txs)
+
+      const rows = []
+      for (const tx of txs) {
+        rows.push(...this.txToRows(tx, walletScript, tokenInfo, usdPrice))
+      }
+
+      return { address, usdPrice, priceTime, numTxs: txs.length, rows }
+    } catch (err) {
+      throw wrapError(err, 'Failed to get transaction history')
+    }
+  }
+
+  // Ticker and decimals of every token in the transactions, by token ID
+  async getTokenInfo (wallet, txs) {
+    const tokenIds = new Set()
+    txs.forEach(tx => this.txHistory.getTokenIds(tx).forEach(tokenId => tokenIds.add(tokenId)))
+
+    const tokenInfo = new Map()
+    for (const tokenId of tokenIds) {
+      const tokenData = await this.walletCache.getTokenData(wallet, tokenId).catch(() => null)
+      tokenInfo.set(tokenId, {
+        ticker: tokenData?.ticker || null,
+        decimals: tokenData?.decimals || 0
+      })
+    }
+
+    return tokenInfo
+  }
+
+  // One row per transaction, plus one per extra token it moves. The XEC
+  // amount, fee and USD value are only on the first row, so columns can be
+  // summed. usdPrice is the price at export time.
+  txToRows (tx, walletScript, tokenInfo, usdPrice) {
+    const summary = this.txHistory.analyzeTx(tx, walletScript)
+
+    const xecUsd = sats => {
+      if (!usdPrice) return null
+      const usd = (Number(sats) / 100 * usdPrice).toFixed(2)
+      return usd === '-0.00' ? '0.00' : usd
+    }
+    const base = {
+      date: summary.timestamp ? new Date(summary.timestamp * 1000).toISOString() : null,
+      timestamp: summary.timestamp,
+      txid: summary.txid,
+      blockHeight: summary.blockHeight,
+      confirmed: summary.confirmed,
+      direction: summary.direction,
+      usdPriceAtExport: usdPrice
+    }
+    const xec = {
+      sats: summary.netSats.toString(),
+      xec: this.amountUtil.formatAtoms(summary.netSats, 2),
+      feeSats: summary.feePaid ? summary.feeSats.toString() : null,
+      feeXec: summary.feePaid ? this.amountUtil.formatAtoms(summary.feeSats, 2) : null,
+      usdValueAtExport: xecUsd(summary.netSats),
+      counterparty: summary.counterparty
+    }
+
+    const tokenRows = this.txHistory.getTokenIds(tx)
+      .map(tokenId => ({ tokenId, flow: this.txHistory.getTokenFlow(tx, tokenId, walletScript) }))
+      .filter(({ flow }) => flow.netAtoms !== 0n)
+      .map(({ tokenId, flow }) => {
+        const info = tokenInfo.get(tokenId)
+        return {
+          tokenId,
+          tokenTicker: info.ticker,
+          tokenAmount: this.amountUtil.formatAtoms(flow.netAtoms, info.decimals),
+          tokenAtoms: flow.netAtoms.toString(),
+          counterparty: flow.counterparty
+        }
+      })
+
+    if (tokenRows.length === 0) {
+      return [{ ...base, ...xec }]
+    }
+
+    return tokenRows.map((token, i) => i === 0
+      ? { ...base, ...xec, ...token, counterparty: xec.counterparty || token.counterparty }
+      : { ...base, ...token })
+  }
+
+  formatLedger (ledger, format) {
+    const rows = ledger.rows.map(row => Object.fromEntries(COLUMNS.map(key => [key, row[key] ?? null])))
+
+    if (format === 'json') {
+      return `${JSON.stringify({
+        address: ledger.address,
+        usdPriceAtExport: ledger.usdPrice,
+        priceSource: ledger.usdPrice ? PRICE_SOURCE : null,
+        priceTime: ledger.priceTime,
+        transactions: rows
+      }, null, 2)}\n`
+    }
+    if (format === 'ofx') {
+      return this.formatOfx(ledger, rows)
+    }
+
+    return this.csvUtil.format(COLUMNS, rows.map(row => COLUMNS.map(key => row[key])))
+  }
+
+  // OFX 1.0.2 bank statement in XEC. Each transaction is one entry; token
+  // movements are noted in the memo. The XEC price used for the USD values
+  // of the other formats, with its source and time, is in the statement's
+  // MKTGINFO text.
+  formatOfx (ledger, rows) {
+    const entries = rows.filter(row => row.sats !== null)
+    const timestamps = entries.map(row => row.timestamp).filter(Boolean)
+    const now = Math.floor(Date.now() / 1000)
+    const start = timestamps.length ? Math.min(...timestamps) : now
+    const end = timestamps.length ? Math.max(...timestamps) : now
+
+    const lines = [
+      'OFXHEADER:100',
+      'DATA:OFXSGML',
+      'VERSION:102',
+      'SECURITY:NONE',
+      'ENCODING:USASCII',
+      'CHARSET:1252',
+      'COMPRESSION:NONE',
+      'OLDFILEUID:NONE',
+      'NEWFILEUID:NONE',
+      '',
+      '<OFX>',
+      '<SIGNONMSGSRSV1><SONRS>',
+      '<STATUS><CODE>0<SEVERITY>INFO</STATUS>',
+      `<DTSERVER>${this.formatOfxDate(now)}`,
+      '<LANGUAGE>ENG',
+      '</SONRS></SIGNONMSGSRSV1>',
+      '<BANKMSGSRSV1><STMTTRNRS>',
+      '<TRNUID>0',
+      '<STATUS><CODE>0<SEVERITY>INFO</STATUS>',
+      '<STMTRS>',
+      '<CURDEF>XEC',
+      `<BANKACCTFROM><BANKID>ECASH<ACCTID>${this.escapeOfx(ledger.address)}<ACCTTYPE>CHECKING</BANKACCTFROM>`,
+      `<BANKTRANLIST><DTSTART>${this.formatOfxDate(start)}<DTEND>${this.formatOfxDate(end)}`
+    ]
+
+    for (const row of entries) {
+      const tokens = rows
+        .filter(other => other.txid === row.txid && other.tokenId)
+        .map(other => `${other.tokenAmount} ${other.tokenTicker || other.tokenId}`)
+      const memo = [row.direction, ...tokens].join(' ')
+
+      lines.push('<STMTTRN>')
+      lines.push(`<TRNTYPE>${BigInt(row.sats) < 0n ? 'DEBIT' : 'CREDIT'}`)
+      lines.push(`<DTPOSTED>${this.formatOfxDate(row.timestamp || now)}`)
+      lines.push(`<TRNAMT>${row.xec}`)
+      lines.push(`<FITID>${row.txid}`)
+      if (row.counterparty) {
+        // NAME is limited to 32 characters
+        lines.push(`<NAME>${this.escapeOfx(row.counterparty.replace(/^ecash:/, '').slice(0, 32))}`)
+      }
+      lines.push(`<MEMO>${this.escapeOfx(memo)}`)
+      lines.push('</STMTTRN>')
+    }
+
+    lines.push('</BANKTRANLIST>')
+    if (ledger.usdPrice) {
+      lines.push(`<MKTGINFO>${this.escapeOfx(`USD price at export: ${ledger.usdPrice} per XEC; source: ${PRICE_SOURCE}; time: ${ledger.priceTime}`)}`)
+    }
+    lines.push('</STMTRS>', '</STMTTRNRS></BANKMSGSRSV1>', '</OFX>')
+
+    return lines.join('\n') + '\n'
+  }
+
+  // Unix seconds -> YYYYMMDDHHMMSS (UTC)
+  formatOfxDate (timestamp) {
+    return new Date(timestamp * 1000).toISOString().replace(/[-:T]/g, '').slice(0, 14)
+  }
+
+  escapeOfx (text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+  }
+}
+
+export default ExportHistory
@@ -0,0 +1,145 @@
+/*
+  Create an SLP NFT1 group token. A group is the collection that child NFTs
+  are minted from: each child NFT spends exactly one group token.
+*/
+
+// Global npm libraries
+import { SLP_NFT1_GROUP } from 'ecash-lib'
+
+// Local libraries
+import WalletUtil from '../lib/wallet-util.js'
+import Output from '../lib/output.js'
+import TokenTx from '../lib/token-tx.js'
+import AmountUtil from '../lib/amount-util.js'
+import { ValidationError, wrapError } from '../lib/errors.js'
+
+class NftCreateGroup {
+  constructor () {
+    // Encapsulate dependencies
+    this.walletUtil = new WalletUtil()
+    this.output = new Output()
+    this.tokenTx = new TokenTx()
+    this.amountUtil = new AmountUtil()
+
+    // Bind 'this' object to all subfunctions
+    this.run = this.run.bind(this)
+    this.validateFlags = this.validateFlags.bind(this)
+    this.createGroup = this.createGroup.bind(this)
+  }
+
+  async run (flags) {
+    try {
+      const params = this.validateFlags(flags)
+
+      this.output.info(`Creating NFT collection '${params.ticker}' from wallet '${flags.name}'...\n`)
+
+      // Load wallet data
+      const walletData = await this.walletUtil.loadWallet(flags.name)
+      this.walletUtil.assertCanSpend(flags.name, walletData)
+
+      const { tokenId, txid, fee, feeRate } = await this.createGroup(walletData, params)
+
+      this.output.info('NFT collection created successfully!')
+      this.output.info()
+      this.output.info('Collection Details:')
+      this.output.info(`   Group Token ID: ${tokenId}`)
+      this.output.info(`   Ticker: ${params.ticker}`)
+      this.output.info(`   Name: ${params.tokenName}`)
+      this.output.info(`   Group Tokens: ${params.atoms} (one per child NFT)`)
+      this.output.info(`   Mint Baton: ${params.mintBaton ? 'yes (held by this wallet)' : 'no (fixed collection size)'}`)
+      this.output.info(`   Fee: ${this.amountUtil.formatFee(fee, feeRate)}`)
+      this.output.info()
+      this.output.info('View this transaction on block explorers:')
+      this.output.info(`   https://explorer.e.cash/tx/${txid}`)
+      this.output.info()
+      this.output.info('Commands:')
+      this.output.info(`   Mint an NFT: node xec-wallet.js nft-mint -n ${flags.name} -g ${tokenId} --ticker <ticker> --token-name <name>`)
+
+      this.output.json({
+        name: flags.name,
+        groupTokenId: tokenId,
+        txid,
+        ticker: params.ticker,
+        tokenName: params.tokenName,
+        url: params.url || null,
+        hash: params.hash || null,
+        qty: params.atoms,
+        mintBaton: params.mintBaton,
+        fee: this.output.xecAmount(fee),
+        feeRate,
+        explorer: `https://explorer.e.cash/tx/${txid}`
+      })
+
+      return true
+    } catch (err) {
+      console.error('Error creating NFT collection:', err.message)
+      this.output.error(err)
+      return 0
+    }
+  }
+
+  validateFlags (flags = {}) {
+    // Exit if wallet name not specified
+    const name = flags.name
+    if (!name || name === '') {
+      throw new ValidationError('You must specify a wallet name with the -n flag.')
+    }
+
+    const ticker = flags.ticker
+    if (!ticker || ticker === '') {
+      throw new ValidationError('You must specify a collection ticker with the --ticker flag.')
+    }
+
+    const tokenName = flags.tokenName
+    if (!tokenName || tokenName === '') {
+      throw new ValidationError('You must specify a collection name with the --token-name flag.')
+    }
+
+    if (flags.hash && !/^[0-9a-fA-F]{64}$/.test(flags.hash)) {
+      throw new ValidationError('Document hash must be a 64-character hex string (sha256).')
+    }
+
+    // Group tokens are indivisible: one group token mints one child NFT
+    const mintBaton = Boolean(flags.mintBaton)
+    const atoms = this.tokenTx.toAtoms(flags.qty === undefined ? '0' : flags.qty, 0)
+    if (atoms === 0n && !mintBaton) {
+      throw new ValidationError('A collection without a mint baton needs a size (-q).')
+    }
+
+    return {
+      ticker,
+      tokenName,
+      url: flags.url,
+      hash: flags.hash ? flags.hash.toLowerCase() : undefined,
+      atoms,
+      mintBaton
+    }
+  }
+
+  // Broadcast the NFT1 group GENESIS transaction from the wallet
+  async createGroup (walletData, params) {
+    try {
+      // Create wallet instance from stored wallet data
+      const xecWallet = this.walletUtil.createXecWallet(walletData)
+      await xecWallet.walletInfoPromise
+
+      // Initialize to get UTXOs
+      await xecWallet.initialize()
+
+      return await this.tokenTx.createGenesis(xecWallet, {
+        tokenType: SLP_NFT1_GROUP,
+        ticker: params.ticker,
+        name: params.tokenName,
+        url: params.url,
+        hash: params.hash,
+        decimals: 0,
+        atoms: params.atoms,
+        mintBaton: params.mintBaton
+      })
+    } catch (err) {
+      throw wrapError(err, 'Failed to create NFT collection')
+    }
+  }
+}
+
+export default NftCreateGroup
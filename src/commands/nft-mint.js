@@ -0,0 +1,186 @@
+/*
+  Mint a child NFT from an SLP NFT1 group. The child genesis spends exactly one
+  group token; when the wallet has no UTXO holding a single group token, one is
+  split off first.
+*/
+
+// Global npm libraries
+import { SLP_NFT1_GROUP, SLP_NFT1_CHILD } from 'ecash-lib'
+
+// Local libraries
+import WalletUtil from '../lib/wallet-util.js'
+import Output from '../lib/output.js'
+import TokenTx from '../lib/token-tx.js'
+import AmountUtil from '../lib/amount-util.js'
+import { ValidationError, InsufficientFundsError, wrapError } from '../lib/errors.js'
+
+class NftMint {
+  constructor () {
+    // Encapsulate dependencies
+    this.walletUtil = new WalletUtil()
+    this.output = new Output()
+    this.tokenTx = new TokenTx()
+    this.amountUtil = new AmountUtil()
+
+    // Bind 'this' object to all subfunctions
+    this.run = this.run.bind(this)
+    this.validateFlags = this.validateFlags.bind(this)
+    this.mintNft = this.mintNft.bind(this)
+    this.getGroupUtxo = this.getGroupUtxo.bind(this)
+  }
+
+  async run (flags) {
+    try {
+      this.validateFlags(flags)
+
+      this.output.info(`Minting NFT '${flags.ticker}' from collection ${flags.group}...\n`)
+
+      // Load wallet data
+      const walletData = await this.walletUtil.loadWallet(flags.name)
+      this.walletUtil.assertCanSpend(flags.name, walletData)
+
+      const { tokenId, txid, splitTxid, fee, feeRate } = await this.mintNft(walletData, flags)
+
+      this.output.info('NFT minted successfully!')
+      this.output.info()
+      this.output.info('NFT Details:')
+      this.output.info(`   NFT Token ID: ${tokenId}`)
+      this.output.info(`   Collection: ${flags.group}`)
+      this.output.info(`   Ticker: ${flags.ticker}`)
+      this.output.info(`   Name: ${flags.tokenName}`)
+      if (flags.url) {
+        this.output.info(`   Document URL: ${flags.url}`)
+      }
+      if (splitTxid) {
+        this.output.info(`   Group Split TXID: ${splitTxid}`)
+      }
+      this.output.info(`   Fee: ${this.amountUtil.formatFee(fee, feeRate)}${splitTxid ? ' (both transactions)' : ''}`)
+      this.output.info()
+      this.output.info('View this transaction on block explorers:')
+      this.output.info(`   https://explorer.e.cash/tx/${txid}`)
+      this.output.info()
+      this.output.info('Commands:')
+      this.output.info(`   Send this NFT: node xec-wallet.js nft-send -n ${flags.name} -t ${tokenId} -a <address>`)
+
+      this.output.json({
+        name: flags.name,
+        groupTokenId: flags.group,
+        tokenId,
+        txid,
+        splitTxid,
+        ticker: flags.ticker,
+        tokenName: flags.tokenName,
+        url: flags.url || null,
+        hash: flags.hash || null,
+        fee: this.output.xecAmount(fee),
+        feeRate,
+        explorer: `https://explorer.e.cash/tx/${txid}`
+      })
+
+      return true
+    } catch (err) {
+      console.error('Error minting NFT:', err.message)
+      this.output.error(err)
+      return 0
+    }
+  }
+
+  validateFlags (flags = {}) {
+    // Exit if wallet name not specified
+    const name = flags.name
+    if (!name || name === '') {
+      throw new ValidationError('You must specify a wallet name with the -n flag.')
+    }
+
+    const group = flags.group
+    if (!group || !/^[0-9a-fA-F]{64}$/.test(group)) {
+      throw new ValidationError('You must specify the 64-character hex group token ID with the -g flag.')
+    }
+
+    if (!flags.ticker || flags.ticker === '') {
+      throw new ValidationError('You must specify an NFT ticker with the --ticker flag.')
+    }
+
+    if (!flags.tokenName || flags.tokenName === '') {
+      throw new ValidationError('You must specify an NFT name with the --token-name flag.')
+    }
+
+    if (flags.hash && !/^[0-9a-fA-F]{64}$/.test(flags.hash)) {
+      throw new ValidationError('Document hash must be a 64-character hex string (sha256).')
+    }
+
+    return true
+  }
+
+  // Broadcast the child GENESIS, splitting off a single group token if needed
+  async mintNft (walletData, flags) {
+    try {
+      // Create wallet instance from stored wallet data
+      const xecWallet = this.walletUtil.createXecWallet(walletData)
+      await xecWallet.walletInfoPromise
+
+      // Initialize to get UTXOs
+      await xecWallet.initialize()
+
+      const { groupUtxo, split } = await this.getGroupUtxo(xecWallet, flags.group)
+
+      const genesis = await this.tokenTx.createGenesis(xecWallet, {
+        tokenType: SLP_NFT1_CHILD,
+        ticker: flags.ticker,
+        name: flags.tokenName,
+        url: flags.url,
+        hash: flags.hash ? flags.hash.toLowerCase() : undefined,
+        decimals: 0,
+        atoms: 1n,
+        groupUtxo
+      })
+
+      // Report the fee of the split and the genesis together
+      const fee = genesis.fee + (split ? split.fee : 0n)
+      const size = genesis.size + (split ? split.size : 0)
+
+      return {
+        tokenId: genesis.tokenId,
+        txid: genesis.txid,
+        splitTxid: split ? split.txid : null,
+        fee,
+        feeRate: this.tokenTx.feeRate(fee, size)
+      }
+    } catch (err) {
+      throw wrapError(err, 'Failed to mint NFT')
+    }
+  }
+
+  // Find a UTXO holding exactly one group token, creating one when necessary.
+  // split is the result of the split transaction, or null when none was needed.
+  async getGroupUtxo (xecWallet, groupTokenId) {
+    const groupUtxos = this.tokenTx.getTokenUtxos(xecWallet, groupTokenId)
+    if (groupUtxos.length === 0) {
+      throw new InsufficientFundsError(`Wallet holds no group tokens for ${groupTokenId}`)
+    }
+    if (groupUtxos[0].token.tokenType?.number !== SLP_NFT1_GROUP) {
+      throw new ValidationError(`Token ${groupTokenId} is not an NFT1 group token`)
+    }
+
+    const frozen = this.tokenTx.frozenOutpoints(xecWallet)
+    const single = groupUtxos.find(utxo => BigInt(utxo.token.atoms) === 1n && !frozen.includes(this.tokenTx.outpointId(utxo)))
+    if (single) {
+      return { groupUtxo: single, split: null }
+    }
+
+    const { utxos, total } = this.tokenTx.selectTokenUtxos(xecWallet, groupTokenId, 1n)
+    const split = await this.tokenTx.splitSlpUtxo(xecWallet, {
+      tokenId: groupTokenId,
+      tokenType: utxos[0].token.tokenType,
+      utxos,
+      amounts: [1n, total - 1n]
+    })
+
+    // Refresh the XEC UTXOs spent by the split
+    await xecWallet.initialize()
+
+    return { groupUtxo: split.utxo, split }
+  }
+}
+
+export default NftMint
@@ -0,0 +1,121 @@
+/*
+  Send a single SLP NFT1 child NFT to an address.
+*/
+
+// Global npm libraries
+import { SLP_NFT1_CHILD } from 'ecash-lib'
+
+// Local libraries
+import WalletUtil from '../lib/wallet-util.js'
+import Output from '../lib/output.js'
+import TokenTx from '../lib/token-tx.js'
+import AddressUtil from '../lib/address-util.js'
+import AmountUtil from '../lib/amount-util.js'
+import { ValidationError, InsufficientFundsError, wrapError } from '../lib/errors.js'
+
+class NftSend {
+  constructor () {
+    // Encapsulate dependencies
+    this.walletUtil = new WalletUtil()
+    this.output = new Output()
+    this.tokenTx = new TokenTx()
+    this.addressUtil = new AddressUtil()
+    this.amountUtil = new AmountUtil()
+
+    // Bind 'this' object to all subfunctions
+    this.run = this.run.bind(this)
+    this.validateFlags = this.validateFlags.bind(this)
+    this.sendNft = this.sendNft.bind(this)
+  }
+
+  async run (flags) {
+    try {
+      this.validateFlags(flags)
+
+      this.output.info(`Sending NFT ${flags.tokenId} from wallet '${flags.name}' to ${flags.addr}...\n`)
+
+      // Load wallet data
+      const walletData = await this.walletUtil.loadWallet(flags.name)
+      this.walletUtil.assertCanSpend(flags.name, walletData)
+
+      const { txid, fee, feeRate } = await this.sendNft(walletData, flags)
+
+      this.output.info('NFT sent successfully!')
+      this.output.info(`   TXID: ${txid}`)
+      this.output.info(`   Fee: ${this.amountUtil.formatFee(fee, feeRate)}`)
+      this.output.info()
+      this.output.info('View this transaction on block explorers:')
+      this.output.info(`   https://explorer.e.cash/tx/${txid}`)
+
+      this.output.json({
+        name: flags.name,
+        tokenId: flags.tokenId,
+        to: flags.addr,
+        txid,
+        fee: this.output.xecAmount(fee),
+        feeRate,
+        explorer: `https://explorer.e.cash/tx/${txid}`
+      })
+
+      return true
+    } catch (err) {
+      console.error('Error sending NFT:', err.message)
+      this.output.error(err)
+      return 0
+    }
+  }
+
+  validateFlags (flags = {}) {
+    // Exit if wallet name not specified
+    const name = flags.name
+    if (!name || name === '') {
+      throw new ValidationError('You must specify a wallet name with the -n flag.')
+    }
+
+    const tokenId = flags.tokenId
+    if (!tokenId || !/^[0-9a-fA-F]{64}$/.test(tokenId)) {
+      throw new ValidationError('You must specify the 64-character hex NFT token ID with the -t flag.')
+    }
+
+    // Token IDs are lowercase hex in the wallet UTXOs, so use that form from here on
+    flags.tokenId = tokenId.toLowerCase()
+
+    if (!flags.addr || flags.addr === '') {
+      throw new ValidationError('You must specify a destination address with the -a flag.')
+    }
+
+    // Fully decode the address and use its ecash: form from here on
+    flags.addr = this.addressUtil.normalize(flags.addr, 'Destination address')
+
+    return true
+  }
+
+  async sendNft (walletData, flags) {
+    try {
+      // Create wallet instance from stored wallet data
+      const xecWallet = this.walletUtil.createXecWallet(walletData)
+      await xecWallet.walletInfoPromise
+
+      // Initialize to get UTXOs
+      await xecWallet.initialize()
+
+      const nftUtxos = this.tokenTx.getTokenUtxos(xecWallet, flags.tokenId)
+      if (nftUtxos.length === 0) {
+        throw new InsufficientFundsError(`Wallet does not hold NFT ${flags.tokenId}`)
+      }
+      if (nftUtxos[0].token.tokenType?.number !== SLP_NFT1_CHILD) {
+        throw new ValidationError(`Token ${flags.tokenId} is not an NFT1 child token. Use send-etokens for fungible tokens.`)
+      }
+
+      return await this.tokenTx.createSend(xecWallet, {
+        tokenId: flags.tokenId,
+        utxos: nftUtxos,
+        recipients: [{ address: flags.addr, atoms: 1n }]
+      })
+    } catch (err) {
+      throw wrapError(err, 'Failed to send NFT')
+    }
+  }
+}
+
+export default NftSend
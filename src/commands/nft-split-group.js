@@ -0,0 +1,131 @@
+/*
+  Split NFT1 group tokens into UTXOs holding exactly one group token each.
+  Every child NFT genesis spends one of these, so splitting ahead of time lets
+  a whole collection be minted without waiting between NFTs.
+*/
+
+// Global npm libraries
+import { SLP_NFT1_GROUP, SLP_MAX_SEND_OUTPUTS } from 'ecash-lib'
+
+// Local libraries
+import WalletUtil from '../lib/wallet-util.js'
+import Output from '../lib/output.js'
+import TokenTx from '../lib/token-tx.js'
+import AmountUtil from '../lib/amount-util.js'
+import { ValidationError, InsufficientFundsError, wrapError } from '../lib/errors.js'
+
+class NftSplitGroup {
+  constructor () {
+    // Encapsulate dependencies
+    this.walletUtil = new WalletUtil()
+    this.output = new Output()
+    this.tokenTx = new TokenTx()
+    this.amountUtil = new AmountUtil()
+
+    // Bind 'this' object to all subfunctions
+    this.run = this.run.bind(this)
+    this.validateFlags = this.validateFlags.bind(this)
+    this.splitGroup = this.splitGroup.bind(this)
+  }
+
+  async run (flags) {
+    try {
+      this.validateFlags(flags)
+
+      this.output.info(`Splitting group ${flags.tokenId} into ${flags.count} single-token UTXOs...\n`)
+
+      // Load wallet data
+      const walletData = await this.walletUtil.loadWallet(flags.name)
+      this.walletUtil.assertCanSpend(flags.name, walletData)
+
+      const { txid, count, fee, feeRate } = await this.splitGroup(walletData, flags)
+
+      this.output.info('Group tokens split successfully!')
+      this.output.info(`   Ready to mint: ${count} NFTs`)
+      this.output.info(`   TXID: ${txid}`)
+      this.output.info(`   Fee: ${this.amountUtil.formatFee(fee, feeRate)}`)
+      this.output.info()
+      this.output.info('View this transaction on block explorers:')
+      this.output.info(`   https://explorer.e.cash/tx/${txid}`)
+
+      this.output.json({
+        name: flags.name,
+        groupTokenId: flags.tokenId,
+        count,
+        txid,
+        fee: this.output.xecAmount(fee),
+        feeRate,
+        explorer: `https://explorer.e.cash/tx/${txid}`
+      })
+
+      return true
+    } catch (err) {
+      console.error('Error splitting group tokens:', err.message)
+      this.output.error(err)
+      return 0
+    }
+  }
+
+  validateFlags (flags = {}) {
+    // Exit if wallet name not specified
+    const name = flags.name
+    if (!name || name === '') {
+      throw new ValidationError('You must specify a wallet name with the -n flag.')
+    }
+
+    const tokenId = flags.tokenId
+    if (!tokenId || !/^[0-9a-fA-F]{64}$/.test(tokenId)) {
+      throw new ValidationError('You must specify the 64-character hex group token ID with the -t flag.')
+    }
+
+    // Token IDs are lowercase hex in the wallet UTXOs, so use that form from here on
+    flags.tokenId = tokenId.toLowerCase()
+
+    // One output is kept for the group token change
+    const count = Number(flags.count)
+    if (!Number.isInteger(count) || count < 1 || count > SLP_MAX_SEND_OUTPUTS - 1) {
+      throw new ValidationError(`Count must be a whole number between 1 and ${SLP_MAX_SEND_OUTPUTS - 1}.`)
+    }
+
+    return true
+  }
+
+  // Send the group tokens back to the wallet as count outputs of 1 plus change
+  async splitGroup (walletData, flags) {
+    try {
+      // Create wallet instance from stored wallet data
+      const xecWallet = this.walletUtil.createXecWallet(walletData)
+      await xecWallet.walletInfoPromise
+
+      // Initialize to get UTXOs
+      await xecWallet.initialize()
+
+      const groupUtxos = this.tokenTx.getTokenUtxos(xecWallet, flags.tokenId)
+      if (groupUtxos.length === 0) {
+        throw new InsufficientFundsError(`Wallet holds no group tokens for ${flags.tokenId}`)
+      }
+      if (groupUtxos[0].token.tokenType?.number !== SLP_NFT1_GROUP) {
+        throw new ValidationError(`Token ${flags.tokenId} is not an NFT1 group token`)
+      }
+
+      const count = Number(flags.count)
+      const { utxos } = this.tokenTx.selectTokenUtxos(xecWallet, flags.tokenId, BigInt(count))
+      const recipients = Array.from({ length: count }, () => ({
+        address: xecWallet.walletInfo.xecAddress,
+        atoms: 1n
+      }))
+
+      const { txid, fee, feeRate } = await this.tokenTx.createSend(xecWallet, {
+        tokenId: flags.tokenId,
+        utxos,
+        recipients
+      })
+
+      return { txid, count, fee, feeRate }
+    } catch (err) {
+      throw wrapError(err, 'Failed to split group tokens')
+    }
+  }
+}
+
+export default NftSplitGroup
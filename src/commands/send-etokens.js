@@ -1,40 +1,83 @@
 /*
-  Send eTokens from a wallet to a destination address.
+  Send eTokens from a wallet to a destination address or an ecash: payment
+  URI, or airdrop them to many addresses listed in a batch file.
   Supports both SLP and ALP tokens with comprehensive validation.
+  The transaction is signed and previewed first, then broadcast once the user
+  confirms it (or right away with --yes). --dry-run stops after the preview.
+  --utxo and --exclude-utxo choose which of the wallet's UTXOs pay for it.
 */
 
 // Global npm libraries
-import MinimalXecWallet from 'minimal-xec-wallet'
+import { SLP_MAX_SEND_OUTPUTS, ALP_POLICY_MAX_OUTPUTS } from 'ecash-lib'
 
 // Local libraries
 import WalletUtil from '../lib/wallet-util.js'
+import Output from '../lib/output.js'
+import BatchFile from '../lib/batch-file.js'
+import PaymentUri from '../lib/payment-uri.js'
+import WalletCache from '../lib/wallet-cache.js'
+import AddressUtil from '../lib/address-util.js'
+import AmountUtil from '../lib/amount-util.js'
+import TokenTx from '../lib/token-tx.js'
+import TxPreview from '../lib/tx-preview.js'
+import CoinControl from '../lib/coin-control.js'
+import { CliError, ValidationError, InsufficientFundsError, BroadcastError, classifyBroadcastError, wrapError } from '../lib/errors.js'
+
+// Recipients per transaction. An SLP SEND encodes at most 19 token outputs,
+// and an ALP SEND at most 29 under the 223-byte OP_RETURN relay limit. One
+// token output is kept for the token change.
+const MAX_RECIPIENTS_PER_TX = {
+  SLP: SLP_MAX_SEND_OUTPUTS - 1,
+  ALP: ALP_POLICY_MAX_OUTPUTS - 1
+}
 
 class SendETokens {
   constructor () {
     // Encapsulate dependencies
-    this.MinimalXecWallet = MinimalXecWallet
     this.walletUtil = new WalletUtil()
+    this.output = new Output()
+    this.walletCache = new WalletCache()
+    this.batchFile = new BatchFile()
+    this.paymentUri = new PaymentUri()
+    this.addressUtil = new AddressUtil()
+    this.amountUtil = new AmountUtil()
+    this.tokenTx = new TokenTx()
+    this.txPreview = new TxPreview()
+    this.coinControl = new CoinControl()
 
     // Bind 'this' object to all subfunctions
     this.run = this.run.bind(this)
     this.validateFlags = this.validateFlags.bind(this)
+    this.applyUri = this.applyUri.bind(this)
     this.loadWallet = this.loadWallet.bind(this)
     this.validateTokenBalance = this.validateTokenBalance.bind(this)
-    this.validateDestination = this.validateDestination.bind(this)
     this.validateQuantity = this.validateQuantity.bind(this)
     this.buildOutputs = this.buildOutputs.bind(this)
-    this.sendTransaction = this.sendTransaction.bind(this)
+    this.resolveCoins = this.resolveCoins.bind(this)
+    this.buildTransaction = this.buildTransaction.bind(this)
+    this.broadcastTransaction = this.broadcastTransaction.bind(this)
+    this.classifySendError = this.classifySendError.bind(this)
     this.displayResults = this.displayResults.bind(this)
     this.handleError = this.handleError.bind(this)
+    this.runBatch = this.runBatch.bind(this)
+    this.parseBatchEntries = this.parseBatchEntries.bind(this)
+    this.buildBatch = this.buildBatch.bind(this)
+    this.sendBatch = this.sendBatch.bind(this)
   }
 
   async run (flags) {
     try {
       // Step 1: Validate all inputs
+      flags = this.applyUri(flags)
       this.validateFlags(flags)
 
-      console.log(`Sending ${flags.qty} eTokens from wallet '${flags.name}'...`)
-      console.log()
+      if (flags.batch) {
+        await this.runBatch(flags)
+        return true
+      }
+
+      this.output.info(`Sending ${flags.qty} eTokens from wallet '${flags.name}'...`)
+      this.output.info()
 
       // Step 2: Load and initialize wallet
       const wallet = await this.loadWallet(flags.name)
@@ -42,30 +85,74 @@ class SendETokens {
       // Step 3: Get token information and validate balance
       const tokenInfo = await this.validateTokenBalance(wallet, flags.tokenId, flags.qty)
 
-      // Step 4: Validate destination address
-      this.validateDestination(flags.addr)
+      // Step 4: Validate quantity with token decimals
+      const atoms = this.validateQuantity(flags.qty, tokenInfo.decimals)
+      const amount = this.amountUtil.formatAtoms(atoms, tokenInfo.decimals, { trim: true })
 
-      // Step 5: Validate quantity with token decimals
-      const validatedQty = this.validateQuantity(flags.qty, tokenInfo.decimals)
+      // Step 5: Build transaction outputs
+      const outputs = this.buildOutputs(flags.addr, atoms)
 
-      // Step 6: Build transaction outputs
-      const outputs = this.buildOutputs(flags.addr, validatedQty, tokenInfo.decimals)
+      this.output.info(`Token: ${tokenInfo.ticker} (${tokenInfo.name})`)
+      this.output.info(`From: ${wallet.walletInfo.xecAddress}`)
+      this.output.info(`To: ${flags.addr}`)
+      this.output.info(`Amount: ${amount} ${tokenInfo.ticker}`)
+      if (flags.label) {
+        this.output.info(`Label: ${flags.label}`)
+      }
+      if (flags.message) {
+        this.output.info(`Message: ${flags.message}`)
+      }
+      this.output.info()
+
+      // Step 6: Sign the transaction and show it before anything is broadcast
+      const coins = this.resolveCoins(wallet, flags)
+      const built = this.buildTransaction(wallet, flags.tokenId, outputs, coins)
+      const summary = this.txPreview.describe(wallet, built, {
+        tokenId: flags.tokenId,
+        ticker: tokenInfo.ticker,
+        decimals: tokenInfo.decimals
+      })
+      this.txPreview.display(summary)
+
+      const result = {
+        name: flags.name,
+        from: wallet.walletInfo.xecAddress,
+        to: flags.addr,
+        tokenId: flags.tokenId,
+        ticker: tokenInfo.ticker,
+        protocol: tokenInfo.protocol,
+        amount,
+        label: flags.label || null,
+        message: flags.message || null,
+        dryRun: Boolean(flags.dryRun),
+        preview: this.txPreview.toJson(summary)
+      }
 
-      console.log(`Token: ${tokenInfo.ticker} (${tokenInfo.name})`)
-      console.log(`From: ${wallet.walletInfo.xecAddress}`)
-      console.log(`To: ${flags.addr}`)
-      console.log(`Amount: ${validatedQty} ${tokenInfo.ticker}`)
-      console.log()
+      if (flags.dryRun) {
+        this.output.info('Dry run: the transaction was not broadcast.')
+        this.output.json({ ...result, txid: null, explorer: null })
+        return true
+      }
 
-      // Step 7: Send transaction
-      const txid = await this.sendTransaction(wallet, flags.tokenId, outputs)
+      // Step 7: Confirm and broadcast
+      await this.txPreview.confirm(flags, flags.uri ? 'Pay this request?' : 'Send this transaction?')
+      const txid = await this.broadcastTransaction(wallet, built)
 
       // Step 8: Display results
-      this.displayResults(txid, flags, tokenInfo)
+      this.displayResults(txid, flags, tokenInfo, built)
+
+      this.output.json({
+        ...result,
+        txid,
+        fee: this.output.xecAmount(built.fee),
+        feeRate: built.feeRate,
+        explorer: `https://explorer.e.cash/tx/${txid}`
+      })
 
       return true
     } catch (err) {
       this.handleError(err)
+      this.output.error(err)
       return 0
     }
   }
@@ -73,45 +160,100 @@ class SendETokens {
   validateFlags (flags = {}) {
     // Exit if wallet name not specified
     if (!flags.name || flags.name === '') {
-      throw new Error('You must specify a wallet name with the -n flag.')
+      throw new ValidationError('You must specify a wallet name with the -n flag.')
     }
 
     // Exit if token ID not specified
     if (!flags.tokenId || flags.tokenId === '') {
-      throw new Error('You must specify a token ID with the -t flag.')
+      throw new ValidationError('You must specify a token ID with the -t flag, or a payment URI with --uri.')
     }
 
     // Validate token ID format (64 character hex string)
     if (typeof flags.tokenId !== 'string' || flags.tokenId.length !== 64) {
-      throw new Error('Token ID must be a 64-character hex string.')
+      throw new ValidationError('Token ID must be a 64-character hex string.')
     }
 
     const hexPattern = /^[a-fA-F0-9]+$/
     if (!hexPattern.test(flags.tokenId)) {
-      throw new Error('Token ID must contain only hexadecimal characters.')
+      throw new ValidationError('Token ID must contain only hexadecimal characters.')
+    }
+
+    // Token IDs are lowercase hex in the wallet UTXOs, so use that form from here on
+    flags.tokenId = flags.tokenId.toLowerCase()
+
+    // Check the coin control outpoints before anything is loaded
+    const utxos = this.coinControl.parseOutpoints(flags.utxo, '--utxo')
+    this.coinControl.parseOutpoints(flags.excludeUtxo, '--exclude-utxo')
+
+    // A batch file replaces the single recipient flags
+    if (flags.batch) {
+      if (flags.addr || flags.qty) {
+        throw new ValidationError('Use either --batch or -a/-q, not both.')
+      }
+      if (utxos.length > 0) {
+        throw new ValidationError('--utxo picks the inputs of a single transaction. Use --exclude-utxo with --batch.')
+      }
+      return true
     }
 
     // Exit if destination address not specified
     if (!flags.addr || flags.addr === '') {
-      throw new Error('You must specify a destination address with the -a flag.')
+      throw new ValidationError('You must specify a destination address with the -a flag.')
     }
 
+    // Fully decode the address and use its ecash: form from here on
+    flags.addr = this.addressUtil.normalize(flags.addr, 'Destination address')
+
     // Exit if quantity not specified
     if (!flags.qty || flags.qty === '') {
-      throw new Error('You must specify a quantity with the -q flag.')
+      throw new ValidationError('You must specify a quantity with the -q flag.')
     }
 
     return true
   }
 
+  // Take the token, recipient, amount, label and message from a --uri payment request
+  applyUri (flags = {}) {
+    if (!flags.uri) {
+      return flags
+    }
+    if (flags.addr || flags.batch) {
+      throw new ValidationError('Use either --uri or -a/--batch, not both.')
+    }
+
+    const request = this.paymentUri.parse(flags.uri)
+    if (!request.tokenId) {
+      throw new ValidationError('This URI requests an XEC payment. Pay it with send-xec --uri.')
+    }
+    if (flags.tokenId && flags.tokenId.toLowerCase() !== request.tokenId) {
+      throw new ValidationError(`The payment URI requests token ${request.tokenId}, not the one given with -t.`)
+    }
+    if (request.amount && flags.qty) {
+      throw new ValidationError('The payment URI already sets the amount. Leave out -q.')
+    }
+    if (!request.amount && !flags.qty) {
+      throw new ValidationError('The payment URI has no amount. Add one with -q.')
+    }
+
+    return {
+      ...flags,
+      tokenId: request.tokenId,
+      addr: request.address,
+      qty: request.amount || flags.qty,
+      label: request.label,
+      message: request.message
+    }
+  }
+
   // Load and initialize wallet
   async loadWallet (walletName) {
     try {
       // Load wallet data
       const walletData = await this.walletUtil.loadWallet(walletName)
+      this.walletUtil.assertCanSpend(walletName, walletData)
 
-      // Create wallet instance from stored mnemonic
-      const wallet = new this.MinimalXecWallet(walletData.wallet.mnemonic)
+      // Create wallet instance from stored wallet data
+      const wallet = this.walletUtil.createXecWallet(walletData)
       await wallet.walletInfoPromise
 
       // Initialize to get UTXOs and balance
@@ -119,7 +261,7 @@ class SendETokens {
 
       return wallet
     } catch (err) {
-      throw new Error(`Failed to load wallet '${walletName}': ${err.message}`)
+      throw wrapError(err, `Failed to load wallet '${walletName}'`)
     }
   }
 
@@ -127,29 +269,28 @@ class SendETokens {
   async validateTokenBalance (wallet, tokenId, requestedQty) {
     try {
       // Get token metadata
-      const tokenData = await wallet.getETokenData(tokenId)
+      const tokenData = await this.walletCache.getTokenData(wallet, tokenId)
       if (!tokenData) {
-        throw new Error(`Token ${tokenId} not found or not supported.`)
+        throw new ValidationError(`Token ${tokenId} not found or not supported.`)
       }
 
       // Get current balance from UTXOs (most reliable method)
       const eTokens = await this.getTokenBalanceFromUtxos(wallet, tokenId)
       if (eTokens.length === 0) {
-        throw new Error(`No ${tokenData.ticker || 'tokens'} found in wallet.`)
+        throw new InsufficientFundsError(`No ${tokenData.ticker || 'tokens'} found in wallet.`)
       }
 
       const balance = eTokens[0].balance
 
       // Convert requested amount to atoms (considering decimals)
       const decimals = tokenData.decimals || 0
-      const requestedAtoms = parseFloat(requestedQty) * Math.pow(10, decimals)
-      const availableTokens = balance / Math.pow(10, decimals)
+      const requestedAtoms = this.amountUtil.toAtoms(requestedQty, decimals)
 
       // Validate sufficient balance
       if (balance < requestedAtoms) {
-        throw new Error(
+        throw new InsufficientFundsError(
           `Insufficient ${tokenData.ticker || 'token'} balance. ` +
-          `Requested: ${requestedQty}, Available: ${availableTokens}`
+          `Requested: ${requestedQty}, Available: ${this.amountUtil.formatAtoms(balance, decimals, { trim: true })}`
         )
       }
 
@@ -161,10 +302,10 @@ class SendETokens {
         protocol: tokenData.protocol || 'SLP'
       }
     } catch (err) {
-      if (err.message.includes('Insufficient')) {
+      if (err instanceof ValidationError || err.message.includes('Insufficient')) {
         throw err
       }
-      throw new Error(`Failed to validate token balance: ${err.message}`)
+      throw wrapError(err, 'Failed to validate token balance')
     }
   }
 
@@ -185,19 +326,8 @@ class SendETokens {
         return []
       }
 
-      // Sum up token balance (handle BigInt values)
-      let totalBalance = 0
-      for (const token of tokenUtxos) {
-        let atoms = 0
-        if (typeof token.atoms === 'bigint') {
-          atoms = Number(token.atoms)
-        } else if (typeof token.atoms === 'string') {
-          atoms = parseFloat(token.atoms)
-        } else {
-          atoms = parseFloat(token.atoms) || 0
-        }
-        totalBalance += atoms
-      }
+      // Sum up token balance in atoms
+      const totalBalance = this.amountUtil.sum(tokenUtxos.map(token => token.atoms))
 
       return [{ balance: totalBalance }]
     } catch (err) {
@@ -205,237 +335,348 @@ class SendETokens {
     }
   }
 
-  // Validate destination address
-  validateDestination (address) {
-    try {
-      if (!address || typeof address !== 'string') {
-        throw new Error('Address must be a non-empty string')
-      }
+  // Validate quantity with decimal precision and return it in atoms
+  validateQuantity (qty, decimals) {
+    const atoms = this.amountUtil.toAtoms(qty, decimals)
 
-      // Only allow eCash addresses (ecash: prefix)
-      if (!address.startsWith('ecash:')) {
-        throw new Error('Address must be an eCash address (ecash: prefix)')
-      }
+    if (atoms === 0n) {
+      throw new ValidationError(`Invalid quantity: Quantity must be at least ${this.amountUtil.formatAtoms(1n, decimals)}`)
+    }
 
-      // Basic format validation - eCash addresses are typically 42-60 characters
-      if (address.length < 42 || address.length > 60) {
-        throw new Error('Invalid eCash address length')
-      }
+    return atoms
+  }
 
-      // Check for valid base32 characters after prefix
-      const addressPart = address.substring(6) // Remove "ecash:" prefix
-      if (!/^[qpzry9x8gf2tvdw0s3jn54khce6mua7l]+$/.test(addressPart)) {
-        throw new Error('Invalid eCash address format')
-      }
+  // Build the token outputs: one recipient receiving an exact number of atoms
+  buildOutputs (address, atoms) {
+    return [{ address, atoms }]
+  }
 
-      return true
+  // The --utxo and --exclude-utxo coins of a send. --utxo may name UTXOs of
+  // the token being sent and pure XEC UTXOs for the fee, nothing else.
+  resolveCoins (wallet, flags) {
+    const coins = this.coinControl.resolve(wallet, flags)
+
+    const other = coins.include.find(utxo => utxo.token &&
+      (utxo.token.tokenId !== flags.tokenId || utxo.token.isMintBaton))
+    if (other) {
+      throw new ValidationError(
+        `UTXO ${this.tokenTx.outpointId(other)} holds ${this.coinControl.describeUtxo(other)}. ` +
+        '--utxo can only pick UTXOs of the token being sent and pure XEC UTXOs.'
+      )
+    }
+
+    return coins
+  }
+
+  // Sign a send spending token UTXOs that cover the outputs. The
+  // transaction is built here rather than by the wallet library, which
+  // converts token amounts through floating point numbers.
+  // coins ({ include, exclude }) are the --utxo and --exclude-utxo choices:
+  // token or XEC UTXOs given with --utxo replace the automatic selection of
+  // that kind.
+  buildTransaction (wallet, tokenId, outputs, coins = { include: [], exclude: [] }) {
+    try {
+      const atoms = this.amountUtil.sum(outputs.map(output => output.atoms))
+      const tokenUtxos = coins.include.filter(utxo => utxo.token)
+      const xecUtxos = coins.include.filter(utxo => !utxo.token)
+
+      const { utxos } = tokenUtxos.length > 0
+        ? { utxos: tokenUtxos }
+        : this.tokenTx.selectTokenUtxos(wallet, tokenId, atoms, coins.exclude)
+
+      return this.tokenTx.buildSend(wallet, {
+        tokenId,
+        utxos,
+        recipients: outputs,
+        xecUtxos: xecUtxos.length > 0 ? xecUtxos : undefined,
+        exclude: coins.exclude
+      })
     } catch (err) {
-      throw new Error(`Invalid destination address: ${err.message}`)
+      throw this.classifySendError(err)
     }
   }
 
-  // Validate quantity with decimal precision
-  validateQuantity (qty, decimals) {
+  async broadcastTransaction (wallet, built) {
     try {
-      const amount = parseFloat(qty)
+      this.output.info('Broadcasting transaction...')
 
-      if (isNaN(amount)) {
-        throw new Error('Quantity must be a valid number')
-      }
+      return await this.tokenTx.broadcastTx(wallet, built)
+    } catch (err) {
+      throw this.classifySendError(err)
+    }
+  }
 
-      if (amount <= 0) {
-        throw new Error('Quantity must be greater than 0')
-      }
+  classifySendError (err) {
+    if (err instanceof CliError) {
+      return err
+    } else if (err.message.includes('Insufficient XEC')) {
+      return err // Pass through XEC fee errors as-is
+    } else if (err.message.includes('Insufficient')) {
+      return new InsufficientFundsError(`Insufficient funds: ${err.message}`)
+    } else if (err.message.includes('UTXO')) {
+      return new BroadcastError(`Transaction building failed: ${err.message}. Try again in a few moments.`)
+    } else {
+      return wrapError(classifyBroadcastError(err), 'Transaction failed')
+    }
+  }
 
-      // Check decimal precision doesn't exceed token decimals
-      const decimalPlaces = (qty.toString().split('.')[1] || '').length
-      if (decimalPlaces > decimals) {
-        throw new Error(`Too many decimal places. Token supports max ${decimals} decimals`)
-      }
+  // Display successful transaction results
+  displayResults (txid, flags, tokenInfo, built) {
+    this.output.info('Transaction sent successfully!')
+    this.output.info()
+    this.output.info('Transaction Details:')
+    this.output.info(`   TXID: ${txid}`)
+    this.output.info(`   From Wallet: ${flags.name}`)
+    this.output.info(`   To Address: ${flags.addr}`)
+    this.output.info(`   Amount: ${flags.qty} ${tokenInfo.ticker}`)
+    this.output.info(`   Token: ${tokenInfo.name} (${tokenInfo.protocol})`)
+    this.output.info(`   Fee: ${this.amountUtil.formatFee(built.fee, built.feeRate)}`)
+    this.output.info()
+    this.output.info('View this transaction on block explorers:')
+    this.output.info(`   https://explorer.e.cash/tx/${txid}`)
+    this.output.info(`   https://3xpl.com/ecash/transaction/${txid}`)
+    this.output.info()
+    this.output.info('Commands:')
+    this.output.info(`   Check balance: node xec-wallet.js wallet-balance -n ${flags.name}`)
+    this.output.info(`   Token info: node xec-wallet.js etoken-info -t ${flags.tokenId}`)
+  }
 
-      // Minimum unit validation (1 atom)
-      const atoms = amount * Math.pow(10, decimals)
-      if (atoms < 1) {
-        const minAmount = 1 / Math.pow(10, decimals)
-        throw new Error(`Amount too small. Minimum: ${minAmount}`)
-      }
+  // Airdrop tokens to every recipient listed in a batch file
+  async runBatch (flags) {
+    const entries = await this.batchFile.read(flags.batch)
 
-      return amount
-    } catch (err) {
-      throw new Error(`Invalid quantity: ${err.message}`)
+    const wallet = await this.loadWallet(flags.name)
+
+    // Token metadata and the current balance from the wallet UTXOs
+    const tokenInfo = await this.validateTokenBalance(wallet, flags.tokenId, 0)
+    const rows = this.parseBatchEntries(entries, flags.batch, tokenInfo.decimals)
+
+    const totalAtoms = this.amountUtil.sum(rows.map(row => row.atoms))
+    const totalTokens = this.amountUtil.formatAtoms(totalAtoms, tokenInfo.decimals, { trim: true })
+    if (totalAtoms > tokenInfo.balance) {
+      const available = this.amountUtil.formatAtoms(tokenInfo.balance, tokenInfo.decimals, { trim: true })
+      throw new InsufficientFundsError(
+        `Insufficient ${tokenInfo.ticker} balance. ` +
+        `The batch needs ${totalTokens}, Available: ${available}`
+      )
     }
-  }
 
-  // Build transaction outputs
-  buildOutputs (address, quantity, decimals) {
-    try {
-      // Use quantity directly (not converted to atoms) as shown in minimal-xec-wallet examples
-      // The wallet API expects the display amount, not atoms
-      const outputs = [{
-        address: address,
-        amount: quantity
-      }]
-
-      return outputs
-    } catch (err) {
-      throw new Error(`Failed to build transaction outputs: ${err.message}`)
+    // Group the recipients to stay within the protocol output limit
+    const perTx = MAX_RECIPIENTS_PER_TX[tokenInfo.protocol.toUpperCase()] || MAX_RECIPIENTS_PER_TX.SLP
+    const chunks = []
+    for (let i = 0; i < rows.length; i += perTx) {
+      chunks.push(rows.slice(i, i + perTx))
     }
+
+    this.output.info(`Token: ${tokenInfo.ticker} (${tokenInfo.name}, ${tokenInfo.protocol})`)
+    this.output.info(`From: ${wallet.walletInfo.xecAddress}`)
+    this.output.info(`Batch: ${flags.batch}`)
+    this.output.info(`   Recipients: ${rows.length}`)
+    this.output.info(`   Total: ${this.amountUtil.formatAtoms(totalAtoms, tokenInfo.decimals, { trim: true, group: true })} ${tokenInfo.ticker}`)
+    this.output.info(`   Transactions: ${chunks.length} (up to ${perTx} recipients each)`)
+    this.output.info()
+
+    // Sign every transaction and show them before anything is broadcast
+    const { exclude } = this.coinControl.resolve(wallet, flags)
+    const token = { tokenId: flags.tokenId, ticker: tokenInfo.ticker, decimals: tokenInfo.decimals }
+    const batch = this.buildBatch(wallet, chunks, token, exclude)
+    const chunkAmount = i => this.amountUtil.formatAtoms(this.amountUtil.sum(chunks[i].map(row => row.atoms)), tokenInfo.decimals, { trim: true })
+    const summaries = batch.map(tx => tx.summary)
+    this.txPreview.displayBatch(summaries, i => `${chunks[i].length} recipients, ${chunkAmount(i)} ${tokenInfo.ticker}`)
+
+    const result = {
+      name: flags.name,
+      tokenId: flags.tokenId,
+      ticker: tokenInfo.ticker,
+      protocol: tokenInfo.protocol,
+      batch: flags.batch,
+      recipients: rows.length,
+      total: totalTokens,
+      fee: this.output.xecAmount(this.txPreview.batchTotals(summaries).fee),
+      dryRun: Boolean(flags.dryRun)
+    }
+
+    if (flags.dryRun) {
+      this.output.info('Dry run: nothing was sent.')
+      this.output.json({
+        ...result,
+        transactions: batch.map(({ built }, i) => ({
+          txid: null,
+          recipients: chunks[i].length,
+          amount: chunkAmount(i),
+          fee: Number(built.fee),
+          feeRate: built.feeRate
+        })),
+        resultsFile: null
+      })
+      return []
+    }
+
+    await this.txPreview.confirm(flags, `Send ${chunks.length} transaction${chunks.length === 1 ? '' : 's'}?`)
+
+    const { transactions, error } = await this.sendBatch(wallet, chunks, batch, tokenInfo.decimals)
+
+    // Record the outcome of every row, even when a transaction failed midway
+    const resultsPath = flags.results || this.batchFile.getResultsPath(flags.batch)
+    await this.batchFile.writeResults(resultsPath, rows)
+
+    transactions.forEach((tx, i) => {
+      this.output.info(`Transaction ${i + 1}: ${tx.recipients} recipients, ${tx.amount} ${tokenInfo.ticker}`)
+      this.output.info(`   TXID: ${tx.txid}`)
+      this.output.info(`   Fee: ${this.amountUtil.formatFee(tx.fee, tx.feeRate)}`)
+      this.output.info(`   https://explorer.e.cash/tx/${tx.txid}`)
+    })
+    this.output.info()
+    this.output.info(`Results written to: ${resultsPath}`)
+
+    if (error) {
+      throw error
+    }
+
+    this.output.info('Airdrop sent successfully!')
+
+    this.output.json({
+      ...result,
+      transactions,
+      resultsFile: resultsPath
+    })
+
+    return transactions
   }
 
-  // Send the transaction
-  async sendTransaction (wallet, tokenId, outputs) {
-    try {
-      console.log('Building and broadcasting transaction...')
-
-      // Check XEC balance first - get detailed balance for better debugging
-      const detailedBalance = await wallet.getDetailedBalance()
-      const xecBalance = detailedBalance.total
-      
-      if (xecBalance < 0.1) {
-        throw new Error(`Insufficient XEC for transaction fees. Current balance: ${xecBalance} XEC. Minimum required: ~0.1 XEC`)
+  // Validate every entry against the token decimals and report all bad lines at once
+  parseBatchEntries (entries, batchPath, decimals) {
+    const rows = []
+    const errors = []
+    for (const entry of entries) {
+      try {
+        const address = this.addressUtil.normalize(entry.address)
+        const atoms = this.validateQuantity(entry.amount, decimals)
+        rows.push({
+          ...entry,
+          address,
+          atoms,
+          txid: null,
+          status: 'pending'
+        })
+      } catch (err) {
+        errors.push(`   Line ${entry.line}: ${err.message}`)
       }
+    }
 
-      // Try multiple approaches for both SLP and ALP tokens
-      
-      // Method 1: Try wallet.sendETokens with fee rate (primary method)
+    if (errors.length > 0) {
+      throw new ValidationError(`Batch file ${batchPath} has ${errors.length} invalid line${errors.length === 1 ? '' : 's'}:\n${errors.join('\n')}`)
+    }
+
+    return rows
+  }
+
+  // Sign one token transaction per chunk of recipients without broadcasting
+  // them. Each one spends the token and XEC change of the one before, so the
+  // whole batch can be previewed first. token ({ tokenId, ticker, decimals })
+  // is the token sent; exclude lists the --exclude-utxo outpoints, kept out
+  // of every transaction. Returns the signed transaction and preview of each
+  // chunk.
+  buildBatch (wallet, chunks, token, exclude = []) {
+    const batch = []
+    for (let i = 0; i < chunks.length; i++) {
       try {
-        // Use higher fee rate to help with UTXO selection and change calculation
-        const txid = await wallet.sendETokens(tokenId, outputs, 2.0)
-        return txid
+        const outputs = chunks[i].flatMap(row => this.buildOutputs(row.address, row.atoms))
+        const built = this.buildTransaction(wallet, token.tokenId, outputs, { include: [], exclude })
+        const summary = this.txPreview.describe(wallet, built, token)
+
+        // Token inputs come first and all hold the token being sent
+        const tokenType = built.inputs[0].token.tokenType
+        this.tokenTx.applyToWallet(wallet, built, { tokenId: token.tokenId, tokenType })
+        batch.push({ built, summary })
       } catch (err) {
-        
-        // Check for specific errors - catch insufficient XEC errors that are deeply nested
-        if (err.message.includes('Insufficient XEC') || err.message.includes('Need ') || err.message.includes('have ')) {
-          // Extract the actual requirement from the error message
-          const needMatch = err.message.match(/Need (\d+) sats/)
-          const haveMatch = err.message.match(/have (\d+) from tokens/)
-          
-          if (needMatch && haveMatch) {
-            const needXec = parseInt(needMatch[1]) / 100
-            const haveXec = parseInt(haveMatch[1]) / 100
-            
-            throw new Error(`❌ TOKEN SEND FAILED: Insufficient pure XEC for transaction fees.\n\nRequired: ${needXec} XEC for fees\nAvailable: ${haveXec} XEC in pure XEC UTXOs\nLocked: ${(xecBalance - haveXec).toFixed(2)} XEC in token UTXOs\n\n💡 Solutions:\n   1. Send 15+ XEC to wallet: node xec-wallet.js send-xec (from external wallet)\n   2. Or use wallet.optimize() to consolidate UTXOs\n\n⚠️  eToken transactions need pure XEC UTXOs for fees!`)
-          } else {
-            throw new Error(`❌ TOKEN SEND FAILED: ${err.message}`)
-          }
-        }
-        
-        if (err.message.includes('dust')) {
-          // This is likely an ALP dust issue - try to consolidate first
-          console.log('Dust error detected, attempting UTXO optimization...')
-          
-          try {
-            const optimizeResult = await wallet.optimize()
-            if (optimizeResult.success && optimizeResult.transactions && optimizeResult.transactions.length > 0) {
-              throw new Error('UTXOs were consolidated. Please wait for confirmation and try sending again in a few moments.')
-            } else {
-              throw new Error('ALP transaction failed due to dust outputs. The wallet needs larger XEC UTXOs. Try sending more XEC to the wallet first.')
-            }
-          } catch (optimizeErr) {
-            throw new Error(`ALP transaction failed due to dust outputs: ${err.message}. Consolidation attempt also failed: ${optimizeErr.message}`)
-          }
-        }
-        
-        console.log('Primary method failed, trying alternative...')
-
-        // Method 2: Fallback to hybridTokens.sendTokens
-        // Note: hybridTokens.sendTokens expects different signature: (tokenId, outputs, walletInfo, utxos, satsPerByte)
-        try {
-          const txid = await wallet.hybridTokens.sendTokens(
-            tokenId, 
-            outputs, 
-            {
-              mnemonic: wallet.walletInfo.mnemonic,
-              xecAddress: wallet.walletInfo.xecAddress,
-              hdPath: wallet.walletInfo.hdPath,
-              privateKey: wallet.walletInfo.privateKey,
-              publicKey: wallet.walletInfo.publicKey
-            },
-            wallet.utxos.utxoStore.xecUtxos,
-            2.0
-          )
-          return txid
-        } catch (err2) {
-          // Both methods failed, throw the most relevant error
-          if (err.message.includes('dust')) {
-            throw new Error(`Token transaction failed due to dust outputs. This can happen with ALP tokens when UTXOs are too small. Try sending more XEC to the wallet first: ${err.message}`)
-          }
-          throw err
-        }
-      }
-    } catch (err) {
-      if (err.message.includes('Insufficient XEC')) {
-        throw err // Pass through XEC fee errors as-is
-      } else if (err.message.includes('Insufficient')) {
-        throw new Error(`Insufficient funds: ${err.message}`)
-      } else if (err.message.includes('UTXO')) {
-        throw new Error(`Transaction building failed: ${err.message}. Try again in a few moments.`)
-      } else {
-        throw new Error(`Transaction failed: ${err.message}`)
+        throw wrapError(err, `Failed to build transaction ${i + 1} of ${chunks.length}`)
       }
     }
+
+    return batch
   }
 
-  // Display successful transaction results
-  displayResults (txid, flags, tokenInfo) {
-    console.log('Transaction sent successfully!')
-    console.log()
-    console.log('Transaction Details:')
-    console.log(`   TXID: ${txid}`)
-    console.log(`   From Wallet: ${flags.name}`)
-    console.log(`   To Address: ${flags.addr}`)
-    console.log(`   Amount: ${flags.qty} ${tokenInfo.ticker}`)
-    console.log(`   Token: ${tokenInfo.name} (${tokenInfo.protocol})`)
-    console.log()
-    console.log('View this transaction on block explorers:')
-    console.log(`   https://explorer.e.cash/tx/${txid}`)
-    console.log(`   https://3xpl.com/ecash/transaction/${txid}`)
-    console.log()
-    console.log('Commands:')
-    console.log(`   Check balance: node xec-wallet.js wallet-balance -n ${flags.name}`)
-    console.log(`   Token info: node xec-wallet.js etoken-info -t ${flags.tokenId}`)
+  // Broadcast the signed transaction of each chunk of recipients, in order.
+  // Stops at the first failure and returns it, so the rows already paid can
+  // still be recorded.
+  async sendBatch (wallet, chunks, batch, decimals) {
+    const transactions = []
+    for (let i = 0; i < chunks.length; i++) {
+      const chunk = chunks[i]
+      const { built } = batch[i]
+      try {
+        const txid = await this.broadcastTransaction(wallet, built)
+
+        chunk.forEach(row => {
+          row.txid = txid
+          row.status = 'sent'
+        })
+        transactions.push({
+          txid,
+          recipients: chunk.length,
+          amount: this.amountUtil.formatAtoms(this.amountUtil.sum(chunk.map(row => row.atoms)), decimals, { trim: true }),
+          fee: Number(built.fee),
+          feeRate: built.feeRate
+        })
+      } catch (err) {
+        chunks.slice(i).flat().forEach(row => {
+          row.status = 'failed'
+        })
+        const error = wrapError(err, `Transaction ${i + 1} of ${chunks.length} failed`)
+        return { transactions, error }
+      }
+    }
+
+    return { transactions, error: null }
   }
 
   // Handle and display errors appropriately
   handleError (err) {
     if (err.message.includes('Insufficient XEC')) {
       console.error('Insufficient XEC for Fees:', err.message)
-      console.log()
-      console.log('Suggestions:')
-      console.log('   - Send more XEC to your wallet for transaction fees')
-      console.log('   - The wallet needs at least 1-2 XEC to cover eToken transaction fees')
-      console.log('   - Check XEC balance with: node xec-wallet.js wallet-balance -n <wallet>')
+      this.output.info()
+      this.output.info('Suggestions:')
+      this.output.info('   - Send more XEC to your wallet for transaction fees')
+      this.output.info('   - The wallet needs at least 1-2 XEC to cover eToken transaction fees')
+      this.output.info('   - Check XEC balance with: node xec-wallet.js wallet-balance -n <wallet>')
     } else if (err.message.includes('Insufficient')) {
       console.error('Insufficient Balance:', err.message)
-      console.log()
-      console.log('Suggestions:')
-      console.log('   - Check your token balance with: node xec-wallet.js wallet-balance -n <wallet>')
-      console.log('   - Verify you have enough of the specified token')
+      this.output.info()
+      this.output.info('Suggestions:')
+      this.output.info('   - Check your token balance with: node xec-wallet.js wallet-balance -n <wallet>')
+      this.output.info('   - Verify you have enough of the specified token')
+    } else if (err.message.includes('UTXO') || err.message.includes('utxo')) {
+      console.error('Coin Control:', err.message)
+      this.output.info()
+      this.output.info('Suggestions:')
+      this.output.info('   - List the wallet UTXOs and their outpoints with: node xec-wallet.js utxo-list -n <wallet>')
+      this.output.info('   - Give outpoints as txid:outIdx, e.g. --utxo <txid>:0')
     } else if (err.message.includes('address')) {
       console.error('Invalid Address:', err.message)
-      console.log()
-      console.log('Suggestions:')
-      console.log('   - Use eCash address format: ecash:qr5x...')
-      console.log('   - Double-check the destination address')
+      this.output.info()
+      this.output.info('Suggestions:')
+      this.output.info('   - Use eCash address format: ecash:qr5x...')
+      this.output.info('   - Double-check the destination address')
     } else if (err.message.includes('Token ID')) {
       console.error('Invalid Token ID:', err.message)
-      console.log()
-      console.log('Suggestions:')
-      console.log('   - Use a 64-character hex token ID')
-      console.log('   - Check available tokens: node xec-wallet.js wallet-balance -n <wallet>')
+      this.output.info()
+      this.output.info('Suggestions:')
+      this.output.info('   - Use a 64-character hex token ID')
+      this.output.info('   - Check available tokens: node xec-wallet.js wallet-balance -n <wallet>')
     } else if (err.message.includes('quantity') || err.message.includes('decimal')) {
       console.error('Invalid Quantity:', err.message)
-      console.log()
-      console.log('Suggestions:')
-      console.log('   - Use a positive number for quantity')
-      console.log('   - Check token decimal precision with: node xec-wallet.js etoken-info -t <token-id>')
+      this.output.info()
+      this.output.info('Suggestions:')
+      this.output.info('   - Use a positive number for quantity')
+      this.output.info('   - Check token decimal precision with: node xec-wallet.js etoken-info -t <token-id>')
     } else {
       console.error('Transaction Failed:', err.message)
-      console.log()
-      console.log('Suggestions:')
-      console.log('   - Verify wallet has sufficient XEC for fees (need ~1-2 XEC)')
-      console.log('   - Check network connectivity')
-      console.log('   - Try again in a few moments')
+      this.output.info()
+      this.output.info('Suggestions:')
+      this.output.info('   - Verify wallet has sufficient XEC for fees (need ~1-2 XEC)')
+      this.output.info('   - Check network connectivity')
+      this.output.info('   - Try again in a few moments')
     }
   }
 
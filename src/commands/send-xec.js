@@ -1,49 +1,131 @@
 /*
-  Send XEC to a given address.
+  Send XEC to a given address, to the address and amount of an ecash: payment
+  URI, or to many addresses listed in a batch file.
+  The transaction is signed and previewed first, then broadcast once the user
+  confirms it (or right away with --yes). --dry-run stops after the preview.
+  --utxo and --exclude-utxo choose which of the wallet's UTXOs pay for it.
 */
 
 // Global npm libraries
-import MinimalXecWallet from 'minimal-xec-wallet'
+import { MAX_TX_SERSIZE, P2PKH_OUTPUT_SIZE } from 'ecash-lib'
 
 // Local libraries
 import WalletUtil from '../lib/wallet-util.js'
+import Output from '../lib/output.js'
+import BatchFile from '../lib/batch-file.js'
+import PaymentUri from '../lib/payment-uri.js'
+import AddressUtil from '../lib/address-util.js'
+import AmountUtil from '../lib/amount-util.js'
+import TokenTx from '../lib/token-tx.js'
+import TxPreview from '../lib/tx-preview.js'
+import CoinControl from '../lib/coin-control.js'
+import { ValidationError, InsufficientFundsError, classifyBroadcastError, wrapError } from '../lib/errors.js'
+
+// Bytes of a batch transaction besides its recipients: version, locktime,
+// input and output counts, one signed P2PKH input and the change output
+const TX_BASE_BYTES = 194
+
+// Nodes refuse transactions larger than MAX_TX_SERSIZE (100 kB), and each
+// P2PKH recipient adds P2PKH_OUTPUT_SIZE (34) bytes. A batch transaction
+// starts with as many recipients as fit next to a single input, and gives
+// some up when it needs more inputs.
+const MAX_OUTPUTS_PER_TX = Math.floor((MAX_TX_SERSIZE - TX_BASE_BYTES) / P2PKH_OUTPUT_SIZE)
+
+// Smallest output the network relays
+const DUST_SATS = 546n
 
 class SendXec {
   constructor () {
     // Encapsulate dependencies
-    this.MinimalXecWallet = MinimalXecWallet
     this.walletUtil = new WalletUtil()
+    this.output = new Output()
+    this.batchFile = new BatchFile()
+    this.paymentUri = new PaymentUri()
+    this.addressUtil = new AddressUtil()
+    this.amountUtil = new AmountUtil()
+    this.tokenTx = new TokenTx()
+    this.txPreview = new TxPreview()
+    this.coinControl = new CoinControl()
 
     // Bind 'this' object to all subfunctions
     this.run = this.run.bind(this)
     this.validateFlags = this.validateFlags.bind(this)
-    this.sendXec = this.sendXec.bind(this)
-    this.validateAddress = this.validateAddress.bind(this)
+    this.applyUri = this.applyUri.bind(this)
+    this.showRequest = this.showRequest.bind(this)
+    this.buildTransaction = this.buildTransaction.bind(this)
+    this.broadcastTransaction = this.broadcastTransaction.bind(this)
     this.validateAmount = this.validateAmount.bind(this)
+    this.runBatch = this.runBatch.bind(this)
+    this.parseBatchEntries = this.parseBatchEntries.bind(this)
+    this.buildBatch = this.buildBatch.bind(this)
+    this.sendBatch = this.sendBatch.bind(this)
   }
 
   async run (flags) {
     try {
+      flags = this.applyUri(flags)
       this.validateFlags(flags)
 
-      console.log(`Sending ${flags.qty} XEC from wallet '${flags.name}' to ${flags.addr}...\n`)
+      if (flags.batch) {
+        await this.runBatch(flags)
+        return true
+      }
+
+      if (flags.uri) {
+        this.showRequest(flags)
+      }
+
+      this.output.info(`Sending ${flags.qty} XEC from wallet '${flags.name}' to ${flags.addr}...\n`)
 
       // Load wallet data
       const walletData = await this.walletUtil.loadWallet(flags.name)
-      
-      // Send XEC
-      const txid = await this.sendXec(walletData, flags)
+      this.walletUtil.assertCanSpend(flags.name, walletData)
+
+      // Sign the transaction and show it before anything is broadcast
+      const { xecWallet, built } = await this.buildTransaction(walletData, flags)
+      const summary = this.txPreview.describe(xecWallet, built)
+      this.txPreview.display(summary)
+
+      const result = {
+        name: flags.name,
+        to: flags.addr,
+        amount: this.output.xecAmount(this.amountUtil.toSats(flags.qty)),
+        label: flags.label || null,
+        message: flags.message || null,
+        dryRun: Boolean(flags.dryRun),
+        preview: this.txPreview.toJson(summary)
+      }
 
-      console.log('Transaction sent successfully!')
-      console.log(`TXID: ${txid}`)
-      console.log()
-      console.log('View this transaction on block explorers:')
-      console.log(`https://explorer.e.cash/tx/${txid}`)
-      console.log(`https://3xpl.com/ecash/transaction/${txid}`)
+      if (flags.dryRun) {
+        this.output.info('Dry run: the transaction was not broadcast.')
+        this.output.json({ ...result, txid: null, explorer: null })
+        return true
+      }
+
+      await this.txPreview.confirm(flags, flags.uri ? 'Pay this request?' : 'Send this transaction?')
+
+      const txid = await this.broadcastTransaction(xecWallet, built)
+
+      this.output.info('Transaction sent successfully!')
+      this.output.info(`TXID: ${txid}`)
+      this.output.info(`Fee: ${this.amountUtil.formatFee(built.fee, built.feeRate)}`)
+      this.output.info()
+      this.output.info('View this transaction on block explorers:')
+      this.output.info(`https://explorer.e.cash/tx/${txid}`)
+      this.output.info(`https://3xpl.com/ecash/transaction/${txid}`)
+
+      this.output.json({
+        ...result,
+        txid,
+        fee: this.output.xecAmount(built.fee),
+        feeRate: built.feeRate,
+        explorer: `https://explorer.e.cash/tx/${txid}`
+      })
 
       return true
     } catch (err) {
       console.error('Error sending XEC:', err.message)
+      this.output.error(err)
       return 0
     }
   }
@@ -52,23 +134,38 @@ class SendXec {
     // Exit if wallet name not specified
     const name = flags.name
     if (!name || name === '') {
-      throw new Error('You must specify a wallet name with the -n flag.')
+      throw new ValidationError('You must specify a wallet name with the -n flag.')
+    }
+
+    // Check the coin control outpoints before anything is loaded
+    const utxos = this.coinControl.parseOutpoints(flags.utxo, '--utxo')
+    this.coinControl.parseOutpoints(flags.excludeUtxo, '--exclude-utxo')
+
+    // A batch file replaces the single recipient flags
+    if (flags.batch) {
+      if (flags.addr || flags.qty) {
+        throw new ValidationError('Use either --batch or -a/-q, not both.')
+      }
+      if (utxos.length > 0) {
+        throw new ValidationError('--utxo picks the inputs of a single transaction. Use --exclude-utxo with --batch.')
+      }
+      return true
     }
 
     // Exit if address not specified
     const addr = flags.addr
     if (!addr || addr === '') {
-      throw new Error('You must specify a recipient address with the -a flag.')
+      throw new ValidationError('You must specify a recipient address with the -a flag, or a payment URI with --uri.')
     }
 
     // Exit if quantity not specified
     const qty = flags.qty
     if (!qty || qty === '') {
-      throw new Error('You must specify a quantity in XEC with the -q flag.')
+      throw new ValidationError('You must specify a quantity in XEC with the -q flag.')
     }
 
-    // Validate address format
-    this.validateAddress(addr)
+    // Fully decode the address and use its ecash: form from here on
+    flags.addr = this.addressUtil.normalize(addr)
 
     // Validate amount
     this.validateAmount(qty)
@@ -76,92 +173,314 @@ class SendXec {
     return true
   }
 
-  validateAddress (address) {
-    try {
-      if (!address || typeof address !== 'string') {
-        throw new Error('Address must be a non-empty string')
-      }
-
-      // Only allow eCash addresses (ecash: prefix)
-      if (!address.startsWith('ecash:')) {
-        throw new Error('Address must be an eCash address (ecash: prefix)')
-      }
+  // Take the recipient, amount, label and message from a --uri payment request
+  applyUri (flags = {}) {
+    if (!flags.uri) {
+      return flags
+    }
+    if (flags.addr || flags.batch) {
+      throw new ValidationError('Use either --uri or -a/--batch, not both.')
+    }
 
-      // Basic format validation - eCash addresses are typically 48 characters
-      if (address.length < 40 || address.length > 60) {
-        throw new Error('Invalid eCash address length')
-      }
+    const request = this.paymentUri.parse(flags.uri)
+    if (request.tokenId) {
+      throw new ValidationError('This URI requests a token payment. Pay it with send-etokens --uri.')
+    }
+    if (request.amount && flags.qty) {
+      throw new ValidationError('The payment URI already sets the amount. Leave out -q.')
+    }
+    if (!request.amount && !flags.qty) {
+      throw new ValidationError('The payment URI has no amount. Add one with -q.')
+    }
 
-      // Check for valid base32 characters after prefix
-      const addressPart = address.substring(6) // Remove "ecash:" prefix
-      if (!/^[qpzry9x8gf2tvdw0s3jn54khce6mua7l]+$/.test(addressPart)) {
-        throw new Error('Invalid eCash address format')
-      }
+    return {
+      ...flags,
+      addr: request.address,
+      qty: request.amount || flags.qty,
+      label: request.label,
+      message: request.message
+    }
+  }
 
-      return true
-    } catch (err) {
-      throw new Error(`Invalid address: ${err.message}`)
+  // Show a parsed payment request above the transaction preview
+  showRequest (flags) {
+    this.output.info('Payment request:')
+    this.output.info(`   Pay to: ${flags.addr}`)
+    this.output.info(`   Amount: ${flags.qty} XEC`)
+    if (flags.label) {
+      this.output.info(`   Label: ${flags.label}`)
+    }
+    if (flags.message) {
+      this.output.info(`   Message: ${flags.message}`)
     }
+    this.output.info()
+
+    return true
   }
 
+  // Parse an XEC amount into sats, refusing amounts below the dust limit
   validateAmount (amount) {
+    const sats = this.amountUtil.toSats(amount)
+
+    if (sats <= 0n) {
+      throw new ValidationError('Invalid amount: Amount must be greater than 0')
+    }
+
+    if (sats < DUST_SATS) {
+      throw new ValidationError('Invalid amount: Amount must be at least 5.46 XEC (546 satoshis - dust limit)')
+    }
+
+    return sats
+  }
+
+  // Sign the payment with the wallet's UTXOs, without broadcasting it
+  async buildTransaction (walletData, flags) {
     try {
-      const numAmount = parseFloat(amount)
+      // Create wallet instance from stored wallet data
+      const xecWallet = this.walletUtil.createXecWallet(walletData)
+      await xecWallet.walletInfoPromise
 
-      if (isNaN(numAmount)) {
-        throw new Error('Amount must be a valid number')
-      }
+      // Initialize to get UTXOs
+      await xecWallet.initialize()
 
-      if (numAmount <= 0) {
-        throw new Error('Amount must be greater than 0')
+      // Spend exactly the --utxo coins when given, never the --exclude-utxo ones
+      const { include, exclude } = this.coinControl.resolve(xecWallet, flags)
+      const tokenUtxo = include.find(utxo => utxo.token)
+      if (tokenUtxo) {
+        throw new ValidationError(
+          `UTXO ${this.tokenTx.outpointId(tokenUtxo)} holds ${this.coinControl.describeUtxo(tokenUtxo)}. ` +
+          'send-xec only spends pure XEC UTXOs, so the tokens are not burned.'
+        )
       }
 
-      if (numAmount < 5.46) {
-        throw new Error('Amount must be at least 5.46 XEC (546 satoshis - dust limit)')
+      // Check wallet balance
+      const balance = await xecWallet.getDetailedBalance()
+      const balanceSats = this.amountUtil.toBigInt(balance.satoshis.total)
+      const sats = this.amountUtil.toSats(flags.qty)
+
+      if (balanceSats < sats) {
+        throw new InsufficientFundsError(
+          `Insufficient funds. You are trying to send ${this.amountUtil.formatXec(sats)} XEC, but the wallet only has ${this.amountUtil.formatXec(balanceSats)} XEC`
+        )
       }
 
-      return true
+      const built = this.tokenTx.buildXecSend(xecWallet, {
+        recipients: [{ address: flags.addr, sats }],
+        xecUtxos: include.length > 0 ? include : undefined,
+        exclude
+      })
+
+      return { xecWallet, built }
     } catch (err) {
-      throw new Error(`Invalid amount: ${err.message}`)
+      throw wrapError(err, 'Failed to send XEC')
     }
   }
 
-  // Send XEC using the wallet
-  async sendXec (walletData, flags) {
+  async broadcastTransaction (xecWallet, built) {
     try {
-      // Create wallet instance from stored mnemonic
-      const xecWallet = new this.MinimalXecWallet(walletData.wallet.mnemonic)
-      await xecWallet.walletInfoPromise
+      return await this.tokenTx.broadcastTx(xecWallet, built)
+    } catch (err) {
+      throw wrapError(err, 'Failed to send XEC')
+    }
+  }
 
-      // Initialize to get UTXOs
-      await xecWallet.initialize()
+  // Pay every recipient listed in a batch file
+  async runBatch (flags) {
+    const entries = await this.batchFile.read(flags.batch)
+    const rows = this.parseBatchEntries(entries, flags.batch)
+    const totalSats = this.amountUtil.sum(rows.map(row => row.sats))
+
+    // Load wallet data
+    const walletData = await this.walletUtil.loadWallet(flags.name)
+    this.walletUtil.assertCanSpend(flags.name, walletData)
+
+    // Sign every transaction and show them before anything is broadcast
+    const { xecWallet, chunks, batch } = await this.buildBatch(walletData, rows, totalSats, flags)
+
+    this.output.info(`Batch payment from wallet '${flags.name}' (${flags.batch}):`)
+    this.output.info(`   Recipients: ${rows.length}`)
+    this.output.info(`   Total: ${this.amountUtil.formatXec(totalSats)} XEC`)
+    this.output.info(`   Transactions: ${chunks.length}`)
+    this.output.info()
+
+    const chunkSats = i => this.amountUtil.sum(chunks[i].map(row => row.sats))
+    const summaries = batch.map(tx => tx.summary)
+    this.txPreview.displayBatch(
+      summaries,
+      i => `${chunks[i].length} recipients, ${this.amountUtil.formatXec(chunkSats(i))} XEC`
+    )
+
+    const result = {
+      name: flags.name,
+      batch: flags.batch,
+      recipients: rows.length,
+      total: this.output.xecAmount(totalSats),
+      fee: this.output.xecAmount(this.txPreview.batchTotals(summaries).fee),
+      dryRun: Boolean(flags.dryRun)
+    }
 
-      // Check wallet balance
-      const balance = await xecWallet.getXecBalance()
-      const amountToSend = parseFloat(flags.qty)
+    if (flags.dryRun) {
+      this.output.info('Dry run: nothing was sent.')
+      this.output.json({
+        ...result,
+        transactions: batch.map(({ built }, i) => ({
+          txid: null,
+          recipients: chunks[i].length,
+          sats: Number(chunkSats(i)),
+          fee: Number(built.fee),
+          feeRate: built.feeRate
+        })),
+        resultsFile: null
+      })
+      return []
+    }
 
-      if (balance < amountToSend) {
-        throw new Error(
-          `Insufficient funds. You are trying to send ${amountToSend} XEC, but the wallet only has ${balance} XEC`
-        )
+    await this.txPreview.confirm(flags, `Send ${chunks.length} transaction${chunks.length === 1 ? '' : 's'}?`)
+
+    const { transactions, error } = await this.sendBatch(xecWallet, chunks, batch)
+
+    // Record the outcome of every row, even when a transaction failed midway
+    const resultsPath = flags.results || this.batchFile.getResultsPath(flags.batch)
+    await this.batchFile.writeResults(resultsPath, rows)
+
+    transactions.forEach((tx, i) => {
+      this.output.info(`Transaction ${i + 1}: ${tx.recipients} recipients, ${this.amountUtil.formatXec(tx.sats)} XEC`)
+      this.output.info(`   TXID: ${tx.txid}`)
+      this.output.info(`   Fee: ${this.amountUtil.formatFee(tx.fee, tx.feeRate)}`)
+      this.output.info(`   https://explorer.e.cash/tx/${tx.txid}`)
+    })
+    this.output.info()
+    this.output.info(`Results written to: ${resultsPath}`)
+
+    if (error) {
+      throw error
+    }
+
+    this.output.info('Batch payment sent successfully!')
+
+    this.output.json({
+      ...result,
+      transactions,
+      resultsFile: resultsPath
+    })
+
+    return transactions
+  }
+
+  // Validate every entry and report all bad lines at once
+  parseBatchEntries (entries, batchPath) {
+    const rows = []
+    const errors = []
+    for (const entry of entries) {
+      try {
+        const address = this.addressUtil.normalize(entry.address)
+        const sats = this.validateAmount(entry.amount)
+        rows.push({
+          ...entry,
+          address,
+          sats,
+          txid: null,
+          status: 'pending'
+        })
+      } catch (err) {
+        errors.push(`   Line ${entry.line}: ${err.message}`)
       }
+    }
+
+    if (errors.length > 0) {
+      throw new ValidationError(`Batch file ${batchPath} has ${errors.length} invalid line${errors.length === 1 ? '' : 's'}:\n${errors.join('\n')}`)
+    }
 
-      // Convert XEC to satoshis (XEC uses 2 decimal places, so multiply by 100)
-      const satoshis = Math.floor(amountToSend * 100)
+    return rows
+  }
 
-      // Create output object
-      const outputs = [{
-        address: flags.addr,
-        amount: satoshis
-      }]
+  // Sign the batch without broadcasting it, filling each transaction with as
+  // many recipients as fit under MAX_TX_SERSIZE. Each one spends the change
+  // of the one before, so the whole batch can be previewed first. Returns
+  // the wallet, the recipients of each transaction (chunks) and, for each
+  // chunk, the signed transaction with its preview.
+  async buildBatch (walletData, rows, totalSats, flags = {}) {
+    const xecWallet = this.walletUtil.createXecWallet(walletData)
+    await xecWallet.walletInfoPromise
+    await xecWallet.initialize()
+
+    // --exclude-utxo applies to every transaction of the batch
+    const { exclude } = this.coinControl.resolve(xecWallet, flags)
+
+    const balance = await xecWallet.getDetailedBalance()
+    const balanceSats = this.amountUtil.toBigInt(balance.satoshis.total)
+    if (balanceSats < totalSats) {
+      throw new InsufficientFundsError(
+        `Insufficient funds. The batch needs ${this.amountUtil.formatXec(totalSats)} XEC plus fees, but the wallet only has ${this.amountUtil.formatXec(balanceSats)} XEC`
+      )
+    }
+
+    const chunks = []
+    const batch = []
+    let start = 0
+    while (start < rows.length) {
+      try {
+        let count = Math.min(rows.length - start, MAX_OUTPUTS_PER_TX)
+        let built = this.tokenTx.buildXecSend(xecWallet, { recipients: rows.slice(start, start + count), exclude })
+
+        // Many small inputs can push the transaction over the limit. Fewer
+        // recipients need fewer inputs too, so shrink it in proportion to
+        // the excess until it fits.
+        while (built.size > MAX_TX_SERSIZE) {
+          count = Math.min(count - 1, Math.floor(count * MAX_TX_SERSIZE / built.size))
+          if (count < 1) {
+            throw new ValidationError(
+              'The wallet\'s UTXOs are too small to fund a transaction under the size limit. Consolidate them with wallet-optimize first.'
+            )
+          }
+          built = this.tokenTx.buildXecSend(xecWallet, { recipients: rows.slice(start, start + count), exclude })
+        }
+
+        const summary = this.txPreview.describe(xecWallet, built)
+        this.tokenTx.applyToWallet(xecWallet, built)
+        chunks.push(rows.slice(start, start + count))
+        batch.push({ built, summary })
+        start += count
+      } catch (err) {
+        throw wrapError(err, `Failed to build transaction ${batch.length + 1} of the batch`)
+      }
+    }
 
-      // Send the transaction
-      const txid = await xecWallet.sendXec(outputs)
+    return { xecWallet, chunks, batch }
+  }
 
-      return txid
-    } catch (err) {
-      throw new Error(`Failed to send XEC: ${err.message}`)
+  // Broadcast the signed transaction of each chunk of recipients, in order.
+  // Stops at the first failure and returns it, so the rows already paid can
+  // still be recorded.
+  async sendBatch (xecWallet, chunks, batch) {
+    const transactions = []
+    for (let i = 0; i < chunks.length; i++) {
+      const chunk = chunks[i]
+      const { built } = batch[i]
+      try {
+        const txid = await this.tokenTx.broadcastTx(xecWallet, built)
+
+        chunk.forEach(row => {
+          row.txid = txid
+          row.status = 'sent'
+        })
+        transactions.push({
+          txid,
+          recipients: chunk.length,
+          sats: Number(this.amountUtil.sum(chunk.map(row => row.sats))),
+          fee: Number(built.fee),
+          feeRate: built.feeRate
+        })
+      } catch (err) {
+        chunks.slice(i).flat().forEach(row => {
+          row.status = 'failed'
+        })
+        const error = wrapError(classifyBroadcastError(err), `Transaction ${i + 1} of ${chunks.length} failed`)
+        return { transactions, error }
+      }
     }
+
+    return { transactions, error: null }
   }
 }
 
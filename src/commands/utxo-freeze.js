@@ -0,0 +1,95 @@
+/*
+  Freeze UTXOs of a wallet, so automatic coin selection never spends them:
+  sends, token transactions and wallet-optimize all leave them alone. The
+  frozen state is saved in the wallet file.
+*/
+
+// Local libraries
+import Output from '../lib/output.js'
+import AmountUtil from '../lib/amount-util.js'
+import CoinControl from '../lib/coin-control.js'
+import { ValidationError, wrapError } from '../lib/errors.js'
+
+class UtxoFreeze {
+  constructor () {
+    // Encapsulate dependencies
+    this.output = new Output()
+    this.amountUtil = new AmountUtil()
+    this.coinControl = new CoinControl()
+
+    // Bind 'this' object to all subfunctions
+    this.run = this.run.bind(this)
+    this.validateFlags = this.validateFlags.bind(this)
+    this.freezeUtxos = this.freezeUtxos.bind(this)
+  }
+
+  async run (flags) {
+    try {
+      const { outpoints, label } = this.validateFlags(flags)
+
+      this.output.info(`Freezing ${outpoints.length} UTXO${outpoints.length === 1 ? '' : 's'} of wallet '${flags.name}'...\n`)
+
+      const { state, utxos } = await this.freezeUtxos(flags.name, outpoints, label)
+
+      this.output.info('Frozen:')
+      utxos.forEach(utxo => {
+        const outpoint = this.coinControl.tokenTx.outpointId(utxo)
+        this.output.info(`   ${outpoint}  ${this.amountUtil.formatXec(utxo.sats)} XEC  ${this.coinControl.formatState(state[outpoint])}`)
+      })
+      this.output.info()
+      this.output.info('Frozen UTXOs are never picked by automatic coin selection.')
+      this.output.info(`Unfreeze them with: node xec-wallet.js utxo-unfreeze -n ${flags.name} -u <txid:outIdx>`)
+
+      this.output.json({
+        name: flags.name,
+        utxos: utxos.map(utxo => {
+          const outpoint = this.coinControl.tokenTx.outpointId(utxo)
+          return {
+            outpoint,
+            sats: Number(utxo.sats),
+            frozen: true,
+            label: state[outpoint].label || null
+          }
+        })
+      })
+
+      return true
+    } catch (err) {
+      console.error('Error freezing UTXOs:', err.message)
+      this.output.error(err)
+      return 0
+    }
+  }
+
+  // Returns the normalized outpoints and the optional label
+  validateFlags (flags = {}) {
+    // Exit if wallet name not specified
+    const name = flags.name
+    if (!name || name === '') {
+      throw new ValidationError('You must specify a wallet name with the -n flag.')
+    }
+
+    const outpoints = this.coinControl.parseOutpoints(flags.utxo, '--utxo')
+    if (outpoints.length === 0) {
+      throw new ValidationError('You must specify at least one UTXO with -u txid:outIdx (see utxo-list).')
+    }
+
+    const label = flags.label !== undefined ? this.coinControl.parseLabel(flags.label) : null
+
+    return { outpoints, label }
+  }
+
+  // Mark the UTXOs as frozen, setting their label when one is given
+  async freezeUtxos (walletName, outpoints, label) {
+    try {
+      return await this.coinControl.updateUtxoState(walletName, outpoints, entry => ({
+        frozen: true,
+        label: label || entry.label
+      }))
+    } catch (err) {
+      throw wrapError(err, 'Failed to freeze UTXOs')
+    }
+  }
+}
+
+export default UtxoFreeze
@@ -0,0 +1,103 @@
+/*
+  Set or clear a free-text label on UTXOs of a wallet, such as who sent them
+  or what they are set aside for. Labels are saved in the wallet file and
+  shown by wallet-balance and utxo-list.
+*/
+
+// Local libraries
+import Output from '../lib/output.js'
+import AmountUtil from '../lib/amount-util.js'
+import CoinControl from '../lib/coin-control.js'
+import { ValidationError, wrapError } from '../lib/errors.js'
+
+class UtxoLabel {
+  constructor () {
+    // Encapsulate dependencies
+    this.output = new Output()
+    this.amountUtil = new AmountUtil()
+    this.coinControl = new CoinControl()
+
+    // Bind 'this' object to all subfunctions
+    this.run = this.run.bind(this)
+    this.validateFlags = this.validateFlags.bind(this)
+    this.labelUtxos = this.labelUtxos.bind(this)
+  }
+
+  async run (flags) {
+    try {
+      const { outpoints, label } = this.validateFlags(flags)
+
+      const action = label ? 'Labelling' : 'Clearing the label of'
+      this.output.info(`${action} ${outpoints.length} UTXO${outpoints.length === 1 ? '' : 's'} of wallet '${flags.name}'...\n`)
+
+      const { state, utxos } = await this.labelUtxos(flags.name, outpoints, label)
+
+      utxos.forEach(utxo => {
+        const outpoint = this.coinControl.tokenTx.outpointId(utxo)
+        const tags = this.coinControl.formatState(state[outpoint]) || '(no label)'
+        this.output.info(`   ${outpoint}  ${this.amountUtil.formatXec(utxo.sats)} XEC  ${tags}`)
+      })
+
+      this.output.json({
+        name: flags.name,
+        utxos: utxos.map(utxo => {
+          const outpoint = this.coinControl.tokenTx.outpointId(utxo)
+          return {
+            outpoint,
+            sats: Number(utxo.sats),
+            frozen: Boolean(state[outpoint] && state[outpoint].frozen),
+            label
+          }
+        })
+      })
+
+      return true
+    } catch (err) {
+      console.error('Error labelling UTXOs:', err.message)
+      this.output.error(err)
+      return 0
+    }
+  }
+
+  // Returns the normalized outpoints and the label, null with --clear
+  validateFlags (flags = {}) {
+    // Exit if wallet name not specified
+    const name = flags.name
+    if (!name || name === '') {
+      throw new ValidationError('You must specify a wallet name with the -n flag.')
+    }
+
+    const outpoints = this.coinControl.parseOutpoints(flags.utxo, '--utxo')
+    if (outpoints.length === 0) {
+      throw new ValidationError('You must specify at least one UTXO with -u txid:outIdx (see utxo-list).')
+    }
+
+    if (flags.clear) {
+      if (flags.label !== undefined) {
+        throw new ValidationError('Use either -l or --clear, not both.')
+      }
+      return { outpoints, label: null }
+    }
+
+    if (flags.label === undefined) {
+      throw new ValidationError('You must specify a label with -l, or --clear to remove it.')
+    }
+
+    return { outpoints, label: this.coinControl.parseLabel(flags.label) }
+  }
+
+  // Set the label of the UTXOs, or remove it when label is null. Clearing
+  // also works for UTXOs that have been spent since.
+  async labelUtxos (walletName, outpoints, label) {
+    try {
+      return await this.coinControl.updateUtxoState(walletName, outpoints, entry => ({
+        frozen: entry.frozen,
+        label
+      }), Boolean(label))
+    } catch (err) {
+      throw wrapError(err, 'Failed to label UTXOs')
+    }
+  }
+}
+
+export default UtxoLabel
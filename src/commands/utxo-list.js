@@ -0,0 +1,220 @@
+/*
+  List every UTXO of a wallet with its full outpoint (txid:outIdx), the
+  identifier that send-xec and send-etokens take with --utxo and
+  --exclude-utxo for coin control, and utxo-freeze and utxo-label take with -u.
+  Frozen UTXOs and labels saved in the wallet file are shown with each UTXO.
+*/
+
+// Local libraries
+import WalletUtil from '../lib/wallet-util.js'
+import Output from '../lib/output.js'
+import WalletCache from '../lib/wallet-cache.js'
+import AmountUtil from '../lib/amount-util.js'
+import TokenTx from '../lib/token-tx.js'
+import CoinControl from '../lib/coin-control.js'
+import { ValidationError, NetworkError, classifyError, wrapError } from '../lib/errors.js'
+
+class UtxoList {
+  constructor () {
+    // Encapsulate dependencies
+    this.walletUtil = new WalletUtil()
+    this.output = new Output()
+    this.walletCache = new WalletCache()
+    this.amountUtil = new AmountUtil()
+    this.tokenTx = new TokenTx()
+    this.coinControl = new CoinControl()
+
+    // Bind 'this' object to all subfunctions
+    this.run = this.run.bind(this)
+    this.validateFlags = this.validateFlags.bind(this)
+    this.getUtxos = this.getUtxos.bind(this)
+    this.describeUtxos = this.describeUtxos.bind(this)
+    this.displayUtxos = this.displayUtxos.bind(this)
+    this.utxosToJson = this.utxosToJson.bind(this)
+  }
+
+  async run (flags) {
+    try {
+      this.validateFlags(flags)
+
+      this.output.info(`Listing UTXOs of wallet '${flags.name}'...\n`)
+
+      const walletData = await this.walletUtil.loadWallet(flags.name)
+      const utxoData = await this.getUtxos(walletData)
+
+      this.displayUtxos(utxoData, flags.name)
+      this.output.json(this.utxosToJson(utxoData, flags.name))
+
+      return true
+    } catch (err) {
+      console.error('Error listing UTXOs:', err.message)
+      this.output.error(err)
+      return 0
+    }
+  }
+
+  validateFlags (flags = {}) {
+    // Exit if wallet name not specified
+    const name = flags.name
+    if (!name || name === '') {
+      throw new ValidationError('You must specify a wallet name with the -n flag.')
+    }
+
+    return true
+  }
+
+  // Get the wallet's UTXOs, falling back to the cached set when offline
+  async getUtxos (walletData) {
+    try {
+      const xecWallet = this.walletUtil.createXecWallet(walletData)
+      await xecWallet.walletInfoPromise
+
+      let cachedUtxos = null
+      try {
+        await xecWallet.initialize()
+        await this.walletCache.saveUtxos(xecWallet)
+      } catch (err) {
+        if (!(classifyError(err) instanceof NetworkError)) throw err
+        cachedUtxos = await this.walletCache.loadUtxos(xecWallet.walletInfo.xecAddress)
+        if (!cachedUtxos) throw err
+        xecWallet.utxos.utxoStore.xecUtxos = cachedUtxos.utxos
+      }
+
+      const utxos = await this.describeUtxos(xecWallet)
+
+      return {
+        address: xecWallet.walletInfo.xecAddress,
+        utxos,
+        cached: cachedUtxos ? { blockHeight: cachedUtxos.blockHeight, savedAt: cachedUtxos.savedAt } : null
+      }
+    } catch (err) {
+      throw wrapError(err, 'Failed to list UTXOs')
+    }
+  }
+
+  // One entry per UTXO, oldest first, so the list keeps its order between
+  // runs. kind labels what the UTXO holds: 'xec', 'token' or 'mint-baton'.
+  async describeUtxos (xecWallet) {
+    const utxos = xecWallet.utxos?.utxoStore?.xecUtxos || []
+    const utxoState = xecWallet.utxoState || {}
+
+    // Token metadata, looked up once per token
+    const tokenData = {}
+    for (const utxo of utxos) {
+      const tokenId = utxo.token?.tokenId
+      if (tokenId && !(tokenId in tokenData)) {
+        tokenData[tokenId] = await this.walletCache.getTokenData(xecWallet, tokenId).catch(() => null)
+      }
+    }
+
+    // Unconfirmed UTXOs have a block height of -1 and sort last
+    const height = utxo => utxo.blockHeight === undefined || utxo.blockHeight === -1 ? Infinity : utxo.blockHeight
+    const sorted = [...utxos].sort((a, b) =>
+      height(a) - height(b) ||
+      a.outpoint.txid.localeCompare(b.outpoint.txid) ||
+      a.outpoint.outIdx - b.outpoint.outIdx
+    )
+
+    return sorted.map(utxo => {
+      const outpoint = this.tokenTx.outpointId(utxo)
+      const state = utxoState[outpoint] || {}
+      const entry = {
+        outpoint,
+        txid: utxo.outpoint.txid,
+        outIdx: utxo.outpoint.outIdx,
+        sats: this.amountUtil.toBigInt(utxo.sats),
+        blockHeight: height(utxo) === Infinity ? null : utxo.blockHeight,
+        kind: 'xec',
+        token: null,
+        frozen: Boolean(state.frozen),
+        label: state.label || null
+      }
+
+      if (utxo.token) {
+        const data = tokenData[utxo.token.tokenId] || {}
+        const decimals = data.decimals || 0
+        entry.kind = utxo.token.isMintBaton ? 'mint-baton' : 'token'
+        entry.token = {
+          tokenId: utxo.token.tokenId,
+          ticker: data.ticker || null,
+          protocol: utxo.token.tokenType?.protocol || data.protocol || null,
+          atoms: this.amountUtil.toBigInt(utxo.token.atoms),
+          amount: this.amountUtil.formatAtoms(utxo.token.atoms, decimals, { trim: true })
+        }
+      }
+
+      return entry
+    })
+  }
+
+  // Display the UTXOs on screen
+  displayUtxos (utxoData, walletName) {
+    const { utxos, cached } = utxoData
+
+    this.output.info(`Wallet: ${walletName}`)
+    this.output.info(`Address: ${utxoData.address}`)
+    if (cached) {
+      this.output.info(`Offline: showing the UTXOs cached at block ${cached.blockHeight || 'unknown'} (${cached.savedAt})`)
+    }
+    this.output.info()
+
+    if (utxos.length === 0) {
+      this.output.info('No UTXOs. The wallet is empty.')
+      return true
+    }
+
+    this.output.info(`UTXOs (${utxos.length}):`)
+    utxos.forEach((utxo, i) => {
+      this.output.info(`   ${i + 1}. ${utxo.outpoint}`)
+
+      let holds = `${this.amountUtil.formatXec(utxo.sats)} XEC`
+      if (utxo.kind === 'token') {
+        holds += ` + ${utxo.token.amount} ${utxo.token.ticker || utxo.token.tokenId.slice(0, 8) + '...'}`
+      } else if (utxo.kind === 'mint-baton') {
+        holds += ` + ${utxo.token.ticker || utxo.token.tokenId.slice(0, 8) + '...'} mint baton`
+      }
+      const block = utxo.blockHeight === null ? 'unconfirmed' : `block ${utxo.blockHeight}`
+      const state = this.coinControl.formatState(utxo)
+      this.output.info(`      ${holds}  [${utxo.kind}]  ${block}${state ? `  ${state}` : ''}`)
+    })
+
+    const total = this.amountUtil.sum(utxos.map(utxo => utxo.sats))
+    const frozen = this.amountUtil.sum(utxos.filter(utxo => utxo.frozen).map(utxo => utxo.sats))
+    this.output.info()
+    this.output.info(`Total: ${this.amountUtil.formatXec(total)} XEC`)
+    if (frozen > 0n) {
+      this.output.info(`Frozen: ${this.amountUtil.formatXec(frozen)} XEC (never spent by automatic coin selection)`)
+    }
+    this.output.info()
+    this.output.info('Coin control:')
+    this.output.info(`   Spend chosen UTXOs: node xec-wallet.js send-xec -n ${walletName} -a <address> -q <amount> --utxo <txid:outIdx>`)
+    this.output.info(`   Skip UTXOs: node xec-wallet.js send-xec -n ${walletName} -a <address> -q <amount> --exclude-utxo <txid:outIdx>`)
+    this.output.info(`   Freeze a UTXO: node xec-wallet.js utxo-freeze -n ${walletName} -u <txid:outIdx>`)
+    this.output.info(`   Label a UTXO: node xec-wallet.js utxo-label -n ${walletName} -u <txid:outIdx> -l <text>`)
+
+    return true
+  }
+
+  utxosToJson (utxoData, walletName) {
+    return {
+      name: walletName,
+      address: utxoData.address,
+      utxos: utxoData.utxos.map(utxo => ({
+        outpoint: utxo.outpoint,
+        txid: utxo.txid,
+        outIdx: utxo.outIdx,
+        sats: Number(utxo.sats),
+        blockHeight: utxo.blockHeight,
+        kind: utxo.kind,
+        token: utxo.token,
+        frozen: utxo.frozen,
+        label: utxo.label
+      })),
+      total: this.output.xecAmount(this.amountUtil.sum(utxoData.utxos.map(utxo => utxo.sats))),
+      frozen: this.output.xecAmount(this.amountUtil.sum(utxoData.utxos.filter(utxo => utxo.frozen).map(utxo => utxo.sats))),
+      cached: utxoData.cached
+    }
+  }
+}
+
+export default UtxoList
@@ -0,0 +1,96 @@
+/*
+  Unfreeze UTXOs frozen with utxo-freeze, so automatic coin selection can
+  spend them again. Their labels are kept.
+*/
+
+// Local libraries
+import Output from '../lib/output.js'
+import AmountUtil from '../lib/amount-util.js'
+import CoinControl from '../lib/coin-control.js'
+import { ValidationError, wrapError } from '../lib/errors.js'
+
+class UtxoUnfreeze {
+  constructor () {
+    // Encapsulate dependencies
+    this.output = new Output()
+    this.amountUtil = new AmountUtil()
+    this.coinControl = new CoinControl()
+
+    // Bind 'this' object to all subfunctions
+    this.run = this.run.bind(this)
+    this.validateFlags = this.validateFlags.bind(this)
+    this.unfreezeUtxos = this.unfreezeUtxos.bind(this)
+  }
+
+  async run (flags) {
+    try {
+      const outpoints = this.validateFlags(flags)
+
+      this.output.info(`Unfreezing ${outpoints.length} UTXO${outpoints.length === 1 ? '' : 's'} of wallet '${flags.name}'...\n`)
+
+      const { state, utxos } = await this.unfreezeUtxos(flags.name, outpoints)
+
+      this.output.info('Unfrozen:')
+      utxos.forEach(utxo => {
+        const outpoint = this.coinControl.tokenTx.outpointId(utxo)
+        this.output.info(`   ${outpoint}  ${this.amountUtil.formatXec(utxo.sats)} XEC  ${this.coinControl.formatState(state[outpoint])}`)
+      })
+
+      // Spent UTXOs have nothing left to unfreeze
+      const spent = outpoints.filter(outpoint => !utxos.some(utxo => this.coinControl.tokenTx.outpointId(utxo) === outpoint))
+      spent.forEach(outpoint => {
+        this.output.info(`   ${outpoint}  already spent`)
+      })
+
+      this.output.json({
+        name: flags.name,
+        utxos: utxos.map(utxo => {
+          const outpoint = this.coinControl.tokenTx.outpointId(utxo)
+          return {
+            outpoint,
+            sats: Number(utxo.sats),
+            frozen: false,
+            label: (state[outpoint] && state[outpoint].label) || null
+          }
+        }),
+        spent
+      })
+
+      return true
+    } catch (err) {
+      console.error('Error unfreezing UTXOs:', err.message)
+      this.output.error(err)
+      return 0
+    }
+  }
+
+  // Returns the normalized outpoints
+  validateFlags (flags = {}) {
+    // Exit if wallet name not specified
+    const name = flags.name
+    if (!name || name === '') {
+      throw new ValidationError('You must specify a wallet name with the -n flag.')
+    }
+
+    const outpoints = this.coinControl.parseOutpoints(flags.utxo, '--utxo')
+    if (outpoints.length === 0) {
+      throw new ValidationError('You must specify at least one UTXO with -u txid:outIdx (see utxo-list).')
+    }
+
+    return outpoints
+  }
+
+  // Clear the frozen mark of the UTXOs, keeping their labels
+  async unfreezeUtxos (walletName, outpoints) {
+    try {
+      return await this.coinControl.updateUtxoState(walletName, outpoints, entry => ({
+        frozen: false,
+        label: entry.label
+      }), false)
+    } catch (err) {
+      throw wrapError(err, 'Failed to unfreeze UTXOs')
+    }
+  }
+}
+
+export default UtxoUnfreeze
@@ -5,24 +5,35 @@
 // Global npm libraries
 import qrcodeTerminal from 'qrcode-terminal'
 import qrcode from 'qrcode'
-import MinimalXecWallet from 'minimal-xec-wallet'
+import path from 'path'
+import { HdNode, Address, mnemonicToSeed, toHex } from 'ecash-lib'
 
 // Local libraries
-import WalletUtil from '../lib/wallet-util.js'
+import WalletUtil, { DEFAULT_HD_PATH } from '../lib/wallet-util.js'
+import Output from '../lib/output.js'
+import XpubUtil from '../lib/xpub-util.js'
+import PaymentUri from '../lib/payment-uri.js'
+import { ValidationError, wrapError } from '../lib/errors.js'
 
 class WalletAddrs {
   constructor () {
     // Encapsulate dependencies
-    this.MinimalXecWallet = MinimalXecWallet
     this.walletUtil = new WalletUtil()
+    this.output = new Output()
+    this.xpubUtil = new XpubUtil()
+    this.paymentUri = new PaymentUri()
     this.qrcodeTerminal = qrcodeTerminal
     this.qrcode = qrcode
+    this.HdNode = HdNode
+    this.Address = Address
 
     // Bind 'this' object to all subfunctions
     this.run = this.run.bind(this)
     this.validateFlags = this.validateFlags.bind(this)
     this.displayAddresses = this.displayAddresses.bind(this)
+    this.deriveKeyPair = this.deriveKeyPair.bind(this)
     this.generateSmallQR = this.generateSmallQR.bind(this)
+    this.saveQR = this.saveQR.bind(this)
   }
 
   async run (flags) {
@@ -33,17 +44,24 @@ class WalletAddrs {
       const showXec = flags.xec || !flags.wif
       const showWif = flags.wif
 
-      console.log(`Addresses for wallet '${flags.name}':\n`)
+      this.output.info(`Addresses for wallet '${flags.name}':\n`)
 
       // Load wallet data
       const walletData = await this.walletUtil.loadWallet(flags.name)
+
+      if (showWif && this.walletUtil.isWatchOnly(walletData)) {
+        throw new ValidationError(`Wallet '${flags.name}' is watch-only and has no private key to export`)
+      }
       
       // Display address information
-      await this.displayAddresses(walletData, flags, { showXec, showWif })
+      const addresses = await this.displayAddresses(walletData, flags, { showXec, showWif })
+
+      this.output.json({ name: flags.name, ...addresses })
 
       return true
     } catch (err) {
       console.error('Error displaying addresses:', err.message)
+      this.output.error(err)
       return 0
     }
   }
@@ -52,7 +70,15 @@ class WalletAddrs {
     // Exit if wallet name not specified
     const name = flags.name
     if (!name || name === '') {
-      throw new Error('You must specify a wallet name with the -n flag.')
+      throw new ValidationError('You must specify a wallet name with the -n flag.')
+    }
+
+    if (flags.tokenId && (flags.amount === undefined || flags.amount === '')) {
+      throw new ValidationError('A token payment request needs the token amount: add --amount.')
+    }
+
+    if (flags.save && !['.png', '.svg'].includes(path.extname(flags.save).toLowerCase())) {
+      throw new ValidationError('The QR code file must end in .png or .svg.')
     }
 
     return true
@@ -60,6 +86,29 @@ class WalletAddrs {
 
 
   // Generate smaller QR code that fits terminal window
+  // Key pair at another index of the wallet's HD chain: the last step of
+  // its derivation path is replaced by hdIndex, so wallets imported with a
+  // custom --hd-path stay on their own chain. A BIP39 passphrase is never
+  // stored, so wallets imported with one cannot derive other keys.
+  deriveKeyPair (walletData, hdIndex) {
+    const { mnemonic, hdPath, bip39Passphrase } = walletData.wallet
+    if (bip39Passphrase || !mnemonic) {
+      throw new ValidationError(
+        'This wallet was imported with a BIP39 passphrase, which is not stored, so other HD addresses cannot be derived. ' +
+        'Import the mnemonic again with --hd-path ending in the index you need.'
+      )
+    }
+
+    const childPath = (hdPath || DEFAULT_HD_PATH).replace(/\/\d+('?)$/, `/${hdIndex}$1`)
+    const node = this.HdNode.fromSeed(mnemonicToSeed(mnemonic)).derivePath(childPath)
+
+    return {
+      hdPath: childPath,
+      xecAddress: this.Address.p2pkh(node.pkh()).toString(),
+      privateKey: toHex(node.seckey())
+    }
+  }
+
   async generateSmallQR (text) {
     try {
       // Try using qrcode package with terminal output and smaller width
@@ -69,11 +118,22 @@ class WalletAddrs {
         small: true,
         errorCorrectionLevel: 'M'
       })
-      console.log(qrString)
+      this.output.info(qrString)
     } catch (err) {
       // Fallback to qrcode-terminal with small option
-      console.log('QR generation with qrcode failed, using fallback:')
-      this.qrcodeTerminal.generate(text, { small: true })
+      this.output.info('QR generation with qrcode failed, using fallback:')
+      this.qrcodeTerminal.generate(text, { small: true }, qr => this.output.info(qr))
+    }
+  }
+
+  // Write a QR code image; the format follows the file extension (.png or .svg)
+  async saveQR (text, filePath) {
+    try {
+      const type = path.extname(filePath).toLowerCase() === '.svg' ? 'svg' : 'png'
+      await this.qrcode.toFile(filePath, text, { type, errorCorrectionLevel: 'M' })
+      return filePath
+    } catch (err) {
+      throw new ValidationError(`Could not save QR code to ${filePath}: ${err.message}`)
     }
   }
 
@@ -82,91 +142,145 @@ class WalletAddrs {
     try {
       const { showXec, showWif } = options
       const xecAddress = walletData.wallet.xecAddress
+      const result = {
+        xecAddress,
+        hdPath: walletData.wallet.hdPath || null,
+        watchOnly: this.walletUtil.isWatchOnly(walletData)
+      }
+
+      // A payment request for the primary address, when any request field is given
+      const wantsUri = [flags.amount, flags.label, flags.message, flags.tokenId]
+        .some(value => value !== undefined && value !== '')
+      let uri = null
+      if (wantsUri) {
+        uri = this.paymentUri.build({
+          address: xecAddress,
+          amount: flags.amount,
+          label: flags.label,
+          message: flags.message,
+          tokenId: flags.tokenId
+        })
+      }
       
       // Get WIF if needed
       let wifKey = null
       if (showWif) {
-        const xecWallet = new this.MinimalXecWallet(walletData.wallet.mnemonic)
+        const xecWallet = this.walletUtil.createXecWallet(walletData)
         await xecWallet.walletInfoPromise
         // Export as compressed WIF (starts with L/K for mainnet)
         wifKey = xecWallet.exportPrivateKeyAsWIF(true, false)
+        result.wif = wifKey
       }
 
-      console.log('Primary Address (HD Path: m/44\'/899\'/0\'/0/0):')
+      if (this.walletUtil.isWatchOnly(walletData)) {
+        const source = walletData.wallet.xpub ? 'xpub path 0/0' : 'watch-only'
+        this.output.info(`Primary Address (${source}):`)
+      } else {
+        const hdPath = walletData.wallet.hdPath || 'm/44\'/899\'/0\'/0/0'
+        this.output.info(`Primary Address (HD Path: ${hdPath}):`)
+      }
       
       // Show XEC address
       if (showXec) {
-        console.log(`   XEC Address: ${xecAddress}`)
-        console.log(`   (Same address works for XEC and eTokens)`)
-        if (flags.qr) {
-          console.log('\nXEC Address QR Code:')
+        this.output.info(`   XEC Address: ${xecAddress}`)
+        this.output.info(`   (Same address works for XEC and eTokens)`)
+        if (flags.qr && !uri) {
+          this.output.info('\nXEC Address QR Code:')
           await this.generateSmallQR(xecAddress)
         }
       }
+
+      if (uri) {
+        result.uri = uri
+        this.output.info()
+        this.output.info('Payment Request:')
+        this.output.info(`   URI: ${uri}`)
+        this.output.info('\nPayment Request QR Code:')
+        await this.generateSmallQR(uri)
+      }
+
+      if (flags.save) {
+        result.qrFile = await this.saveQR(uri || xecAddress, flags.save)
+        this.output.info(`   QR code saved to ${flags.save}`)
+      }
       
       // Show WIF private key
       if (showWif) {
-        console.log(`   WIF Private Key: ${wifKey}`)
+        this.output.info(`   WIF Private Key: ${wifKey}`)
         if (flags.qr) {
-          console.log('\nWIF Private Key QR Code:')
+          this.output.info('\nWIF Private Key QR Code:')
           await this.generateSmallQR(wifKey)
         }
-        console.log('\nWARNING: Keep this private key secure! Anyone with this key can access your funds.')
+        this.output.info('\nWARNING: Keep this private key secure! Anyone with this key can access your funds.')
       }
       
-      console.log()
+      this.output.info()
 
       // Show additional HD addresses if requested
       if (flags.index !== undefined) {
-        console.log('Additional HD Addresses:')
-        
-        const xecWallet = new this.MinimalXecWallet(walletData.wallet.mnemonic)
-        await xecWallet.walletInfoPromise
+        this.output.info('Additional HD Addresses:')
 
         const hdIndex = parseInt(flags.index) || 1
-        const keyPair = await xecWallet.getKeyPair(hdIndex)
+        let xecWallet = null
+        let keyPair
+
+        if (this.walletUtil.isWatchOnly(walletData)) {
+          // Watch-only wallets can only derive more addresses from an xpub
+          if (!walletData.wallet.xpub) {
+            throw new ValidationError('This watch-only wallet has a single address and no xpub to derive from')
+          }
+          keyPair = { xecAddress: this.xpubUtil.deriveAddress(walletData.wallet.xpub, 0, hdIndex) }
+        } else {
+          keyPair = this.deriveKeyPair(walletData, hdIndex)
+          xecWallet = this.walletUtil.createXecWallet(walletData)
+          await xecWallet.walletInfoPromise
+        }
         
-        console.log(`   HD Index ${hdIndex}:`)
+        this.output.info(`   HD Index ${hdIndex}${keyPair.hdPath ? ` (${keyPair.hdPath})` : ''}:`)
+        result.additional = { index: hdIndex, hdPath: keyPair.hdPath || null, xecAddress: keyPair.xecAddress }
         
         if (showXec) {
-          console.log(`   XEC: ${keyPair.xecAddress}`)
+          this.output.info(`   XEC: ${keyPair.xecAddress}`)
           if (flags.qr) {
-            console.log(`\nXEC QR Code for HD Index ${hdIndex}:`)
+            this.output.info(`\nXEC QR Code for HD Index ${hdIndex}:`)
             await this.generateSmallQR(keyPair.xecAddress)
           }
         }
         
         if (showWif) {
           // Convert hex private key to WIF format (compressed, mainnet)
-          // getKeyPair returns hex private key in the 'wif' property
-          const wifPrivateKey = xecWallet.keyDerivation.exportToWif(keyPair.wif, true, false)
-          console.log(`   WIF: ${wifPrivateKey}`)
+          const wifPrivateKey = xecWallet.keyDerivation.exportToWif(keyPair.privateKey, true, false)
+          result.additional.wif = wifPrivateKey
+          this.output.info(`   WIF: ${wifPrivateKey}`)
           if (flags.qr) {
-            console.log(`\nWIF QR Code for HD Index ${hdIndex}:`)
+            this.output.info(`\nWIF QR Code for HD Index ${hdIndex}:`)
             await this.generateSmallQR(wifPrivateKey)
           }
-          console.log('\nWARNING: Keep this private key secure!')
+          this.output.info('\nWARNING: Keep this private key secure!')
         }
         
-        console.log()
+        this.output.info()
       }
 
-      console.log('Tips:')
+      this.output.info('Tips:')
       if (showXec) {
-        console.log('   - Use XEC address for receiving XEC coins and eTokens')
+        this.output.info('   - Use XEC address for receiving XEC coins and eTokens')
       }
       if (showWif) {
-        console.log('   - Use WIF key to sweep/import wallet into other applications')
+        this.output.info('   - Use WIF key to sweep/import wallet into other applications')
       }
-      console.log('   - Use --xec or --wif to show specific address types')
-      console.log('   - Add --index <number> to view additional HD addresses')
+      this.output.info('   - Use --xec or --wif to show specific address types')
+      this.output.info('   - Add --index <number> to view additional HD addresses')
       if (!flags.qr) {
-        console.log('   - Add -q flag to display QR codes')
+        this.output.info('   - Add -q flag to display QR codes')
+      }
+      if (!uri) {
+        this.output.info('   - Add --amount, --label or --message to show a payment request QR code')
       }
 
-      return true
+      return result
     } catch (err) {
-      throw new Error(`Failed to display addresses: ${err.message}`)
+      throw wrapError(err, 'Failed to display addresses')
     }
   }
 }
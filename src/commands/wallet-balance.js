@@ -3,33 +3,48 @@
 */
 
 // Global npm libraries
-import MinimalXecWallet from 'minimal-xec-wallet'
+import { SLP_NFT1_GROUP, SLP_NFT1_CHILD } from 'ecash-lib'
 
 // Local libraries
 import WalletUtil from '../lib/wallet-util.js'
+import Output from '../lib/output.js'
+import WalletCache from '../lib/wallet-cache.js'
+import AmountUtil from '../lib/amount-util.js'
+import CoinControl from '../lib/coin-control.js'
+import { ValidationError, NetworkError, classifyError, wrapError } from '../lib/errors.js'
 
 class WalletBalance {
   constructor () {
     // Encapsulate dependencies
-    this.MinimalXecWallet = MinimalXecWallet
     this.walletUtil = new WalletUtil()
+    this.output = new Output()
+    this.walletCache = new WalletCache()
+    this.amountUtil = new AmountUtil()
+    this.coinControl = new CoinControl()
 
     // Bind 'this' object to all subfunctions
     this.run = this.run.bind(this)
     this.validateFlags = this.validateFlags.bind(this)
     this.getBalance = this.getBalance.bind(this)
+    this.getCachedBalance = this.getCachedBalance.bind(this)
     this.displayBalance = this.displayBalance.bind(this)
     this.getETokenData = this.getETokenData.bind(this)
     this.categorizeTokens = this.categorizeTokens.bind(this)
+    this.getNftCollections = this.getNftCollections.bind(this)
+    this.getNftGroupId = this.getNftGroupId.bind(this)
     this.displayETokenBalances = this.displayETokenBalances.bind(this)
+    this.displayNftCollections = this.displayNftCollections.bind(this)
     this.displayUtxoBreakdown = this.displayUtxoBreakdown.bind(this)
+    this.getHdBalances = this.getHdBalances.bind(this)
+    this.displayHdBalances = this.displayHdBalances.bind(this)
+    this.balanceToJson = this.balanceToJson.bind(this)
   }
 
   async run (flags) {
     try {
       this.validateFlags(flags)
 
-      console.log(`Checking balance for wallet '${flags.name}'...\n`)
+      this.output.info(`Checking balance for wallet '${flags.name}'...\n`)
 
       // Load wallet data
       const walletData = await this.walletUtil.loadWallet(flags.name)
@@ -40,9 +55,12 @@ class WalletBalance {
       // Display balance information
       await this.displayBalance(balanceData, flags.name)
 
+      this.output.json(this.balanceToJson(balanceData, flags.name))
+
       return true
     } catch (err) {
       console.error('Error checking balance:', err.message)
+      this.output.error(err)
       return 0
     }
   }
@@ -51,7 +69,7 @@ class WalletBalance {
     // Exit if wallet name not specified
     const name = flags.name
     if (!name || name === '') {
-      throw new Error('You must specify a wallet name with the -n flag.')
+      throw new ValidationError('You must specify a wallet name with the -n flag.')
     }
 
     return true
@@ -60,75 +78,201 @@ class WalletBalance {
   // Get balance information for the wallet
   async getBalance (walletData) {
     try {
-      // Create wallet instance from stored mnemonic
-      const xecWallet = new this.MinimalXecWallet(walletData.wallet.mnemonic)
+      // Create wallet instance from stored wallet data
+      const xecWallet = this.walletUtil.createXecWallet(walletData)
       await xecWallet.walletInfoPromise
 
-      // Initialize to get UTXOs and balance
-      await xecWallet.initialize()
+      // Initialize to get UTXOs and balance. When Chronik cannot be reached,
+      // show the last-known UTXO set from the cache instead.
+      let cachedUtxos = null
+      try {
+        await xecWallet.initialize()
+        await this.walletCache.saveUtxos(xecWallet)
+      } catch (err) {
+        if (!(classifyError(err) instanceof NetworkError)) throw err
+        cachedUtxos = await this.walletCache.loadUtxos(xecWallet.walletInfo.xecAddress)
+        if (!cachedUtxos) throw err
+        xecWallet.utxos.utxoStore.xecUtxos = cachedUtxos.utxos
+      }
 
       // Get detailed balance information
-      const balance = await xecWallet.getDetailedBalance()
+      const balance = cachedUtxos
+        ? this.getCachedBalance(cachedUtxos.utxos)
+        : await xecWallet.getDetailedBalance()
       const xecUsdPrice = await xecWallet.getXecUsd().catch(() => null)
 
       // Get eToken balances
       const eTokenData = await this.getETokenData(xecWallet)
 
+      // Watch-only xpub wallets also report every scanned HD address
+      const hdBalances = await this.getHdBalances(xecWallet, walletData)
+
       return {
         balance,
         xecUsdPrice,
         address: xecWallet.walletInfo.xecAddress,
         wallet: xecWallet,
-        eTokens: eTokenData
+        eTokens: eTokenData,
+        watchOnly: this.walletUtil.isWatchOnly(walletData),
+        hdBalances,
+        cached: cachedUtxos ? { blockHeight: cachedUtxos.blockHeight, savedAt: cachedUtxos.savedAt } : null
       }
     } catch (err) {
-      throw new Error(`Failed to get balance: ${err.message}`)
+      throw wrapError(err, 'Failed to get balance')
+    }
+  }
+
+  // Balance in the shape of getDetailedBalance, summed from cached UTXOs.
+  // Unconfirmed UTXOs have a block height of -1.
+  getCachedBalance (utxos) {
+    const unconfirmed = this.amountUtil.sum(utxos.filter(utxo => utxo.blockHeight === -1).map(utxo => utxo.sats))
+    const confirmed = this.amountUtil.sum(utxos.filter(utxo => utxo.blockHeight !== -1).map(utxo => utxo.sats))
+    const total = confirmed + unconfirmed
+
+    return {
+      confirmed: Number(confirmed) / 100,
+      unconfirmed: Number(unconfirmed) / 100,
+      total: Number(total) / 100,
+      satoshis: { confirmed: Number(confirmed), unconfirmed: Number(unconfirmed), total: Number(total) }
     }
   }
 
   // Display balance information on screen
   async displayBalance (balanceData, walletName) {
     try {
-      const { balance, xecUsdPrice, address, eTokens } = balanceData
+      const { balance, xecUsdPrice, address, eTokens, watchOnly, hdBalances, cached } = balanceData
 
-      console.log(`Wallet: ${walletName}`)
-      console.log(`Address: ${address}`)
-      console.log()
+      this.output.info(`Wallet: ${walletName}`)
+      this.output.info(`Address: ${address}`)
+      if (watchOnly) {
+        this.output.info('Type: watch-only (cannot send)')
+      }
+      if (cached) {
+        const height = cached.blockHeight ? `block ${cached.blockHeight}, ` : ''
+        this.output.info(`Offline: Chronik is unreachable, showing the last-known balance (${height}saved ${cached.savedAt})`)
+      }
+      this.output.info()
       
       // Display XEC balance
-      console.log('XEC Balance:')
-      console.log(`   Confirmed: ${balance.confirmed.toLocaleString()} XEC`)
-      console.log(`   Unconfirmed: ${balance.unconfirmed.toLocaleString()} XEC`)
-      console.log(`   Total: ${balance.total.toLocaleString()} XEC`)
+      this.output.info('XEC Balance:')
+      this.output.info(`   Confirmed: ${this.amountUtil.formatXec(balance.satoshis.confirmed)} XEC`)
+      this.output.info(`   Unconfirmed: ${this.amountUtil.formatXec(balance.satoshis.unconfirmed)} XEC`)
+      this.output.info(`   Total: ${this.amountUtil.formatXec(balance.satoshis.total)} XEC`)
       
       // Display satoshi amounts
-      console.log()
-      console.log('Satoshi Balance:')
-      console.log(`   Total: ${balance.satoshis.total.toLocaleString()} sats`)
+      this.output.info()
+      this.output.info('Satoshi Balance:')
+      this.output.info(`   Total: ${this.amountUtil.formatAtoms(balance.satoshis.total, 0, { group: true })} sats`)
 
       // Display USD value if price is available
       if (xecUsdPrice && balance.total > 0) {
         const usdValue = (balance.total * xecUsdPrice).toFixed(2)
-        console.log()
-        console.log('USD Value:')
-        console.log(`   ~$${usdValue} USD (at $${xecUsdPrice}/XEC)`)
+        this.output.info()
+        this.output.info('USD Value:')
+        this.output.info(`   ~$${usdValue} USD (at $${xecUsdPrice}/XEC)`)
       }
 
+      // Display per-address balances for xpub wallets
+      this.displayHdBalances(hdBalances)
+
       // Display eToken balances
       await this.displayETokenBalances(eTokens)
 
       // Display UTXO breakdown for debugging fee issues
-      await this.displayUtxoBreakdown(balanceData.wallet)
+      await this.displayUtxoBreakdown(balanceData.wallet, walletName)
 
-      console.log()
-      console.log('Commands:')
-      console.log(`   Send XEC: node xec-wallet.js send-xec -n ${walletName} -a <address> -q <amount>`)
-      console.log(`   View QR: node xec-wallet.js wallet-addrs -n ${walletName} -q`)
+      this.output.info()
+      this.output.info('Commands:')
+      if (!watchOnly) {
+        this.output.info(`   Send XEC: node xec-wallet.js send-xec -n ${walletName} -a <address> -q <amount>`)
+      }
+      this.output.info(`   View QR: node xec-wallet.js wallet-addrs -n ${walletName} -q`)
 
       return true
     } catch (err) {
-      throw new Error(`Failed to display balance: ${err.message}`)
+      throw wrapError(err, 'Failed to display balance')
+    }
+  }
+
+  // Build the --json document for a balance check
+  balanceToJson (balanceData, walletName) {
+    const { balance, xecUsdPrice, address, eTokens, watchOnly, hdBalances, cached } = balanceData
+
+    const utxos = balanceData.wallet.utxos?.utxoStore?.xecUtxos || []
+    const utxoState = balanceData.wallet.utxoState || {}
+    const utxoSummary = { pureXec: { count: 0, sats: 0 }, token: { count: 0, sats: 0 }, frozen: { count: 0, sats: 0 }, marked: [] }
+    for (const utxo of utxos) {
+      const sats = this.amountUtil.toBigInt(utxo.sats !== undefined ? utxo.sats : utxo.value)
+      const bucket = utxo.token && utxo.token.tokenId ? utxoSummary.token : utxoSummary.pureXec
+      bucket.count++
+      bucket.sats += Number(sats)
+
+      const outpoint = `${utxo.outpoint?.txid}:${utxo.outpoint?.outIdx}`
+      const state = utxoState[outpoint]
+      if (state) {
+        if (state.frozen) {
+          utxoSummary.frozen.count++
+          utxoSummary.frozen.sats += Number(sats)
+        }
+        utxoSummary.marked.push({ outpoint, sats: Number(sats), frozen: Boolean(state.frozen), label: state.label || null })
+      }
+    }
+
+    return {
+      name: walletName,
+      address,
+      watchOnly,
+      balance: {
+        confirmed: this.output.xecAmount(balance.satoshis.confirmed),
+        unconfirmed: this.output.xecAmount(balance.satoshis.unconfirmed),
+        total: this.output.xecAmount(balance.satoshis.total)
+      },
+      usd: xecUsdPrice
+        ? { price: xecUsdPrice, value: Number((balance.total * xecUsdPrice).toFixed(2)) }
+        : null,
+      tokens: eTokens,
+      hdAddresses: hdBalances ? hdBalances.entries : [],
+      utxos: utxoSummary,
+      cached
+    }
+  }
+
+  // Get XEC balances of the HD addresses found by an xpub scan
+  async getHdBalances (wallet, walletData) {
+    const hdAddresses = this.walletUtil.getHdAddresses(walletData)
+    if (hdAddresses.length === 0) {
+      return null
+    }
+
+    const entries = []
+    let totalSats = 0n
+    for (const entry of hdAddresses) {
+      try {
+        const balance = await wallet.getDetailedBalance({ xecAddress: entry.address })
+        entries.push({ ...entry, total: balance.total, sats: balance.satoshis.total })
+        totalSats += this.amountUtil.toBigInt(balance.satoshis.total)
+      } catch (err) {
+        entries.push({ ...entry, error: err.message })
+      }
+    }
+
+    return { entries, totalSats }
+  }
+
+  // Display the XEC balance of each scanned HD address
+  displayHdBalances (hdBalances) {
+    if (!hdBalances) {
+      return
+    }
+
+    this.output.info()
+    this.output.info(`HD Addresses (xpub scan, ${hdBalances.entries.length} with history):`)
+    for (const entry of hdBalances.entries) {
+      const amount = entry.error ? `error: ${entry.error}` : `${this.amountUtil.formatXec(entry.sats)} XEC`
+      this.output.info(`   ${entry.path.padEnd(8)} ${entry.address}  ${amount}`)
     }
+    this.output.info(`   Total across HD addresses: ${this.amountUtil.formatXec(hdBalances.totalSats)} XEC`)
+    this.output.info('   (Token and UTXO details below are for the primary address only)')
   }
 
   // Get eToken data for the wallet
@@ -136,22 +280,37 @@ class WalletBalance {
     try {
       // Extract token UTXOs from the wallet's XEC UTXOs
       const tokenUtxos = []
+      const batonUtxos = []
       
       if (wallet.utxos && wallet.utxos.utxoStore && wallet.utxos.utxoStore.xecUtxos) {
-        // Look for UTXOs that have token data
+        // Look for UTXOs that have token data. Mint batons carry no balance,
+        // but are tracked so the wallet can show which tokens it can mint.
         for (const utxo of wallet.utxos.utxoStore.xecUtxos) {
-          if (utxo.token && utxo.token.tokenId && !utxo.token.isMintBaton) {
-            tokenUtxos.push(utxo.token)
+          if (utxo.token && utxo.token.tokenId) {
+            if (utxo.token.isMintBaton) {
+              batonUtxos.push(utxo.token)
+            } else {
+              tokenUtxos.push(utxo.token)
+            }
           }
         }
       }
       
-      if (tokenUtxos.length === 0) {
-        return { slp: [], alp: [] }
+      if (tokenUtxos.length === 0 && batonUtxos.length === 0) {
+        return { slp: [], alp: [], nfts: [] }
       }
 
       // Group UTXOs by token ID and sum balances
       const tokenBalances = {}
+      for (const token of batonUtxos) {
+        tokenBalances[token.tokenId] = {
+          tokenId: token.tokenId,
+          balance: 0n,
+          protocol: token.tokenType?.protocol || 'SLP',
+          tokenType: token.tokenType?.number
+        }
+      }
+      const batonIds = new Set(batonUtxos.map(token => token.tokenId))
       for (const token of tokenUtxos) {
         const tokenId = token.tokenId
         if (!tokenId) continue
@@ -159,23 +318,14 @@ class WalletBalance {
         if (!tokenBalances[tokenId]) {
           tokenBalances[tokenId] = {
             tokenId: tokenId,
-            balance: 0,
-            protocol: token.tokenType?.protocol || 'SLP'
+            balance: 0n,
+            protocol: token.tokenType?.protocol || 'SLP',
+            tokenType: token.tokenType?.number
           }
         }
         
         // Add balance from atoms
-        const atoms = token.atoms || 0
-        let balance = 0
-        if (typeof atoms === 'bigint') {
-          balance = Number(atoms)
-        } else if (typeof atoms === 'string') {
-          balance = parseFloat(atoms)
-        } else {
-          balance = parseFloat(atoms) || 0
-        }
-        
-        tokenBalances[tokenId].balance += balance
+        tokenBalances[tokenId].balance += this.amountUtil.toBigInt(token.atoms)
       }
 
       // Convert to array and get metadata for each token
@@ -192,7 +342,7 @@ class WalletBalance {
           // Try multiple methods to get token metadata
           try {
             // Method 1: Try wallet.getETokenData (most reliable for metadata)
-            const eTokenData = await wallet.getETokenData(token.tokenId)
+            const eTokenData = await this.walletCache.getTokenData(wallet, token.tokenId)
             if (eTokenData) {
               ticker = eTokenData.ticker || ticker
               name = eTokenData.name || name
@@ -225,17 +375,16 @@ class WalletBalance {
             name = `Token ${ticker}`
           }
           
-          // Calculate display amount
-          const displayBalance = token.balance / Math.pow(10, decimals)
-          
           return {
             tokenId: token.tokenId,
             balance: token.balance,
-            balanceStr: displayBalance.toString(),
+            balanceStr: this.amountUtil.formatAtoms(token.balance, decimals, { trim: true }),
             ticker: ticker,
             name: name,
             decimals: decimals,
-            protocol: protocol
+            protocol: protocol,
+            tokenType: token.tokenType,
+            mintBaton: batonIds.has(token.tokenId)
           }
         } catch (err) {
           console.error(`Warning: Could not process token ${token.tokenId}:`, err.message)
@@ -244,76 +393,139 @@ class WalletBalance {
           return {
             tokenId: token.tokenId,
             balance: token.balance,
-            balanceStr: (token.balance || 0).toString(),
+            balanceStr: this.amountUtil.formatAtoms(token.balance),
             ticker: fallbackTicker,
             name: `Token ${fallbackTicker}`,
             decimals: 0,
-            protocol: token.protocol || 'SLP'
+            protocol: token.protocol || 'SLP',
+            tokenType: token.tokenType,
+            mintBaton: batonIds.has(token.tokenId)
           }
         }
       })
 
       const allTokenData = await Promise.all(tokenDataPromises)
       
-      // Filter out any tokens with 0 balance
+      // Filter out any tokens with 0 balance, unless the wallet holds their mint baton
       const filteredTokenData = allTokenData.filter(token => 
-        parseFloat(token.balanceStr) > 0
+        token.balance > 0n || token.mintBaton
       )
       
-      // Categorize tokens by protocol
-      return this.categorizeTokens(filteredTokenData)
+      // Categorize tokens by protocol, grouping NFTs by collection
+      const { slp, alp, nft } = this.categorizeTokens(filteredTokenData)
+      const nfts = await this.getNftCollections(wallet, nft)
+
+      return { slp, alp, nfts }
     } catch (err) {
       console.error('Warning: Could not fetch eToken data:', err.message)
-      return { slp: [], alp: [] }
+      return { slp: [], alp: [], nfts: [] }
     }
   }
 
-  // Categorize tokens into SLP and ALP groups
+  // Categorize tokens into SLP, ALP and SLP NFT1 (groups and children)
   categorizeTokens (tokenData) {
     const slp = []
     const alp = []
+    const nft = []
 
     for (const token of tokenData) {
-      if (token.protocol && token.protocol.toUpperCase() === 'ALP') {
+      if (token.tokenType === SLP_NFT1_GROUP || token.tokenType === SLP_NFT1_CHILD) {
+        nft.push(token)
+      } else if (token.protocol && token.protocol.toUpperCase() === 'ALP') {
         alp.push(token)
       } else {
         slp.push(token)
       }
     }
 
-    return { slp, alp }
+    return { slp, alp, nft }
+  }
+
+  // Group NFT1 tokens by collection. Each collection lists its child NFTs and
+  // the group tokens the wallet still holds for minting more of them.
+  async getNftCollections (wallet, nftTokens) {
+    const collections = {}
+    const getCollection = (groupTokenId, group = {}) => {
+      if (!collections[groupTokenId]) {
+        collections[groupTokenId] = {
+          groupTokenId,
+          ticker: group.ticker || null,
+          name: group.name || null,
+          groupTokens: group.balance || 0n,
+          mintBaton: Boolean(group.mintBaton),
+          nfts: []
+        }
+      }
+      return collections[groupTokenId]
+    }
+
+    for (const token of nftTokens.filter(token => token.tokenType === SLP_NFT1_GROUP)) {
+      getCollection(token.tokenId, token)
+    }
+
+    for (const token of nftTokens.filter(token => token.tokenType === SLP_NFT1_CHILD)) {
+      const groupTokenId = await this.getNftGroupId(wallet, token.tokenId)
+      const collection = getCollection(groupTokenId || 'unknown')
+      collection.nfts.push({ tokenId: token.tokenId, ticker: token.ticker, name: token.name })
+    }
+
+    // Name collections the wallet only holds children of
+    for (const collection of Object.values(collections)) {
+      if (collection.ticker || collection.groupTokenId === 'unknown') continue
+      const groupData = await this.walletCache.getTokenData(wallet, collection.groupTokenId).catch(() => null)
+      collection.ticker = (groupData && groupData.ticker) || collection.groupTokenId.slice(0, 8).toUpperCase()
+      collection.name = (groupData && groupData.name) || `Collection ${collection.ticker}`
+    }
+
+    return Object.values(collections)
+  }
+
+  // The group a child NFT was minted from, read from its genesis transaction
+  async getNftGroupId (wallet, tokenId) {
+    try {
+      const genesisTx = await this.walletCache.getTx(wallet, tokenId)
+      const entry = (genesisTx.tokenEntries || []).find(entry => entry.tokenId === tokenId)
+      return (entry && entry.groupTokenId) || null
+    } catch (err) {
+      return null
+    }
   }
 
   // Display eToken balances grouped by protocol
   async displayETokenBalances (eTokens) {
     try {
-      const { slp, alp } = eTokens
+      const { slp, alp, nfts = [] } = eTokens
 
-      if (slp.length === 0 && alp.length === 0) {
+      if (slp.length === 0 && alp.length === 0 && nfts.length === 0) {
         return
       }
 
-      console.log()
+      this.output.info()
 
       // Display SLP tokens
       if (slp.length > 0) {
-        console.log('SLP Tokens:')
+        this.output.info('SLP Tokens:')
         for (const token of slp) {
-          const amount = parseFloat(token.balanceStr).toLocaleString()
-          console.log(`   ${token.ticker} ${token.name}  ${token.tokenId}  ${amount}`)
+          const amount = this.amountUtil.formatAtoms(token.balance, token.decimals, { trim: true, group: true })
+          const baton = token.mintBaton ? '  [mint baton]' : ''
+          this.output.info(`   ${token.ticker} ${token.name}  ${token.tokenId}  ${amount}${baton}`)
         }
       }
 
       // Display ALP tokens
       if (alp.length > 0) {
-        console.log()
-        console.log('ALP Tokens:')
+        this.output.info()
+        this.output.info('ALP Tokens:')
         for (const token of alp) {
-          const amount = parseFloat(token.balanceStr).toLocaleString()
-          console.log(`   ${token.ticker} ${token.name}  ${token.tokenId}  ${amount}`)
+          const amount = this.amountUtil.formatAtoms(token.balance, token.decimals, { trim: true, group: true })
+          const baton = token.mintBaton ? '  [mint baton]' : ''
+          this.output.info(`   ${token.ticker} ${token.name}  ${token.tokenId}  ${amount}${baton}`)
         }
       }
 
+      // Display NFTs grouped by collection
+      this.displayNftCollections(nfts)
+
       return true
     } catch (err) {
       console.error('Warning: Could not display eToken balances:', err.message)
@@ -321,100 +533,151 @@ class WalletBalance {
     }
   }
 
+  // Display each NFT collection with the child NFTs the wallet holds
+  displayNftCollections (nfts = []) {
+    if (nfts.length === 0) {
+      return
+    }
+
+    this.output.info()
+    this.output.info('NFT Collections:')
+    for (const collection of nfts) {
+      if (collection.groupTokenId === 'unknown') {
+        this.output.info('   Unknown collection')
+      } else {
+        const baton = collection.mintBaton ? '  [mint baton]' : ''
+        this.output.info(`   ${collection.ticker} ${collection.name}  ${collection.groupTokenId}  (${collection.groupTokens} group tokens)${baton}`)
+      }
+      for (const nft of collection.nfts) {
+        this.output.info(`      ${nft.ticker} ${nft.name}  ${nft.tokenId}`)
+      }
+      if (collection.nfts.length === 0) {
+        this.output.info('      (no NFTs held)')
+      }
+    }
+  }
+
   // Display UTXO breakdown for debugging fee calculation issues
-  async displayUtxoBreakdown (wallet) {
+  async displayUtxoBreakdown (wallet, walletName) {
     try {
-      console.log()
-      console.log('UTXO Breakdown (for fee calculation debugging):')
-      console.log('-'.repeat(60))
+      this.output.info()
+      this.output.info('UTXO Breakdown (for fee calculation debugging):')
+      this.output.info('-'.repeat(60))
 
       if (!wallet.utxos || !wallet.utxos.utxoStore || !wallet.utxos.utxoStore.xecUtxos) {
-        console.log('   No UTXO data available')
+        this.output.info('   No UTXO data available')
         return false
       }
 
       const utxos = wallet.utxos.utxoStore.xecUtxos
+      const utxoState = wallet.utxoState || {}
       let pureXecUtxos = []
       let tokenUtxos = []
-      let pureXecTotal = 0
-      let tokenXecTotal = 0
+      let pureXecTotal = 0n
+      let tokenXecTotal = 0n
+      let frozenXecTotal = 0n
 
       // Categorize UTXOs
       for (const utxo of utxos) {
-        // Safely get XEC amount - use sats property which is the correct one
-        let xecAmount = 0
-        if (utxo.sats !== undefined) {
-          const satoshis = parseInt(utxo.sats) || 0
-          xecAmount = satoshis / 100 // Convert from satoshis to XEC
-        } else if (utxo.value) {
-          const satoshis = parseInt(utxo.value) || 0
-          xecAmount = satoshis / 100 // Convert from satoshis to XEC
-        }
+        // Safely get the amount - use sats property which is the correct one
+        const sats = this.amountUtil.toBigInt(utxo.sats !== undefined ? utxo.sats : utxo.value)
         
         // Safely get TXID from outpoint
         const txid = utxo.outpoint?.txid || utxo.txid || 'unknown'
         const outIdx = utxo.outpoint?.outIdx !== undefined ? utxo.outpoint.outIdx : (utxo.outIdx !== undefined ? utxo.outIdx : 0)
+
+        // Frozen state and label saved in the wallet file
+        const state = utxoState[`${txid}:${outIdx}`] || {}
         
         if (utxo.token && utxo.token.tokenId) {
           // This UTXO is locked with tokens
           tokenUtxos.push({
             txid: txid,
             outIdx: outIdx,
-            xecAmount: xecAmount,
+            sats,
             tokenId: utxo.token.tokenId,
-            atoms: utxo.token.atoms
+            atoms: utxo.token.atoms,
+            state
           })
-          tokenXecTotal += xecAmount
+          tokenXecTotal += sats
         } else {
           // This is pure XEC UTXO
           pureXecUtxos.push({
             txid: txid,
             outIdx: outIdx,
-            xecAmount: xecAmount
+            sats,
+            state
           })
-          pureXecTotal += xecAmount
+          pureXecTotal += sats
+          if (state.frozen) {
+            frozenXecTotal += sats
+          }
         }
       }
 
-      console.log(`Pure XEC UTXOs (available for fees): ${pureXecUtxos.length}`)
-      console.log(`   Total: ${pureXecTotal.toLocaleString()} XEC`)
+      // Appended to each listed UTXO, e.g. ' [frozen] "rent"'
+      const tags = utxo => {
+        const text = this.coinControl.formatState(utxo.state)
+        return text ? ` ${text}` : ''
+      }
+
+      this.output.info(`Pure XEC UTXOs (available for fees): ${pureXecUtxos.length}`)
+      this.output.info(`   Total: ${this.amountUtil.formatXec(pureXecTotal)} XEC`)
       
       if (pureXecUtxos.length > 0) {
-        console.log('   UTXOs:')
+        this.output.info('   UTXOs:')
         pureXecUtxos.slice(0, 5).forEach((utxo, i) => {
-          console.log(`     ${i + 1}. ${utxo.txid.slice(0, 8)}...${utxo.txid.slice(-4)}:${utxo.outIdx} - ${utxo.xecAmount.toLocaleString()} XEC`)
+          this.output.info(`     ${i + 1}. ${utxo.txid.slice(0, 8)}...${utxo.txid.slice(-4)}:${utxo.outIdx} - ${this.amountUtil.formatXec(utxo.sats)} XEC${tags(utxo)}`)
         })
         if (pureXecUtxos.length > 5) {
-          console.log(`     ... and ${pureXecUtxos.length - 5} more`)
+          this.output.info(`     ... and ${pureXecUtxos.length - 5} more`)
         }
       }
 
-      console.log()
-      console.log(`Token UTXOs (XEC locked with tokens): ${tokenUtxos.length}`)
-      console.log(`   Total: ${tokenXecTotal.toLocaleString()} XEC`)
+      this.output.info()
+      this.output.info(`Token UTXOs (XEC locked with tokens): ${tokenUtxos.length}`)
+      this.output.info(`   Total: ${this.amountUtil.formatXec(tokenXecTotal)} XEC`)
       
       if (tokenUtxos.length > 0) {
-        console.log('   UTXOs:')
+        this.output.info('   UTXOs:')
         tokenUtxos.slice(0, 5).forEach((utxo, i) => {
-          console.log(`     ${i + 1}. ${utxo.txid.slice(0, 8)}...${utxo.txid.slice(-4)}:${utxo.outIdx} - ${utxo.xecAmount.toLocaleString()} XEC (Token: ${utxo.tokenId.slice(0, 8)}...)`)
+          this.output.info(`     ${i + 1}. ${utxo.txid.slice(0, 8)}...${utxo.txid.slice(-4)}:${utxo.outIdx} - ${this.amountUtil.formatXec(utxo.sats)} XEC (Token: ${utxo.tokenId.slice(0, 8)}...)${tags(utxo)}`)
         })
         if (tokenUtxos.length > 5) {
-          console.log(`     ... and ${tokenUtxos.length - 5} more`)
+          this.output.info(`     ... and ${tokenUtxos.length - 5} more`)
         }
       }
 
-      console.log()
-      console.log('Fee Calculation Analysis:')
-      console.log(`   Available for fees: ${pureXecTotal.toLocaleString()} XEC`)
-      console.log(`   Locked in tokens: ${tokenXecTotal.toLocaleString()} XEC`)
-      console.log(`   Total wallet: ${(pureXecTotal + tokenXecTotal).toLocaleString()} XEC`)
+      // Every frozen or labelled UTXO in full, beyond the first five above
+      const marked = [...pureXecUtxos, ...tokenUtxos].filter(utxo => utxo.state.frozen || utxo.state.label)
+      if (marked.length > 0) {
+        this.output.info()
+        this.output.info(`Frozen and labelled UTXOs: ${marked.length}`)
+        marked.forEach(utxo => {
+          this.output.info(`   ${utxo.txid}:${utxo.outIdx} - ${this.amountUtil.formatXec(utxo.sats)} XEC${tags(utxo)}`)
+        })
+      }
 
-      if (pureXecTotal < 0.1) {
-        console.log('   WARNING: Very low pure XEC available for fees!')
-        console.log('   This may cause "Insufficient XEC for transaction fees" errors.')
-        console.log('   Consider adding more pure XEC to your wallet.')
+      const availableXec = pureXecTotal - frozenXecTotal
+
+      this.output.info()
+      this.output.info('Fee Calculation Analysis:')
+      this.output.info(`   Available for fees: ${this.amountUtil.formatXec(availableXec)} XEC`)
+      if (frozenXecTotal > 0n) {
+        this.output.info(`   Frozen: ${this.amountUtil.formatXec(frozenXecTotal)} XEC`)
+      }
+      this.output.info(`   Locked in tokens: ${this.amountUtil.formatXec(tokenXecTotal)} XEC`)
+      this.output.info(`   Total wallet: ${this.amountUtil.formatXec(pureXecTotal + tokenXecTotal)} XEC`)
+
+      if (availableXec < 10n) {
+        this.output.info('   WARNING: Very low pure XEC available for fees!')
+        this.output.info('   This may cause "Insufficient XEC for transaction fees" errors.')
+        this.output.info('   Consider adding more pure XEC to your wallet.')
       }
 
+      this.output.info()
+      this.output.info(`Full outpoints for coin control: node xec-wallet.js utxo-list -n ${walletName}`)
+
       return true
     } catch (err) {
       console.error('Warning: Could not display UTXO breakdown:', err.message)
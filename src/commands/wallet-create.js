@@ -7,12 +7,15 @@ import MinimalXecWallet from 'minimal-xec-wallet'
 
 // Local libraries
 import WalletUtil from '../lib/wallet-util.js'
+import Output from '../lib/output.js'
+import { ValidationError, wrapError } from '../lib/errors.js'
 
 class WalletCreate {
   constructor () {
     // Encapsulate dependencies
     this.MinimalXecWallet = MinimalXecWallet
     this.walletUtil = new WalletUtil()
+    this.output = new Output()
 
     // Bind 'this' object to all subfunctions
     this.run = this.run.bind(this)
@@ -24,27 +27,49 @@ class WalletCreate {
     try {
       this.validateFlags(flags)
 
-      console.log(`Creating wallet '${flags.name}'...`)
+      this.output.info(`Creating wallet '${flags.name}'...`)
 
       // Check if wallet already exists
       if (await this.walletUtil.walletExists(flags.name)) {
-        throw new Error(`Wallet '${flags.name}' already exists`)
+        throw new ValidationError(`Wallet '${flags.name}' already exists`)
       }
 
-      const walletData = await this.createWallet(flags.name, flags.description)
+      // Ask for the encryption password before generating any keys
+      let password = null
+      if (flags.encrypt) {
+        password = await this.walletUtil.getNewPassword(flags.name)
+      }
+
+      const walletData = await this.createWallet(flags.name, flags.description, password)
       
-      console.log('\nWallet created successfully!')
-      console.log(`Name: ${flags.name}`)
-      console.log(`Description: ${flags.description || '(none)'}`)
-      console.log(`XEC Address: ${walletData.wallet.xecAddress}`)
-      console.log(`\nIMPORTANT: Save your mnemonic phrase securely:`)
-      console.log(`${walletData.wallet.mnemonic}`)
-      console.log('\nYou can view your address and QR code with:')
-      console.log(`node xec-wallet.js wallet-addrs -n ${flags.name} -q`)
+      this.output.info('\nWallet created successfully!')
+      this.output.info(`Name: ${flags.name}`)
+      this.output.info(`Description: ${flags.description || '(none)'}`)
+      this.output.info(`XEC Address: ${walletData.wallet.xecAddress}`)
+      this.output.info(`Encrypted: ${password ? 'yes' : 'no'}`)
+      this.output.info(`\nIMPORTANT: Save your mnemonic phrase securely:`)
+      this.output.info(`${walletData.wallet.mnemonic}`)
+      this.output.info('\nYou can view your address and QR code with:')
+      this.output.info(`node xec-wallet.js wallet-addrs -n ${flags.name} -q`)
+      if (!password) {
+        this.output.info('\nTip: protect the wallet file with a password using:')
+        this.output.info(`node xec-wallet.js wallet-encrypt -n ${flags.name}`)
+      }
+
+      this.output.json({
+        name: flags.name,
+        description: walletData.description,
+        xecAddress: walletData.wallet.xecAddress,
+        hdPath: walletData.wallet.hdPath,
+        mnemonic: walletData.wallet.mnemonic,
+        encrypted: Boolean(password),
+        created: walletData.created
+      })
 
       return walletData
     } catch (err) {
       console.error('Error creating wallet:', err.message)
+      this.output.error(err)
       return 0
     }
   }
@@ -53,22 +78,23 @@ class WalletCreate {
     // Exit if wallet name not specified
     const name = flags.name
     if (!name || name === '') {
-      throw new Error('You must specify a wallet name with the -n flag.')
+      throw new ValidationError('You must specify a wallet name with the -n flag.')
     }
 
     // Validate wallet name format
     if (!/^[a-zA-Z0-9_-]+$/.test(name)) {
-      throw new Error('Wallet name can only contain letters, numbers, underscores, and hyphens.')
+      throw new ValidationError('Wallet name can only contain letters, numbers, underscores, and hyphens.')
     }
 
     return true
   }
 
-  // Create a new wallet and save it to file
-  async createWallet (walletName, description = '') {
+  // Create a new wallet and save it to file, encrypted if a password is given.
+  // Returns the plaintext wallet data so the mnemonic can be shown once.
+  async createWallet (walletName, description = '', password = null) {
     try {
       if (!walletName || typeof walletName !== 'string') {
-        throw new Error('Wallet name is required.')
+        throw new ValidationError('Wallet name is required.')
       }
 
       // Create new XEC wallet instance
@@ -89,11 +115,14 @@ class WalletCreate {
       }
 
       // Save wallet to file
-      await this.walletUtil.saveWallet(walletName, walletData)
+      const fileData = password
+        ? await this.walletUtil.walletCrypto.encryptWallet(walletData, password)
+        : walletData
+      await this.walletUtil.saveWallet(walletName, fileData)
 
       return walletData
     } catch (err) {
-      throw new Error(`Failed to create wallet: ${err.message}`)
+      throw wrapError(err, 'Failed to create wallet')
     }
   }
 }
@@ -0,0 +1,74 @@
+/*
+  Remove password encryption from a wallet file, storing the secrets in plaintext again.
+*/
+
+// Local libraries
+import WalletUtil from '../lib/wallet-util.js'
+import Output from '../lib/output.js'
+import { ValidationError, wrapError } from '../lib/errors.js'
+
+class WalletDecrypt {
+  constructor () {
+    // Encapsulate dependencies
+    this.walletUtil = new WalletUtil()
+    this.output = new Output()
+
+    // Bind 'this' object to all subfunctions
+    this.run = this.run.bind(this)
+    this.validateFlags = this.validateFlags.bind(this)
+    this.decryptWallet = this.decryptWallet.bind(this)
+  }
+
+  async run (flags) {
+    try {
+      this.validateFlags(flags)
+
+      this.output.info(`Decrypting wallet '${flags.name}'...\n`)
+
+      await this.decryptWallet(flags.name)
+
+      this.output.info('Wallet decrypted successfully!')
+      this.output.info('WARNING: The mnemonic and private keys are now stored in plaintext.')
+      this.output.info(`Re-encrypt at any time with: node xec-wallet.js wallet-encrypt -n ${flags.name}`)
+
+      this.output.json({ name: flags.name, encrypted: false })
+
+      return true
+    } catch (err) {
+      console.error('Error decrypting wallet:', err.message)
+      this.output.error(err)
+      return 0
+    }
+  }
+
+  validateFlags (flags = {}) {
+    // Exit if wallet name not specified
+    const name = flags.name
+    if (!name || name === '') {
+      throw new ValidationError('You must specify a wallet name with the -n flag.')
+    }
+
+    return true
+  }
+
+  // Decrypt the wallet file and save it back without encryption
+  async decryptWallet (walletName) {
+    try {
+      const walletData = await this.walletUtil.readWalletFile(walletName)
+
+      if (!this.walletUtil.isEncrypted(walletData)) {
+        throw new ValidationError(`Wallet '${walletName}' is not encrypted`)
+      }
+
+      const plainData = await this.walletUtil.loadWallet(walletName)
+
+      await this.walletUtil.saveWallet(walletName, plainData)
+
+      return plainData
+    } catch (err) {
+      throw wrapError(err, 'Failed to decrypt wallet')
+    }
+  }
+}
+
+export default WalletDecrypt
@@ -0,0 +1,81 @@
+/*
+  Encrypt the mnemonic and keys of an existing wallet file with a password.
+*/
+
+// Local libraries
+import WalletUtil from '../lib/wallet-util.js'
+import Output from '../lib/output.js'
+import { ValidationError, wrapError } from '../lib/errors.js'
+
+class WalletEncrypt {
+  constructor () {
+    // Encapsulate dependencies
+    this.walletUtil = new WalletUtil()
+    this.output = new Output()
+
+    // Bind 'this' object to all subfunctions
+    this.run = this.run.bind(this)
+    this.validateFlags = this.validateFlags.bind(this)
+    this.encryptWallet = this.encryptWallet.bind(this)
+  }
+
+  async run (flags) {
+    try {
+      this.validateFlags(flags)
+
+      this.output.info(`Encrypting wallet '${flags.name}'...\n`)
+
+      await this.encryptWallet(flags.name)
+
+      this.output.info('Wallet encrypted successfully!')
+      this.output.info('The mnemonic and private keys are now protected by your password.')
+      this.output.info('\nIMPORTANT: There is no way to recover a forgotten password.')
+      this.output.info('Keep a backup of your mnemonic phrase in a safe place.')
+      this.output.info('\nCommands will ask for the password, or read it from --password or XEC_WALLET_PASSWORD.')
+
+      this.output.json({ name: flags.name, encrypted: true })
+
+      return true
+    } catch (err) {
+      console.error('Error encrypting wallet:', err.message)
+      this.output.error(err)
+      return 0
+    }
+  }
+
+  validateFlags (flags = {}) {
+    // Exit if wallet name not specified
+    const name = flags.name
+    if (!name || name === '') {
+      throw new ValidationError('You must specify a wallet name with the -n flag.')
+    }
+
+    return true
+  }
+
+  // Replace the plaintext secrets in the wallet file with an encrypted envelope
+  async encryptWallet (walletName) {
+    try {
+      const walletData = await this.walletUtil.readWalletFile(walletName)
+
+      if (this.walletUtil.isEncrypted(walletData)) {
+        throw new ValidationError(`Wallet '${walletName}' is already encrypted`)
+      }
+
+      if (this.walletUtil.isWatchOnly(walletData)) {
+        throw new ValidationError(`Wallet '${walletName}' is watch-only and has no keys to encrypt`)
+      }
+
+      const password = await this.walletUtil.getNewPassword(walletName)
+      const encryptedData = await this.walletUtil.walletCrypto.encryptWallet(walletData, password)
+
+      await this.walletUtil.saveWallet(walletName, encryptedData)
+
+      return encryptedData
+    } catch (err) {
+      throw wrapError(err, 'Failed to encrypt wallet')
+    }
+  }
+}
+
+export default WalletEncrypt
@@ -0,0 +1,223 @@
+/*
+  Restore an XEC wallet from an existing BIP39 mnemonic (Cashtab, Electrum ABC, etc).
+*/
+
+// Global npm libraries
+import { readFile } from 'fs/promises'
+import { validateMnemonic } from '@scure/bip39'
+import { wordlist } from '@scure/bip39/wordlists/english'
+
+// Local libraries
+import WalletUtil, { DEFAULT_HD_PATH } from '../lib/wallet-util.js'
+import Prompt from '../lib/prompt.js'
+import Output from '../lib/output.js'
+import { ValidationError, wrapError } from '../lib/errors.js'
+
+class WalletImport {
+  constructor () {
+    // Encapsulate dependencies
+    this.walletUtil = new WalletUtil()
+    this.prompt = new Prompt()
+    this.output = new Output()
+    this.readFile = readFile
+
+    // Bind 'this' object to all subfunctions
+    this.run = this.run.bind(this)
+    this.validateFlags = this.validateFlags.bind(this)
+    this.readMnemonic = this.readMnemonic.bind(this)
+    this.normalizeMnemonic = this.normalizeMnemonic.bind(this)
+    this.validateMnemonic = this.validateMnemonic.bind(this)
+    this.validateHdPath = this.validateHdPath.bind(this)
+    this.importWallet = this.importWallet.bind(this)
+  }
+
+  async run (flags) {
+    try {
+      this.validateFlags(flags)
+
+      this.output.info(`Importing wallet '${flags.name}'...\n`)
+
+      // Check if wallet already exists
+      if (await this.walletUtil.walletExists(flags.name)) {
+        throw new ValidationError(`Wallet '${flags.name}' already exists`)
+      }
+
+      const mnemonic = await this.readMnemonic(flags)
+      this.validateMnemonic(mnemonic)
+
+      let passphrase = ''
+      if (flags.passphrase) {
+        passphrase = await this.prompt.askHidden('BIP39 passphrase: ')
+      }
+
+      let password = null
+      if (flags.encrypt) {
+        password = await this.walletUtil.getNewPassword(flags.name)
+      }
+
+      const walletData = await this.importWallet(flags.name, mnemonic, {
+        description: flags.description,
+        hdPath: flags.hdPath || DEFAULT_HD_PATH,
+        passphrase,
+        password
+      })
+
+      this.output.info('Wallet imported successfully!')
+      this.output.info(`Name: ${flags.name}`)
+      this.output.info(`Description: ${flags.description || '(none)'}`)
+      this.output.info(`XEC Address: ${walletData.wallet.xecAddress}`)
+      this.output.info(`HD Path: ${walletData.wallet.hdPath}`)
+      this.output.info(`BIP39 Passphrase: ${passphrase ? 'yes' : 'no'}`)
+      this.output.info(`Encrypted: ${password ? 'yes' : 'no'}`)
+      this.output.info('\nCompare the address above with the one shown by your other wallet.')
+      this.output.info('If it differs, check the derivation path (Cashtab uses m/44\'/1899\'/0\'/0/0).')
+      this.output.info('\nCheck the balance with:')
+      this.output.info(`node xec-wallet.js wallet-balance -n ${flags.name}`)
+
+      this.output.json({
+        name: flags.name,
+        description: walletData.description,
+        xecAddress: walletData.wallet.xecAddress,
+        hdPath: walletData.wallet.hdPath,
+        bip39Passphrase: Boolean(passphrase),
+        encrypted: Boolean(password),
+        created: walletData.created
+      })
+
+      return walletData
+    } catch (err) {
+      console.error('Error importing wallet:', err.message)
+      this.output.error(err)
+      return 0
+    }
+  }
+
+  validateFlags (flags = {}) {
+    // Exit if wallet name not specified
+    const name = flags.name
+    if (!name || name === '') {
+      throw new ValidationError('You must specify a wallet name with the -n flag.')
+    }
+
+    // Validate wallet name format
+    if (!/^[a-zA-Z0-9_-]+$/.test(name)) {
+      throw new ValidationError('Wallet name can only contain letters, numbers, underscores, and hyphens.')
+    }
+
+    // Validate custom derivation path if given
+    if (flags.hdPath) {
+      this.validateHdPath(flags.hdPath)
+    }
+
+    return true
+  }
+
+  // Read the mnemonic from a file or ask for it without echo
+  async readMnemonic (flags) {
+    let input
+    if (flags.mnemonicFile) {
+      try {
+        input = await this.readFile(flags.mnemonicFile, 'utf8')
+      } catch (err) {
+        throw new ValidationError(`Could not read mnemonic file: ${err.message}`)
+      }
+    } else {
+      input = await this.prompt.askHidden('Enter mnemonic phrase: ')
+    }
+
+    return this.normalizeMnemonic(input)
+  }
+
+  // Lowercase the words and collapse any whitespace between them
+  normalizeMnemonic (input) {
+    if (!input || typeof input !== 'string') {
+      throw new ValidationError('Mnemonic is required')
+    }
+
+    return input.trim().toLowerCase().split(/\s+/).join(' ')
+  }
+
+  // Check word count, wordlist membership and BIP39 checksum
+  validateMnemonic (mnemonic) {
+    const words = mnemonic.split(' ')
+
+    if (![12, 15, 18, 21, 24].includes(words.length)) {
+      throw new ValidationError(`Mnemonic must have 12, 15, 18, 21 or 24 words, got ${words.length}.`)
+    }
+
+    const unknownWords = words
+      .map((word, i) => ({ word, position: i + 1 }))
+      .filter(entry => !wordlist.includes(entry.word))
+    if (unknownWords.length > 0) {
+      const list = unknownWords.map(entry => `#${entry.position} '${entry.word}'`).join(', ')
+      throw new ValidationError(`Words not in the BIP39 English wordlist: ${list}`)
+    }
+
+    if (!validateMnemonic(mnemonic, wordlist)) {
+      throw new ValidationError('Invalid mnemonic checksum. Check the word order and spelling.')
+    }
+
+    return true
+  }
+
+  // Validate a BIP32 derivation path like m/44'/899'/0'/0/0
+  validateHdPath (hdPath) {
+    if (typeof hdPath !== 'string' || !/^m(\/\d+'?)+$/.test(hdPath)) {
+      throw new ValidationError(`Invalid derivation path '${hdPath}'. Expected a path like ${DEFAULT_HD_PATH}.`)
+    }
+
+    return true
+  }
+
+  // Derive keys from the mnemonic and save the wallet to file
+  async importWallet (walletName, mnemonic, options = {}) {
+    try {
+      const { description = '', hdPath = DEFAULT_HD_PATH, passphrase = '', password = null } = options
+
+      const walletData = {
+        wallet: {
+          mnemonic,
+          privateKey: null,
+          publicKey: null,
+          xecAddress: null,
+          hdPath
+        },
+        description: description || '',
+        created: new Date().toISOString()
+      }
+
+      if (passphrase) {
+        // The wallet library derives keys without a passphrase, so derive the
+        // key here and let the library open the wallet from it
+        const deriver = this.walletUtil.createXecWallet(walletData)
+        await deriver.walletInfoPromise
+        const keyDerivation = deriver.keyDerivation
+        const seed = keyDerivation.mnemonicToSeed(mnemonic, passphrase)
+        const childKey = keyDerivation.derivePath(keyDerivation.seedToMasterKey(seed), hdPath)
+
+        walletData.wallet.privateKey = Buffer.from(childKey.privateKey).toString('hex')
+        walletData.wallet.bip39Passphrase = true
+      }
+
+      // Let the wallet library derive the remaining keys and address
+      const xecWallet = this.walletUtil.createXecWallet(walletData)
+      await xecWallet.walletInfoPromise
+
+      walletData.wallet.privateKey = xecWallet.walletInfo.privateKey
+      walletData.wallet.publicKey = xecWallet.walletInfo.publicKey
+      walletData.wallet.xecAddress = xecWallet.walletInfo.xecAddress
+
+      // Save wallet to file
+      const fileData = password
+        ? await this.walletUtil.walletCrypto.encryptWallet(walletData, password)
+        : walletData
+      await this.walletUtil.saveWallet(walletName, fileData)
+
+      return walletData
+    } catch (err) {
+      throw wrapError(err, 'Failed to import wallet')
+    }
+  }
+}
+
+export default WalletImport
@@ -4,11 +4,14 @@
 
 // Local libraries
 import WalletUtil from '../lib/wallet-util.js'
+import Output from '../lib/output.js'
+import { wrapError } from '../lib/errors.js'
 
 class WalletList {
   constructor () {
     // Encapsulate dependencies
     this.walletUtil = new WalletUtil()
+    this.output = new Output()
 
     // Bind 'this' object to all subfunctions
     this.run = this.run.bind(this)
@@ -17,13 +20,15 @@ class WalletList {
 
   async run (flags = {}) {
     try {
-      console.log('Listing XEC wallets...\n')
+      this.output.info('Listing XEC wallets...\n')
 
       const wallets = await this.walletUtil.listWallets()
-      
+
+      this.output.json({ wallets })
+
       if (wallets.length === 0) {
-        console.log('No wallets found.')
-        console.log('Create a new wallet with: node xec-wallet.js wallet-create -n <name>')
+        this.output.info('No wallets found.')
+        this.output.info('Create a new wallet with: node xec-wallet.js wallet-create -n <name>')
         return true
       }
 
@@ -32,32 +37,39 @@ class WalletList {
       return true
     } catch (err) {
       console.error('Error listing wallets:', err.message)
+      this.output.error(err)
       return 0
     }
   }
 
   displayWallets (wallets) {
     try {
-      console.log(`Found ${wallets.length} wallet${wallets.length === 1 ? '' : 's'}:\n`)
+      this.output.info(`Found ${wallets.length} wallet${wallets.length === 1 ? '' : 's'}:\n`)
       
       wallets.forEach((wallet, index) => {
-        console.log(`${index + 1}. ${wallet.name}`)
-        console.log(`   Address: ${wallet.xecAddress}`)
+        this.output.info(`${index + 1}. ${wallet.name}`)
+        this.output.info(`   Address: ${wallet.xecAddress}`)
         if (wallet.description) {
-          console.log(`   Description: ${wallet.description}`)
+          this.output.info(`   Description: ${wallet.description}`)
+        }
+        this.output.info(`   Created: ${new Date(wallet.created).toLocaleDateString()}`)
+        if (wallet.encrypted) {
+          this.output.info('   Encrypted: yes')
+        }
+        if (wallet.watchOnly) {
+          this.output.info('   Watch-only: yes')
         }
-        console.log(`   Created: ${new Date(wallet.created).toLocaleDateString()}`)
-        console.log()
+        this.output.info()
       })
 
-      console.log('Commands:')
-      console.log('   Check balance: node xec-wallet.js wallet-balance -n <name>')
-      console.log('   View addresses: node xec-wallet.js wallet-addrs -n <name> -q')
-      console.log('   Send XEC: node xec-wallet.js send-xec -n <name> -a <address> -q <amount>')
+      this.output.info('Commands:')
+      this.output.info('   Check balance: node xec-wallet.js wallet-balance -n <name>')
+      this.output.info('   View addresses: node xec-wallet.js wallet-addrs -n <name> -q')
+      this.output.info('   Send XEC: node xec-wallet.js send-xec -n <name> -a <address> -q <amount>')
 
       return true
     } catch (err) {
-      throw new Error(`Failed to display wallets: ${err.message}`)
+      throw wrapError(err, 'Failed to display wallets')
     }
   }
 }
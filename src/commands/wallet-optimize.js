@@ -1,23 +1,26 @@
 /*
   Optimize wallet by consolidating UTXOs to improve transaction efficiency.
+  UTXOs frozen with utxo-freeze are never consolidated.
 */
 
-// Global npm libraries
-import MinimalXecWallet from 'minimal-xec-wallet'
-
 // Local libraries
 import WalletUtil from '../lib/wallet-util.js'
+import Output from '../lib/output.js'
+import TokenTx from '../lib/token-tx.js'
+import { ValidationError, wrapError } from '../lib/errors.js'
 
 class WalletOptimize {
   constructor () {
     // Encapsulate dependencies
-    this.MinimalXecWallet = MinimalXecWallet
     this.walletUtil = new WalletUtil()
+    this.output = new Output()
+    this.tokenTx = new TokenTx()
 
     // Bind 'this' object to all subfunctions
     this.run = this.run.bind(this)
     this.validateFlags = this.validateFlags.bind(this)
     this.optimizeWallet = this.optimizeWallet.bind(this)
+    this.setAsideFrozen = this.setAsideFrozen.bind(this)
     this.displayPreOptimizationAnalysis = this.displayPreOptimizationAnalysis.bind(this)
     this.displayOptimizationResults = this.displayOptimizationResults.bind(this)
     this.formatUtxoDistribution = this.formatUtxoDistribution.bind(this)
@@ -28,10 +31,13 @@ class WalletOptimize {
       this.validateFlags(flags)
 
       const action = flags.dryRun ? 'Analyzing optimization plan' : 'Optimizing'
-      console.log(`${action} for wallet '${flags.name}'...\n`)
+      this.output.info(`${action} for wallet '${flags.name}'...\n`)
 
-      // Load wallet data
+      // Load wallet data (a dry run only analyzes UTXOs, so watch-only is fine)
       const walletData = await this.walletUtil.loadWallet(flags.name)
+      if (!flags.dryRun) {
+        this.walletUtil.assertCanSpend(flags.name, walletData)
+      }
 
       // Perform optimization
       const results = await this.optimizeWallet(walletData, flags)
@@ -39,9 +45,21 @@ class WalletOptimize {
       // Display results
       await this.displayOptimizationResults(results, flags)
 
+      this.output.json({
+        name: flags.name,
+        dryRun: results.dryRun,
+        feeRate: results.feeRate,
+        frozenUtxos: results.frozenUtxos,
+        optimized: Boolean(results.results.success),
+        message: results.results.message,
+        analysis: results.results.analysis || null,
+        transactions: results.results.transactions || []
+      })
+
       return true
     } catch (err) {
       console.error('Error optimizing wallet:', err.message)
+      this.output.error(err)
       return 0
     }
   }
@@ -50,7 +68,7 @@ class WalletOptimize {
     // Exit if wallet name not specified
     const name = flags.name
     if (!name || name === '') {
-      throw new Error('You must specify a wallet name with the -n flag.')
+      throw new ValidationError('You must specify a wallet name with the -n flag.')
     }
 
     // dry-run flag is optional and defaults to false
@@ -60,13 +78,19 @@ class WalletOptimize {
   // Optimize wallet using the existing ConsolidateUtxos functionality
   async optimizeWallet (walletData, flags) {
     try {
-      // Create wallet instance from stored mnemonic
-      const xecWallet = new this.MinimalXecWallet(walletData.wallet.mnemonic)
+      // Create wallet instance from stored wallet data
+      const xecWallet = this.walletUtil.createXecWallet(walletData)
       await xecWallet.walletInfoPromise
 
       // Initialize to get UTXOs
       await xecWallet.initialize()
 
+      // Keep frozen UTXOs out of the analysis and the consolidation
+      const frozenUtxos = this.setAsideFrozen(xecWallet)
+      if (frozenUtxos > 0) {
+        this.output.info(`Frozen UTXOs left out: ${frozenUtxos}\n`)
+      }
+
       // Display pre-optimization analysis
       await this.displayPreOptimizationAnalysis(xecWallet)
 
@@ -76,42 +100,59 @@ class WalletOptimize {
       return {
         wallet: xecWallet,
         results: optimizationResults,
-        dryRun: flags.dryRun || false
+        dryRun: flags.dryRun || false,
+        feeRate: xecWallet.fee,
+        frozenUtxos
       }
     } catch (err) {
-      throw new Error(`Failed to optimize wallet: ${err.message}`)
+      throw wrapError(err, 'Failed to optimize wallet')
+    }
+  }
+
+  // Remove the frozen UTXOs from the wallet's UTXO set, which the library
+  // consolidates from. Returns how many were left out.
+  setAsideFrozen (xecWallet) {
+    const frozen = this.tokenTx.frozenOutpoints(xecWallet)
+    const store = xecWallet.utxos?.utxoStore
+    if (frozen.length === 0 || !store || !store.xecUtxos) {
+      return 0
     }
+
+    const count = store.xecUtxos.length
+    store.xecUtxos = store.xecUtxos.filter(utxo => !frozen.includes(this.tokenTx.outpointId(utxo)))
+
+    return count - store.xecUtxos.length
   }
 
   // Display pre-optimization analysis
   async displayPreOptimizationAnalysis (wallet) {
     try {
-      console.log('Pre-Optimization Analysis:')
-      console.log('='.repeat(50))
+      this.output.info('Pre-Optimization Analysis:')
+      this.output.info('='.repeat(50))
 
       // Get UTXO distribution using the consolidation library
       const utxoDistribution = wallet.consolidateUtxos.getUtxoDistribution()
-      console.log(`Total UTXOs: ${utxoDistribution.total}`)
-      console.log(this.formatUtxoDistribution(utxoDistribution))
+      this.output.info(`Total UTXOs: ${utxoDistribution.total}`)
+      this.output.info(this.formatUtxoDistribution(utxoDistribution))
 
       // Get optimization savings estimate
       const savingsEstimate = wallet.consolidateUtxos.estimateOptimizationSavings()
-      console.log('\nOptimization Potential:')
-      console.log(`   Current pure XEC UTXOs: ${savingsEstimate.currentUtxos}`)
-      console.log(`   Optimal UTXOs: ${savingsEstimate.optimalUtxos}`)
-      console.log(`   Estimated savings: ${savingsEstimate.savings} satoshis`)
+      this.output.info('\nOptimization Potential:')
+      this.output.info(`   Current pure XEC UTXOs: ${savingsEstimate.currentUtxos}`)
+      this.output.info(`   Optimal UTXOs: ${savingsEstimate.optimalUtxos}`)
+      this.output.info(`   Estimated savings: ${savingsEstimate.savings} satoshis`)
 
       if (savingsEstimate.tokenUtxos > 0) {
-        console.log(`   Token UTXOs preserved: ${savingsEstimate.tokenUtxos}`)
+        this.output.info(`   Token UTXOs preserved: ${savingsEstimate.tokenUtxos}`)
       }
 
       if (savingsEstimate.savings > 0) {
-        console.log(`   Benefit: Will save ${savingsEstimate.savings} sats in future transaction fees`)
+        this.output.info(`   Benefit: Will save ${savingsEstimate.savings} sats in future transaction fees`)
       } else {
-        console.log('   Note: Optimization may not provide immediate fee savings')
+        this.output.info('   Note: Optimization may not provide immediate fee savings')
       }
 
-      console.log()
+      this.output.info()
       return true
     } catch (err) {
       console.warn('Warning: Could not display pre-optimization analysis:', err.message)
@@ -145,81 +186,83 @@ class WalletOptimize {
   // Display optimization results
   async displayOptimizationResults (optimizationData, flags) {
     try {
-      const { results, dryRun } = optimizationData
+      const { results, dryRun, feeRate } = optimizationData
 
-      console.log('Optimization Results:')
-      console.log('='.repeat(50))
+      this.output.info('Optimization Results:')
+      this.output.info('='.repeat(50))
 
       if (!results.success) {
-        console.log(`FAILED - Optimization failed: ${results.message}`)
+        this.output.info(`FAILED - Optimization failed: ${results.message}`)
         return false
       }
 
-      console.log(`SUCCESS - ${results.message}`)
+      this.output.info(`SUCCESS - ${results.message}`)
 
       // Display analysis data
       if (results.analysis) {
-        console.log('\nAnalysis:')
-        console.log(`   Pure XEC UTXOs analyzed: ${results.analysis.totalUtxos}`)
-        console.log(`   Total value: ${(results.analysis.totalValue / 100).toLocaleString()} XEC`)
+        this.output.info('\nAnalysis:')
+        this.output.info(`   Pure XEC UTXOs analyzed: ${results.analysis.totalUtxos}`)
+        this.output.info(`   Total value: ${(results.analysis.totalValue / 100).toLocaleString()} XEC`)
 
         if (results.analysis.tokenUtxos > 0) {
-          console.log(`   Token UTXOs preserved: ${results.analysis.tokenUtxos}`)
+          this.output.info(`   Token UTXOs preserved: ${results.analysis.tokenUtxos}`)
         }
 
+        this.output.info(`   Fee rate: ${feeRate} sats/byte`)
+
         if (results.analysis.consolidationFee) {
-          console.log(`   Consolidation fee: ${results.analysis.consolidationFee} satoshis`)
+          this.output.info(`   Consolidation fee: ${results.analysis.consolidationFee} satoshis`)
         }
 
         if (results.analysis.potentialSavings) {
           const savings = results.analysis.potentialSavings
-          console.log(`   Future fee savings: ${savings} satoshis`)
+          this.output.info(`   Future fee savings: ${savings} satoshis`)
         }
       }
 
       // Display transaction details
       if (results.transactions && results.transactions.length > 0) {
-        console.log(`\n${dryRun ? 'Planned' : 'Executed'} Transactions:`)
+        this.output.info(`\n${dryRun ? 'Planned' : 'Executed'} Transactions:`)
 
         results.transactions.forEach((tx, index) => {
-          console.log(`   Transaction ${index + 1}:`)
+          this.output.info(`   Transaction ${index + 1}:`)
 
           if (dryRun) {
             // Dry run - show planned transaction details
-            console.log(`     Inputs: ${tx.inputCount} UTXOs`)
-            console.log(`     Input value: ${(tx.totalInputValue / 100).toLocaleString()} XEC`)
-            console.log(`     Output value: ${(tx.outputValue / 100).toLocaleString()} XEC`)
-            console.log(`     Estimated fee: ${tx.estimatedFee} satoshis`)
+            this.output.info(`     Inputs: ${tx.inputCount} UTXOs`)
+            this.output.info(`     Input value: ${(tx.totalInputValue / 100).toLocaleString()} XEC`)
+            this.output.info(`     Output value: ${(tx.outputValue / 100).toLocaleString()} XEC`)
+            this.output.info(`     Estimated fee: ${tx.estimatedFee} satoshis`)
           } else {
             // Actual execution - show results
             if (tx.success) {
-              console.log(`     SUCCESS - TXID: ${tx.txid}`)
-              console.log(`     Consolidated: ${tx.inputCount} UTXOs -> 1 UTXO`)
-              console.log(`     Value: ${(tx.outputValue / 100).toLocaleString()} XEC`)
-              console.log(`     Fee: ${tx.fee} satoshis`)
-              console.log(`     Explorer: https://explorer.e.cash/tx/${tx.txid}`)
+              this.output.info(`     SUCCESS - TXID: ${tx.txid}`)
+              this.output.info(`     Consolidated: ${tx.inputCount} UTXOs -> 1 UTXO`)
+              this.output.info(`     Value: ${(tx.outputValue / 100).toLocaleString()} XEC`)
+              this.output.info(`     Fee: ${tx.fee} satoshis`)
+              this.output.info(`     Explorer: https://explorer.e.cash/tx/${tx.txid}`)
             } else {
-              console.log(`     FAILED: ${tx.error}`)
+              this.output.info(`     FAILED: ${tx.error}`)
             }
           }
-          console.log()
+          this.output.info()
         })
       }
 
       // Display summary and next steps
       if (dryRun) {
-        console.log('NOTE: This was a dry run - no transactions were broadcast.')
-        console.log(`To execute: node xec-wallet.js wallet-optimize --name ${flags.name}`)
-        console.log('TOKEN SAFETY: All tokens are safe - only pure XEC UTXOs will be consolidated.')
+        this.output.info('NOTE: This was a dry run - no transactions were broadcast.')
+        this.output.info(`To execute: node xec-wallet.js wallet-optimize --name ${flags.name}`)
+        this.output.info('TOKEN SAFETY: All tokens are safe - only pure XEC UTXOs will be consolidated.')
       } else {
-        console.log('COMPLETE: Optimization completed!')
-        console.log('Your wallet UTXOs have been consolidated for better transaction efficiency.')
-        console.log('TOKEN SAFETY: All tokens remain safe and untouched.')
+        this.output.info('COMPLETE: Optimization completed!')
+        this.output.info('Your wallet UTXOs have been consolidated for better transaction efficiency.')
+        this.output.info('TOKEN SAFETY: All tokens remain safe and untouched.')
       }
 
       return true
     } catch (err) {
-      throw new Error(`Failed to display optimization results: ${err.message}`)
+      throw wrapError(err, 'Failed to display optimization results')
     }
   }
 }
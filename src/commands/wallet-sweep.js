@@ -1,5 +1,7 @@
 /*
   Sweep XEC from a WIF private key to a destination address.
+  The sweep transaction is signed and previewed first, then broadcast once the
+  user confirms it (or right away with --yes). --dry-run stops after the preview.
 */
 
 // Global npm libraries
@@ -7,18 +9,28 @@ import MinimalXecWallet from 'minimal-xec-wallet'
 
 // Local libraries
 import WalletUtil from '../lib/wallet-util.js'
+import Output from '../lib/output.js'
+import AmountUtil from '../lib/amount-util.js'
+import TokenTx from '../lib/token-tx.js'
+import TxPreview from '../lib/tx-preview.js'
+import { ValidationError, WalletNotFoundError, InsufficientFundsError, wrapError } from '../lib/errors.js'
 
 class WalletSweep {
   constructor () {
     // Encapsulate dependencies
     this.MinimalXecWallet = MinimalXecWallet
     this.walletUtil = new WalletUtil()
+    this.output = new Output()
+    this.amountUtil = new AmountUtil()
+    this.tokenTx = new TokenTx()
+    this.txPreview = new TxPreview()
 
     // Bind 'this' object to all subfunctions
     this.run = this.run.bind(this)
     this.validateFlags = this.validateFlags.bind(this)
     this.checkBalance = this.checkBalance.bind(this)
-    this.sweepFunds = this.sweepFunds.bind(this)
+    this.buildSweep = this.buildSweep.bind(this)
+    this.broadcastSweep = this.broadcastSweep.bind(this)
     this.validateWif = this.validateWif.bind(this)
     this.validateWallet = this.validateWallet.bind(this)
   }
@@ -27,38 +39,63 @@ class WalletSweep {
     try {
       await this.validateFlags(flags)
 
-      console.log(`Sweeping funds from WIF to wallet '${flags.name}'...\n`)
+      this.output.info(`Sweeping funds from WIF to wallet '${flags.name}'...\n`)
 
       // Create temporary wallet from WIF
-      const sourceWallet = new this.MinimalXecWallet(flags.wif)
+      const sourceWallet = new this.MinimalXecWallet(flags.wif, { fee: this.walletUtil.getFeeRate() })
       await sourceWallet.walletInfoPromise
 
       // Check balance
       const balanceData = await this.checkBalance(sourceWallet)
+      const result = {
+        source: sourceWallet.walletInfo.xecAddress,
+        balance: this.output.xecAmount(balanceData.satoshis.total),
+        destination: flags.name || null,
+        txid: null
+      }
 
       if (flags.balanceOnly) {
-        console.log('Balance check completed.')
+        this.output.info('Balance check completed.')
+        this.output.json(result)
         return true
       }
 
       if (balanceData.total === 0) {
-        console.log('No funds to sweep. Address has zero balance.')
+        this.output.info('No funds to sweep. Address has zero balance.')
+        this.output.json(result)
+        return true
+      }
+
+      // Sign the sweep and show it before anything is broadcast
+      const built = await this.buildSweep(sourceWallet, flags, balanceData)
+      const summary = this.txPreview.describe(sourceWallet, built)
+      this.txPreview.display(summary)
+      result.dryRun = Boolean(flags.dryRun)
+      result.preview = this.txPreview.toJson(summary)
+
+      if (flags.dryRun) {
+        this.output.info('Dry run: the transaction was not broadcast.')
+        this.output.json(result)
         return true
       }
 
-      // Perform the sweep
-      const txid = await this.sweepFunds(sourceWallet, flags, balanceData)
+      await this.txPreview.confirm(flags, 'Sweep these funds?')
+      const txid = await this.broadcastSweep(sourceWallet, built)
+
+      this.output.info('Transaction sent successfully!')
+      this.output.info(`TXID: ${txid}`)
+      this.output.info(`Fee: ${this.amountUtil.formatFee(built.fee, built.feeRate)}`)
+      this.output.info()
+      this.output.info('View this transaction on block explorers:')
+      this.output.info(`https://explorer.e.cash/tx/${txid}`)
+      this.output.info(`https://3xpl.com/ecash/transaction/${txid}`)
 
-      console.log('Transaction sent successfully!')
-      console.log(`TXID: ${txid}`)
-      console.log()
-      console.log('View this transaction on block explorers:')
-      console.log(`https://explorer.e.cash/tx/${txid}`)
-      console.log(`https://3xpl.com/ecash/transaction/${txid}`)
+      this.output.json({ ...result, txid, fee: this.output.xecAmount(built.fee), feeRate: built.feeRate })
 
       return true
     } catch (err) {
       console.error('Error sweeping funds:', err.message)
+      this.output.error(err)
       return 0
     }
   }
@@ -66,12 +103,12 @@ class WalletSweep {
   async validateFlags (flags = {}) {
     // Exit if WIF not specified
     if (!flags.wif || flags.wif === '') {
-      throw new Error('You must specify a WIF private key with the -w flag.')
+      throw new ValidationError('You must specify a WIF private key with the -w flag.')
     }
 
     // Exit if destination wallet name not specified (unless balance-only)
     if (!flags.balanceOnly && (!flags.name || flags.name === '')) {
-      throw new Error('You must specify a destination wallet name with the -n flag.')
+      throw new ValidationError('You must specify a destination wallet name with the -n flag.')
     }
 
     // Validate WIF format
@@ -83,11 +120,8 @@ class WalletSweep {
     }
 
     // Validate quantity if specified
-    if (flags.qty) {
-      const amount = parseFloat(flags.qty)
-      if (isNaN(amount) || amount <= 0) {
-        throw new Error('Quantity must be a positive number.')
-      }
+    if (flags.qty && this.amountUtil.toSats(flags.qty, 'quantity') <= 0n) {
+      throw new ValidationError('Quantity must be a positive number.')
     }
 
     return true
@@ -96,7 +130,7 @@ class WalletSweep {
   validateWif (wif) {
     try {
       if (!wif || typeof wif !== 'string') {
-        throw new Error('WIF must be a non-empty string')
+        throw new ValidationError('WIF must be a non-empty string')
       }
 
       // Check WIF format - should start with K, L, 5 (mainnet) or c, 9 (testnet)
@@ -107,30 +141,30 @@ class WalletSweep {
       const isHex = wif.length === 64 && /^[a-fA-F0-9]+$/.test(wif)
 
       if (!startsWithWifChar && !isWifLength && !isHex) {
-        throw new Error('Invalid WIF format. Must be 51-52 characters starting with K/L/5/c/9 or 64-character hex string.')
+        throw new ValidationError('Invalid WIF format. Must be 51-52 characters starting with K/L/5/c/9 or 64-character hex string.')
       }
 
       return true
     } catch (err) {
-      throw new Error(`Invalid WIF: ${err.message}`)
+      throw new ValidationError(`Invalid WIF: ${err.message}`)
     }
   }
 
   async validateWallet (walletName) {
     try {
       if (!walletName || typeof walletName !== 'string') {
-        throw new Error('Wallet name must be a non-empty string')
+        throw new ValidationError('Wallet name must be a non-empty string')
       }
 
       // Check if wallet exists
       const exists = await this.walletUtil.walletExists(walletName)
       if (!exists) {
-        throw new Error(`Wallet '${walletName}' does not exist`)
+        throw new WalletNotFoundError(`Wallet '${walletName}' does not exist`)
       }
 
       return true
     } catch (err) {
-      throw new Error(`Invalid wallet: ${err.message}`)
+      throw wrapError(err, 'Invalid wallet')
     }
   }
 
@@ -142,61 +176,62 @@ class WalletSweep {
       const balance = await wallet.getDetailedBalance()
       const address = wallet.walletInfo.xecAddress
 
-      console.log(`Source Address: ${address}`)
-      console.log()
-      console.log('XEC Balance:')
-      console.log(`   Confirmed: ${balance.confirmed.toLocaleString()} XEC`)
-      console.log(`   Unconfirmed: ${balance.unconfirmed.toLocaleString()} XEC`)
-      console.log(`   Total: ${balance.total.toLocaleString()} XEC`)
-      console.log()
+      this.output.info(`Source Address: ${address}`)
+      this.output.info()
+      this.output.info('XEC Balance:')
+      this.output.info(`   Confirmed: ${balance.confirmed.toLocaleString()} XEC`)
+      this.output.info(`   Unconfirmed: ${balance.unconfirmed.toLocaleString()} XEC`)
+      this.output.info(`   Total: ${balance.total.toLocaleString()} XEC`)
+      this.output.info()
 
       return balance
     } catch (err) {
-      throw new Error(`Failed to get balance: ${err.message}`)
+      throw wrapError(err, 'Failed to get balance')
     }
   }
 
-  async sweepFunds (sourceWallet, flags, balanceData) {
+  // Sign a transaction moving the whole XEC balance, or only --qty, to the
+  // destination wallet. A partial sweep sends its change back to the WIF address.
+  async buildSweep (sourceWallet, flags, balanceData) {
     try {
-      if (balanceData.total < 0.01) {
-        throw new Error('Insufficient funds for transaction fees. Minimum 0.01 XEC required.')
+      const balanceSats = this.amountUtil.toBigInt(balanceData.satoshis.total)
+      if (balanceSats < 1n) {
+        throw new InsufficientFundsError('Insufficient funds for transaction fees. Minimum 0.01 XEC required.')
       }
 
-      // Load destination wallet to get its address
-      const destWalletData = await this.walletUtil.loadWallet(flags.name)
+      // Read destination wallet to get its address (no password needed)
+      const destWalletData = await this.walletUtil.readWalletFile(flags.name)
       const destAddress = destWalletData.wallet.xecAddress
 
-      console.log(`Destination address: ${destAddress}`)
-
-      let txid
+      this.output.info(`Destination address: ${destAddress}`)
+      this.output.info()
 
-      if (flags.qty) {
-        // Send specific amount
-        const amountToSend = parseFloat(flags.qty)
-        
-        if (amountToSend > balanceData.total) {
-          throw new Error(
-            `Insufficient funds. Trying to send ${amountToSend} XEC, but only ${balanceData.total} XEC available.`
-          )
-        }
-
-        // Convert XEC to satoshis (XEC uses 2 decimal places)
-        const satoshis = Math.floor(amountToSend * 100)
+      if (!flags.qty) {
+        return this.tokenTx.buildSweep(sourceWallet, { address: destAddress })
+      }
 
-        const outputs = [{
-          address: destAddress,
-          amountSat: satoshis
-        }]
+      // Send specific amount
+      const sats = this.amountUtil.toSats(flags.qty, 'quantity')
 
-        txid = await sourceWallet.sendXec(outputs)
-      } else {
-        // Send all funds
-        txid = await sourceWallet.sendAllXec(destAddress)
+      if (sats > balanceSats) {
+        throw new InsufficientFundsError(
+          `Insufficient funds. Trying to send ${this.amountUtil.formatXec(sats)} XEC, but only ${this.amountUtil.formatXec(balanceSats)} XEC available.`
+        )
       }
 
-      return txid
+      return this.tokenTx.buildXecSend(sourceWallet, {
+        recipients: [{ address: destAddress, sats }]
+      })
+    } catch (err) {
+      throw wrapError(err, 'Failed to sweep funds')
+    }
+  }
+
+  async broadcastSweep (sourceWallet, built) {
+    try {
+      return await this.tokenTx.broadcastTx(sourceWallet, built)
     } catch (err) {
-      throw new Error(`Failed to sweep funds: ${err.message}`)
+      throw wrapError(err, 'Failed to sweep funds')
     }
   }
 }
@@ -0,0 +1,172 @@
+/*
+  Create a watch-only wallet from an eCash address or an extended public key (xpub).
+  Watch-only wallets hold no keys: they can check balances and history but never spend.
+*/
+
+// Local libraries
+import WalletUtil from '../lib/wallet-util.js'
+import XpubUtil from '../lib/xpub-util.js'
+import AddressUtil from '../lib/address-util.js'
+import Output from '../lib/output.js'
+import { ValidationError, wrapError } from '../lib/errors.js'
+
+class WalletWatch {
+  constructor () {
+    // Encapsulate dependencies
+    this.walletUtil = new WalletUtil()
+    this.xpubUtil = new XpubUtil()
+    this.output = new Output()
+    this.addressUtil = new AddressUtil()
+
+    // Bind 'this' object to all subfunctions
+    this.run = this.run.bind(this)
+    this.validateFlags = this.validateFlags.bind(this)
+    this.createWatchWallet = this.createWatchWallet.bind(this)
+    this.scanXpub = this.scanXpub.bind(this)
+  }
+
+  async run (flags) {
+    try {
+      this.validateFlags(flags)
+
+      const exists = await this.walletUtil.walletExists(flags.name)
+      if (exists && !flags.rescan) {
+        throw new ValidationError(`Wallet '${flags.name}' already exists`)
+      }
+
+      this.output.info(`${flags.rescan ? 'Rescanning' : 'Creating'} watch-only wallet '${flags.name}'...\n`)
+
+      const walletData = await this.createWatchWallet(flags)
+
+      this.output.info(`Watch-only wallet ${flags.rescan ? 'updated' : 'created'} successfully!`)
+      this.output.info(`Name: ${flags.name}`)
+      this.output.info(`Description: ${walletData.description || '(none)'}`)
+      this.output.info(`XEC Address: ${walletData.wallet.xecAddress}`)
+
+      if (walletData.wallet.xpub) {
+        const hdAddresses = walletData.wallet.hdAddresses
+        this.output.info(`HD addresses with history: ${hdAddresses.length}`)
+        hdAddresses.forEach(entry => {
+          this.output.info(`   ${entry.path.padEnd(8)} ${entry.address}`)
+        })
+      }
+
+      this.output.info('\nThis wallet can check balances and history, but cannot send funds.')
+      this.output.info(`Check the balance with: node xec-wallet.js wallet-balance -n ${flags.name}`)
+
+      this.output.json({
+        name: flags.name,
+        description: walletData.description,
+        xecAddress: walletData.wallet.xecAddress,
+        xpub: walletData.wallet.xpub || null,
+        hdAddresses: walletData.wallet.hdAddresses || [],
+        created: walletData.created
+      })
+
+      return walletData
+    } catch (err) {
+      console.error('Error creating watch-only wallet:', err.message)
+      this.output.error(err)
+      return 0
+    }
+  }
+
+  validateFlags (flags = {}) {
+    // Exit if wallet name not specified
+    const name = flags.name
+    if (!name || name === '') {
+      throw new ValidationError('You must specify a wallet name with the -n flag.')
+    }
+
+    // Validate wallet name format
+    if (!/^[a-zA-Z0-9_-]+$/.test(name)) {
+      throw new ValidationError('Wallet name can only contain letters, numbers, underscores, and hyphens.')
+    }
+
+    // A rescan reuses the stored xpub, so no source is needed
+    if (flags.rescan) {
+      return true
+    }
+
+    // Exactly one of address or xpub is required
+    if (!flags.addr && !flags.xpub) {
+      throw new ValidationError('You must specify an address with -a or an extended public key with -x.')
+    }
+    if (flags.addr && flags.xpub) {
+      throw new ValidationError('Specify either an address (-a) or an xpub (-x), not both.')
+    }
+
+    if (flags.addr) {
+      flags.addr = this.addressUtil.normalize(flags.addr)
+    }
+
+    if (flags.xpub) {
+      this.xpubUtil.parseXpub(flags.xpub)
+    }
+
+    if (flags.gap !== undefined) {
+      const gap = parseInt(flags.gap)
+      if (isNaN(gap) || gap < 1 || gap > 1000) {
+        throw new ValidationError('Gap limit must be a number between 1 and 1000.')
+      }
+    }
+
+    return true
+  }
+
+  // Build and save the watch-only wallet file
+  async createWatchWallet (flags) {
+    try {
+      let walletData
+      if (flags.rescan) {
+        walletData = await this.walletUtil.readWalletFile(flags.name)
+        if (!this.walletUtil.isWatchOnly(walletData) || !walletData.wallet.xpub) {
+          throw new ValidationError(`Wallet '${flags.name}' is not an xpub watch-only wallet`)
+        }
+      } else {
+        walletData = {
+          wallet: {
+            watchOnly: true,
+            xecAddress: flags.addr || this.xpubUtil.deriveAddress(flags.xpub, 0, 0)
+          },
+          description: flags.description || '',
+          created: new Date().toISOString()
+        }
+        if (flags.xpub) {
+          walletData.wallet.xpub = flags.xpub.trim()
+        }
+      }
+
+      if (walletData.wallet.xpub) {
+        const gap = flags.gap ? parseInt(flags.gap) : undefined
+        walletData.wallet.hdAddresses = await this.scanXpub(walletData, gap)
+      }
+
+      await this.walletUtil.saveWallet(flags.name, walletData)
+
+      return walletData
+    } catch (err) {
+      throw wrapError(err, 'Failed to create watch-only wallet')
+    }
+  }
+
+  // Find the xpub addresses that have transaction history
+  async scanXpub (walletData, gapLimit) {
+    this.output.info('Scanning HD addresses for transaction history...')
+
+    const xecWallet = this.walletUtil.createXecWallet(walletData)
+    await xecWallet.walletInfoPromise
+
+    const isUsed = async (address) => {
+      const transactions = await xecWallet.getTransactions(address)
+      return Array.isArray(transactions) && transactions.length > 0
+    }
+
+    const hdAddresses = await this.xpubUtil.scanAddresses(walletData.wallet.xpub, isUsed, gapLimit)
+    this.output.info()
+
+    return hdAddresses
+  }
+}
+
+export default WalletWatch
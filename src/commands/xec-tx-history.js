@@ -0,0 +1,263 @@
+/*
+  List the XEC transactions of a wallet: date, direction, net XEC change,
+  fee, confirmation status and the other party, with paging and filters.
+*/
+
+// Local libraries
+import WalletUtil from '../lib/wallet-util.js'
+import Output from '../lib/output.js'
+import TxHistory from '../lib/tx-history.js'
+import AmountUtil from '../lib/amount-util.js'
+import { ValidationError, wrapError } from '../lib/errors.js'
+
+// Default and largest number of transactions per page
+const DEFAULT_LIMIT = 10
+const MAX_LIMIT = 200
+
+class XecTxHistory {
+  constructor () {
+    // Encapsulate dependencies
+    this.walletUtil = new WalletUtil()
+    this.output = new Output()
+    this.txHistory = new TxHistory()
+    this.amountUtil = new AmountUtil()
+
+    // Bind 'this' object to all subfunctions
+    this.run = this.run.bind(this)
+    this.validateFlags = this.validateFlags.bind(this)
+    this.getHistory = this.getHistory.bind(this)
+    this.getHdTotals = this.getHdTotals.bind(this)
+    this.matchesFilters = this.matchesFilters.bind(this)
+    this.displayHistory = this.displayHistory.bind(this)
+    this.formatDate = this.formatDate.bind(this)
+  }
+
+  async run (flags) {
+    try {
+      const options = this.validateFlags(flags)
+
+      this.output.info(`Getting transaction history for wallet '${flags.name}'...\n`)
+
+      // Load wallet data
+      const walletData = await this.walletUtil.loadWallet(flags.name)
+
+      const history = await this.getHistory(walletData, options)
+
+      this.displayHistory(history, flags.name, options)
+
+      this.output.json({
+        name: flags.name,
+        address: history.address,
+        page: options.page,
+        limit: options.limit,
+        numPages: history.numPages,
+        numTxs: history.numTxs,
+        hdAddresses: (history.hdAddresses || []).map(entry => ({
+          path: entry.path,
+          address: entry.address,
+          numTxs: entry.numTxs,
+          net: this.output.xecAmount(entry.netSats)
+        })),
+        transactions: history.transactions.map(tx => ({
+          txid: tx.txid,
+          timestamp: tx.timestamp,
+          direction: tx.direction,
+          net: this.output.xecAmount(tx.netSats),
+          fee: tx.feePaid ? this.output.xecAmount(tx.feeSats) : null,
+          confirmed: tx.confirmed,
+          blockHeight: tx.blockHeight,
+          counterparty: tx.counterparty
+        }))
+      })
+
+      return true
+    } catch (err) {
+      console.error('Error getting transaction history:', err.message)
+      this.output.error(err)
+      return 0
+    }
+  }
+
+  // Validate the flags and return the paging and filter options
+  validateFlags (flags = {}) {
+    // Exit if wallet name not specified
+    const name = flags.name
+    if (!name || name === '') {
+      throw new ValidationError('You must specify a wallet name with the -n flag.')
+    }
+
+    const page = flags.page === undefined ? 1 : Number(flags.page)
+    if (!Number.isInteger(page) || page < 1) {
+      throw new ValidationError('Page must be a whole number of 1 or more.')
+    }
+
+    const limit = flags.limit === undefined ? DEFAULT_LIMIT : Number(flags.limit)
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      throw new ValidationError(`Limit must be a whole number between 1 and ${MAX_LIMIT}.`)
+    }
+
+    const options = {
+      page,
+      limit,
+      from: flags.from ? this.txHistory.parseDate(flags.from, 'from') : null,
+      to: flags.to ? this.txHistory.parseDate(flags.to, 'to') : null,
+      minSats: flags.minAmount !== undefined ? this.amountUtil.toSats(flags.minAmount, '--min-amount') : null,
+      maxSats: flags.maxAmount !== undefined ? this.amountUtil.toSats(flags.maxAmount, '--max-amount') : null
+    }
+
+    if (options.from !== null && options.to !== null && options.from > options.to) {
+      throw new ValidationError('--from must be before --to.')
+    }
+    if (options.minSats !== null && options.maxSats !== null && options.minSats > options.maxSats) {
+      throw new ValidationError('--min-amount must not be larger than --max-amount.')
+    }
+    options.filtered = options.from !== null || options.to !== null ||
+      options.minSats !== null || options.maxSats !== null
+
+    return options
+  }
+
+  // Get one page of analyzed transactions. Without filters Chronik pages the
+  // history itself; with filters, or for a watch-only xpub wallet spread over
+  // several HD addresses, the whole history is scanned and paged here.
+  async getHistory (walletData, options) {
+    try {
+      // Create wallet instance from stored wallet data
+      const wallet = this.walletUtil.createXecWallet(walletData)
+      await wallet.walletInfoPromise
+
+      const address = wallet.walletInfo.xecAddress
+      const hdAddresses = this.walletUtil.getHdAddresses(walletData)
+      const addresses = [...new Set([address, ...hdAddresses.map(entry => entry.address)])]
+      const walletScripts = addresses.map(ownAddress => this.txHistory.getWalletScript(ownAddress))
+
+      if (!options.filtered && addresses.length === 1) {
+        const result = await this.txHistory.getPage(wallet, address, options.page - 1, options.limit)
+        return {
+          address,
+          numPages: result.numPages,
+          numTxs: result.numTxs,
+          transactions: result.txs.map(tx => this.txHistory.analyzeTx(tx, walletScripts))
+        }
+      }
+
+      // A transaction between two addresses of the wallet is listed once
+      const byTxid = new Map()
+      for (const ownAddress of addresses) {
+        const txs = await this.txHistory.getAll(wallet, ownAddress)
+        txs.forEach(tx => byTxid.set(tx.txid, tx))
+      }
+      const allTxs = [...byTxid.values()].sort((a, b) =>
+        (b.block?.timestamp || b.timeFirstSeen || 0) - (a.block?.timestamp || a.timeFirstSeen || 0)
+      )
+
+      const matching = allTxs
+        .map(tx => this.txHistory.analyzeTx(tx, walletScripts))
+        .filter(tx => this.matchesFilters(tx, options))
+      const start = (options.page - 1) * options.limit
+
+      return {
+        address,
+        numPages: Math.ceil(matching.length / options.limit),
+        numTxs: matching.length,
+        transactions: matching.slice(start, start + options.limit),
+        hdAddresses: hdAddresses.length > 0 ? this.getHdTotals(hdAddresses, allTxs) : null
+      }
+    } catch (err) {
+      throw wrapError(err, 'Failed to get transaction history')
+    }
+  }
+
+  // Number of transactions and net XEC change of each HD address found by an
+  // xpub scan, over its whole history
+  getHdTotals (hdAddresses, txs) {
+    return hdAddresses.map(entry => {
+      const script = this.txHistory.getWalletScript(entry.address)
+      const own = txs.filter(tx =>
+        (tx.inputs || []).some(input => input.outputScript === script) ||
+        (tx.outputs || []).some(output => output.outputScript === script)
+      )
+
+      return {
+        ...entry,
+        numTxs: own.length,
+        netSats: own.reduce((sum, tx) => sum + this.txHistory.analyzeTx(tx, script).netSats, 0n)
+      }
+    })
+  }
+
+  // Date filters use the block time (or first-seen time when unconfirmed).
+  // Amount filters compare the size of the net change, whichever direction.
+  matchesFilters (tx, options) {
+    if (options.from !== null && (tx.timestamp === null || tx.timestamp < options.from)) return false
+    if (options.to !== null && (tx.timestamp === null || tx.timestamp > options.to)) return false
+
+    const size = tx.netSats < 0n ? -tx.netSats : tx.netSats
+    if (options.minSats !== null && size < options.minSats) return false
+    if (options.maxSats !== null && size > options.maxSats) return false
+
+    return true
+  }
+
+  displayHistory (history, walletName, options) {
+    const { address, transactions, numPages, numTxs, hdAddresses } = history
+
+    this.output.info('='.repeat(100))
+    this.output.info(`XEC Transaction History (Wallet: ${walletName})`)
+    this.output.info('='.repeat(100))
+    this.output.info(`Address: ${address}`)
+    this.output.info()
+
+    if (hdAddresses) {
+      this.output.info(`HD Addresses (xpub scan, ${hdAddresses.length} with history):`)
+      for (const entry of hdAddresses) {
+        const net = this.amountUtil.formatXec(entry.netSats, { signed: true })
+        this.output.info(`   ${entry.path.padEnd(8)} ${entry.address}  ${entry.numTxs} txs, net ${net} XEC`)
+      }
+      const totalNet = hdAddresses.reduce((sum, entry) => sum + entry.netSats, 0n)
+      this.output.info(`   Total across HD addresses: net ${this.amountUtil.formatXec(totalNet, { signed: true })} XEC`)
+      this.output.info()
+    }
+
+    if (transactions.length === 0) {
+      this.output.info(numTxs === 0 ? 'No transactions found.' : `Page ${options.page} is past the last page (${numPages}).`)
+      this.output.info()
+      return true
+    }
+
+    const label = options.filtered ? 'matching transactions' : 'transactions'
+    this.output.info(`Page ${options.page} of ${numPages} (${numTxs} ${label}, newest first):`)
+    this.output.info()
+
+    transactions.forEach((tx, i) => {
+      const number = (options.page - 1) * options.limit + i + 1
+      const net = this.amountUtil.formatXec(tx.netSats, { signed: true })
+      const status = tx.confirmed ? `block ${tx.blockHeight}` : 'pending'
+
+      this.output.info(`${number}.  ${this.formatDate(tx.timestamp)}  ${tx.direction.padEnd(8)} ${net.padStart(18)} XEC  (${status})`)
+      this.output.info(`    TXID: ${tx.txid}`)
+      if (tx.counterparty) {
+        this.output.info(`    ${tx.direction === 'RECEIVED' ? 'From' : 'To'}: ${tx.counterparty}`)
+      }
+      if (tx.feePaid) {
+        this.output.info(`    Fee: ${this.amountUtil.formatXec(tx.feeSats)} XEC`)
+      }
+    })
+
+    this.output.info()
+    if (options.page < numPages) {
+      this.output.info(`More transactions: repeat the command with --page ${options.page + 1}`)
+    }
+
+    return true
+  }
+
+  // Format timestamp to readable date
+  formatDate (timestamp) {
+    if (!timestamp) return 'Unknown Date       '
+
+    return new Date(timestamp * 1000).toISOString().replace('T', ' ').slice(0, 19)
+  }
+}
+
+export default XecTxHistory
@@ -0,0 +1,128 @@
+/*
+  eCash address validation shared by every command that takes an address.
+  Addresses are fully decoded as cashaddr (checksum, version byte, P2PKH or
+  P2SH), so a typo is caught before any coins are sent. The ecash: prefix
+  may be left out. Testnet, Bitcoin Cash and legacy (base58) addresses are
+  refused with a message saying what they are.
+*/
+
+// Global npm libraries
+import { Address } from 'ecash-lib'
+
+// Local libraries
+import { ValidationError } from './errors.js'
+
+const MAINNET_PREFIX = 'ecash'
+
+// Prefixes of other networks, checked to explain why an address is refused
+const OTHER_PREFIXES = {
+  ectest: 'an eCash testnet address',
+  ecregtest: 'an eCash regtest address',
+  bitcoincash: 'a Bitcoin Cash address',
+  bchtest: 'a Bitcoin Cash testnet address',
+  bchreg: 'a Bitcoin Cash regtest address'
+}
+
+const LEGACY_PATTERN = /^[123mn][1-9A-HJ-NP-Za-km-z]{25,34}$/
+
+class AddressUtil {
+  constructor () {
+    // Encapsulate dependencies
+    this.Address = Address
+
+    // Bind 'this' object to all subfunctions
+    this.parse = this.parse.bind(this)
+    this.normalize = this.normalize.bind(this)
+    this.isLegacy = this.isLegacy.bind(this)
+    this.findOtherNetwork = this.findOtherNetwork.bind(this)
+  }
+
+  // Decode an eCash mainnet address. Returns { address, type, hash } where
+  // address is the lowercase ecash: form and type is 'p2pkh' or 'p2sh'.
+  // label names the address in error messages, e.g. 'Baton address'.
+  parse (input, label = 'Address') {
+    if (!input || typeof input !== 'string' || input.trim() === '') {
+      throw new ValidationError(`${label} must be a non-empty string`)
+    }
+
+    const value = input.trim()
+
+    if (this.isLegacy(value)) {
+      throw new ValidationError(`${label} '${value}' is a legacy (base58) address. Ask the recipient for their ecash: address.`)
+    }
+
+    const separator = value.indexOf(':')
+    const prefix = separator === -1 ? MAINNET_PREFIX : value.slice(0, separator).toLowerCase()
+    const payload = separator === -1 ? value : value.slice(separator + 1)
+
+    // Cashaddr may be all uppercase (as in QR codes) but never mixed case
+    if (payload !== payload.toLowerCase() && payload !== payload.toUpperCase()) {
+      throw new ValidationError(`${label} '${value}' mixes upper and lower case letters. Check it for typos.`)
+    }
+
+    if (OTHER_PREFIXES[prefix]) {
+      throw new ValidationError(`${label} '${value}' is ${OTHER_PREFIXES[prefix]}. This wallet only sends on eCash mainnet (ecash: addresses).`)
+    }
+    if (prefix !== MAINNET_PREFIX) {
+      throw new ValidationError(`${label} '${value}' has an unknown prefix '${prefix}:'. eCash addresses start with ecash:`)
+    }
+
+    let decoded
+    try {
+      decoded = this.Address.fromCashAddress(`${MAINNET_PREFIX}:${payload.toLowerCase()}`)
+    } catch (err) {
+      // A payload that only checks out under another prefix was copied from
+      // another network with its prefix removed or replaced
+      const network = this.findOtherNetwork(payload)
+      if (network) {
+        throw new ValidationError(`${label} '${value}' is ${network}. This wallet only sends on eCash mainnet (ecash: addresses).`)
+      }
+      if (/checksum/i.test(err.message)) {
+        throw new ValidationError(`${label} '${value}' has an invalid checksum. Check it for typos.`)
+      }
+      throw new ValidationError(`${label} '${value}' is not a valid eCash address: ${err.message}`)
+    }
+
+    return {
+      address: `${MAINNET_PREFIX}:${payload.toLowerCase()}`,
+      type: decoded.type,
+      hash: decoded.hash
+    }
+  }
+
+  // Validate an address and return its lowercase ecash: form
+  normalize (input, label = 'Address') {
+    return this.parse(input, label).address
+  }
+
+  // True for a base58 address that decodes with a valid checksum
+  isLegacy (value) {
+    if (!LEGACY_PATTERN.test(value)) {
+      return false
+    }
+
+    try {
+      this.Address.fromLegacyAddress(value)
+      return true
+    } catch (err) {
+      return false
+    }
+  }
+
+  // Description of the network whose prefix makes the payload's checksum
+  // valid, or null
+  findOtherNetwork (payload) {
+    for (const [prefix, description] of Object.entries(OTHER_PREFIXES)) {
+      try {
+        this.Address.fromCashAddress(`${prefix}:${payload.toLowerCase()}`)
+        return description
+      } catch (err) {
+        // Not from this network either
+      }
+    }
+
+    return null
+  }
+}
+
+export default AddressUtil
@@ -0,0 +1,106 @@
+/*
+  Exact amount arithmetic for XEC and tokens. Amounts typed by the user are
+  parsed from decimal strings straight into integer sats or token atoms as
+  BigInt, and formatted back with the right number of decimals, so no amount
+  ever passes through a floating point number.
+*/
+
+// Local libraries
+import { ValidationError } from './errors.js'
+
+// 1 XEC = 100 sats
+const XEC_DECIMALS = 2
+
+const DECIMAL_PATTERN = /^\d+(\.\d+)?$/
+
+class AmountUtil {
+  constructor () {
+    // Bind 'this' object to all subfunctions
+    this.toAtoms = this.toAtoms.bind(this)
+    this.toSats = this.toSats.bind(this)
+    this.toBigInt = this.toBigInt.bind(this)
+    this.sum = this.sum.bind(this)
+    this.formatAtoms = this.formatAtoms.bind(this)
+    this.formatXec = this.formatXec.bind(this)
+    this.formatFee = this.formatFee.bind(this)
+  }
+
+  // Parse a display quantity like '1000.5' into atoms of a token with the
+  // given decimals, e.g. ('1000.5', 2) -> 100050n. label names the value in
+  // error messages.
+  toAtoms (value, decimals = 0, label = 'quantity') {
+    const str = String(value).trim()
+    if (!DECIMAL_PATTERN.test(str)) {
+      throw new ValidationError(`Invalid ${label} '${str}'. Use a non-negative number like 1000 or 1000.5.`)
+    }
+
+    // Trailing zeros never add precision, so 1.50 is fine for 1 decimal
+    const [whole, fraction = ''] = str.split('.')
+    const digits = fraction.replace(/0+$/, '')
+    if (digits.length > decimals) {
+      throw new ValidationError(decimals === 0
+        ? `Invalid ${label} '${str}'. The token has no decimals, use a whole number.`
+        : `Too many decimal places in ${label} '${str}'. The token has ${decimals} decimals.`)
+    }
+
+    return BigInt(whole + digits.padEnd(decimals, '0'))
+  }
+
+  // Parse an XEC amount like '50.25' into sats, e.g. 5025n
+  toSats (value, label = 'amount') {
+    try {
+      return this.toAtoms(value, XEC_DECIMALS, label)
+    } catch (err) {
+      throw new ValidationError(`Invalid ${label} '${String(value).trim()}'. Use an XEC amount with at most 2 decimals.`)
+    }
+  }
+
+  // Sats or atoms as returned by Chronik or the wallet library (BigInt,
+  // integer string or number) as a BigInt. Anything else counts as 0n.
+  toBigInt (value) {
+    try {
+      return BigInt(value === undefined || value === null || value === '' ? 0 : value)
+    } catch (err) {
+      return 0n
+    }
+  }
+
+  sum (values) {
+    return values.reduce((total, value) => total + this.toBigInt(value), 0n)
+  }
+
+  // Format atoms with the token's decimals, e.g. (-12345n, 2) -> '-123.45'.
+  // Options: signed adds '+' to positive amounts, trim drops trailing zeros
+  // from the fraction and group adds thousands separators.
+  formatAtoms (atoms, decimals = 0, options = {}) {
+    const { signed = false, trim = false, group = false } = options
+    const value = this.toBigInt(atoms)
+    const negative = value < 0n
+    const abs = negative ? -value : value
+
+    const str = abs.toString().padStart(decimals + 1, '0')
+    let whole = str.slice(0, str.length - decimals)
+    let fraction = decimals > 0 ? str.slice(-decimals) : ''
+    if (trim) {
+      fraction = fraction.replace(/0+$/, '')
+    }
+    if (group) {
+      whole = whole.replace(/\B(?=(\d{3})+(?!\d))/g, ',')
+    }
+    const sign = negative ? '-' : (signed && abs > 0n ? '+' : '')
+
+    return `${sign}${whole}${fraction ? `.${fraction}` : ''}`
+  }
+
+  // Format sats as XEC with thousands separators, e.g. 123456n -> '1,234.56'
+  formatXec (sats, options = {}) {
+    return this.formatAtoms(sats, XEC_DECIMALS, { group: true, ...options })
+  }
+
+  // Format a fee with its rate, e.g. (263n, 1.2) -> '2.63 XEC (263 sats, 1.20 sats/byte)'
+  formatFee (sats, feeRate) {
+    return `${this.formatXec(sats)} XEC (${this.toBigInt(sats)} sats, ${Number(feeRate).toFixed(2)} sats/byte)`
+  }
+}
+
+export default AmountUtil
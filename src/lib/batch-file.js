@@ -0,0 +1,120 @@
+/*
+  Batch payment files shared by send-xec and send-etokens.
+  A batch is either a CSV file of address,amount[,label] lines or a JSON array
+  of { address, amount, label } objects. Results are written back in the same
+  format, with the txid and status of every row.
+*/
+
+// Global npm libraries
+import { readFile, writeFile } from 'fs/promises'
+import path from 'path'
+
+// Local libraries
+import CsvUtil from './csv-util.js'
+import { ValidationError, wrapError } from './errors.js'
+
+class BatchFile {
+  constructor () {
+    // Encapsulate dependencies
+    this.csvUtil = new CsvUtil()
+    this.readFile = readFile
+    this.writeFile = writeFile
+
+    // Bind 'this' object to all subfunctions
+    this.read = this.read.bind(this)
+    this.isJson = this.isJson.bind(this)
+    this.getResultsPath = this.getResultsPath.bind(this)
+    this.writeResults = this.writeResults.bind(this)
+  }
+
+  // Read the entries of a batch file as { line, address, amount, label }.
+  // Amounts are returned as strings; callers validate them.
+  async read (batchPath) {
+    let text
+    try {
+      text = await this.readFile(batchPath, 'utf8')
+    } catch (err) {
+      throw new ValidationError(`Could not read batch file: ${err.message}`)
+    }
+
+    let entries
+    if (this.isJson(batchPath)) {
+      let list
+      try {
+        list = JSON.parse(text)
+      } catch (err) {
+        throw new ValidationError(`Batch file is not valid JSON: ${err.message}`)
+      }
+      if (!Array.isArray(list)) {
+        throw new ValidationError('JSON batch file must contain an array of { address, amount, label } objects')
+      }
+      entries = list.map((item, i) => ({
+        line: i + 1,
+        address: item && item.address,
+        amount: item && item.amount !== undefined ? String(item.amount) : '',
+        label: (item && item.label) || ''
+      }))
+    } else {
+      let rows
+      try {
+        rows = this.csvUtil.parse(text)
+      } catch (err) {
+        throw new ValidationError(`Batch file is not valid CSV: ${err.message}`)
+      }
+      entries = rows
+        .filter(row => !row.fields[0].startsWith('#'))
+        .filter((row, i) => !(i === 0 && row.fields[0].toLowerCase() === 'address'))
+        .map(row => ({
+          line: row.line,
+          address: row.fields[0],
+          amount: row.fields[1] || '',
+          label: row.fields.slice(2).join(',')
+        }))
+    }
+
+    if (entries.length === 0) {
+      throw new ValidationError(`Batch file ${batchPath} has no recipients`)
+    }
+
+    return entries
+  }
+
+  isJson (filePath) {
+    return path.extname(filePath).toLowerCase() === '.json'
+  }
+
+  // payouts.csv -> payouts.results.csv
+  getResultsPath (batchPath) {
+    const ext = path.extname(batchPath)
+    return `${batchPath.slice(0, batchPath.length - ext.length)}.results${ext || '.csv'}`
+  }
+
+  // Write each batch row with its txid and status
+  async writeResults (resultsPath, rows) {
+    try {
+      const results = rows.map(row => ({
+        line: row.line,
+        address: row.address,
+        amount: row.amount,
+        label: row.label,
+        txid: row.txid,
+        status: row.status
+      }))
+
+      let content
+      if (this.isJson(resultsPath)) {
+        content = `${JSON.stringify(results, null, 2)}\n`
+      } else {
+        const header = ['line', 'address', 'amount', 'label', 'txid', 'status']
+        content = this.csvUtil.format(header, results.map(row => header.map(key => row[key])))
+      }
+
+      await this.writeFile(resultsPath, content)
+      return resultsPath
+    } catch (err) {
+      throw wrapError(err, 'Failed to write batch results')
+    }
+  }
+}
+
+export default BatchFile
@@ -0,0 +1,176 @@
+/*
+  Coin control: choose exactly which UTXOs fund a transaction, or keep some
+  out of the automatic coin selection. UTXOs are named by their outpoint,
+  txid:outIdx, as listed by the utxo-list command.
+  UTXOs can also be frozen and labelled. That state is saved in the wallet
+  file under utxoState and read back by WalletUtil.createXecWallet.
+*/
+
+// Local libraries
+import TokenTx from './token-tx.js'
+import WalletUtil from './wallet-util.js'
+import { ValidationError } from './errors.js'
+
+const OUTPOINT_PATTERN = /^([0-9a-fA-F]{64}):(\d+)$/
+
+// Labels are short notes shown on one line
+const MAX_LABEL_LENGTH = 100
+
+class CoinControl {
+  constructor () {
+    // Encapsulate dependencies
+    this.tokenTx = new TokenTx()
+    this.walletUtil = new WalletUtil()
+
+    // Bind 'this' object to all subfunctions
+    this.parseOutpoint = this.parseOutpoint.bind(this)
+    this.parseOutpoints = this.parseOutpoints.bind(this)
+    this.resolve = this.resolve.bind(this)
+    this.describeUtxo = this.describeUtxo.bind(this)
+    this.parseLabel = this.parseLabel.bind(this)
+    this.formatState = this.formatState.bind(this)
+    this.updateUtxoState = this.updateUtxoState.bind(this)
+  }
+
+  // Normalize an outpoint typed by the user, e.g. 'ABC...:01' -> 'abc...:1'.
+  // flag names the option in error messages.
+  parseOutpoint (value, flag = '--utxo') {
+    const match = OUTPOINT_PATTERN.exec(String(value).trim())
+    if (!match) {
+      throw new ValidationError(`Invalid ${flag} '${value}'. Use txid:outIdx as listed by utxo-list.`)
+    }
+
+    return `${match[1].toLowerCase()}:${Number(match[2])}`
+  }
+
+  // The values of a repeatable outpoint option, normalized and deduplicated
+  parseOutpoints (values, flag = '--utxo') {
+    const list = [].concat(values || [])
+    return [...new Set(list.map(value => this.parseOutpoint(value, flag)))]
+  }
+
+  // Look up the --utxo and --exclude-utxo outpoints of a send among the
+  // wallet's UTXOs. Returns { include, exclude }: the UTXOs to spend, and the
+  // outpoints the automatic coin selection must skip.
+  resolve (xecWallet, flags = {}) {
+    const include = this.parseOutpoints(flags.utxo, '--utxo')
+    const exclude = this.parseOutpoints(flags.excludeUtxo, '--exclude-utxo')
+
+    const both = include.find(outpoint => exclude.includes(outpoint))
+    if (both) {
+      throw new ValidationError(`UTXO ${both} is given to both --utxo and --exclude-utxo.`)
+    }
+
+    const utxos = xecWallet.utxos?.utxoStore?.xecUtxos || []
+    const byOutpoint = new Map(utxos.map(utxo => [this.tokenTx.outpointId(utxo), utxo]))
+    const missing = include.find(outpoint => !byOutpoint.has(outpoint))
+    if (missing) {
+      throw new ValidationError(
+        `UTXO ${missing} is not in this wallet. It may already be spent; run utxo-list to see the wallet's UTXOs.`
+      )
+    }
+
+    const frozen = include.find(outpoint => this.tokenTx.frozenOutpoints(xecWallet).includes(outpoint))
+    if (frozen) {
+      throw new ValidationError(`UTXO ${frozen} is frozen. Unfreeze it with utxo-unfreeze before spending it.`)
+    }
+
+    return { include: include.map(outpoint => byOutpoint.get(outpoint)), exclude }
+  }
+
+  // What a UTXO holds, for error messages, e.g. 'the mint baton of token abc...'
+  describeUtxo (utxo) {
+    if (!utxo.token) {
+      return 'only XEC'
+    }
+
+    return utxo.token.isMintBaton
+      ? `the mint baton of token ${utxo.token.tokenId}`
+      : `token ${utxo.token.tokenId}`
+  }
+
+  // Check a free-text UTXO label
+  parseLabel (label) {
+    const text = String(label || '').trim()
+    if (!text) {
+      throw new ValidationError('The label cannot be empty. Use --clear to remove a label.')
+    }
+    if (/[\r\n]/.test(text)) {
+      throw new ValidationError('The label must fit on one line.')
+    }
+    if (text.length > MAX_LABEL_LENGTH) {
+      throw new ValidationError(`The label can be at most ${MAX_LABEL_LENGTH} characters long.`)
+    }
+
+    return text
+  }
+
+  // Saved state of a UTXO for display, e.g. '[frozen] "rent"', or ''
+  formatState (entry = {}) {
+    const parts = []
+    if (entry.frozen) {
+      parts.push('[frozen]')
+    }
+    if (entry.label) {
+      parts.push(`"${entry.label}"`)
+    }
+
+    return parts.join(' ')
+  }
+
+  // Change the saved state of some UTXOs. update(entry) returns the new
+  // { frozen, label } of each one; an entry with neither is removed.
+  // requireUnspent refuses outpoints the wallet does not hold. State left
+  // behind by UTXOs that have since been spent is dropped on every save.
+  // Returns the saved state and the wallet UTXOs of the outpoints that are
+  // still unspent.
+  async updateUtxoState (walletName, outpoints, update, requireUnspent = true) {
+    // Only the public address is needed to look up the UTXOs, so the file
+    // is changed as stored and encrypted wallets stay locked
+    const walletData = await this.walletUtil.readWalletFile(walletName)
+    const xecWallet = this.walletUtil.createXecWallet({
+      wallet: { watchOnly: true, xecAddress: walletData.wallet.xecAddress }
+    })
+    await xecWallet.walletInfoPromise
+    await xecWallet.initialize()
+
+    const utxos = xecWallet.utxos?.utxoStore?.xecUtxos || []
+    const byOutpoint = new Map(utxos.map(utxo => [this.tokenTx.outpointId(utxo), utxo]))
+    const missing = outpoints.find(outpoint => !byOutpoint.has(outpoint))
+    if (requireUnspent && missing) {
+      throw new ValidationError(
+        `UTXO ${missing} is not in wallet '${walletName}'. It may already be spent; run utxo-list to see the wallet's UTXOs.`
+      )
+    }
+
+    const state = {}
+    for (const [outpoint, entry] of Object.entries(this.walletUtil.getUtxoState(walletData))) {
+      if (byOutpoint.has(outpoint)) {
+        state[outpoint] = entry
+      }
+    }
+
+    for (const outpoint of outpoints.filter(outpoint => byOutpoint.has(outpoint))) {
+      const { frozen, label } = update({ ...state[outpoint] })
+      if (frozen || label) {
+        state[outpoint] = { ...(frozen ? { frozen: true } : {}), ...(label ? { label } : {}) }
+      } else {
+        delete state[outpoint]
+      }
+    }
+
+    if (Object.keys(state).length > 0) {
+      walletData.utxoState = state
+    } else {
+      delete walletData.utxoState
+    }
+    await this.walletUtil.saveWallet(walletName, walletData)
+
+    return {
+      state,
+      utxos: outpoints.filter(outpoint => byOutpoint.has(outpoint)).map(outpoint => byOutpoint.get(outpoint))
+    }
+  }
+}
+
+export default CoinControl
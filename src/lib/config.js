@@ -0,0 +1,28 @@
+/*
+  Runtime configuration shared by all commands.
+  Global CLI options are copied here by xec-wallet.js before a command runs,
+  so library code can read them without threading flags through every call.
+*/
+
+const config = {
+  // Password used to decrypt encrypted wallet files (--password)
+  password: null,
+
+  // Directory holding the wallet files (--wallet-dir)
+  walletDir: null,
+
+  // Fee rate in sats per byte for new transactions (--fee-rate). When unset,
+  // XEC_WALLET_FEE_RATE or the default from wallet-util.js is used.
+  feeRate: null,
+
+  // Skip the on-disk cache of token and transaction data (--no-cache)
+  noCache: false,
+
+  // Emit a single JSON document instead of human-readable text (--json)
+  json: false,
+
+  // Name of the command being run, reported in JSON output
+  command: null
+}
+
+export default config
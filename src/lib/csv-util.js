@@ -0,0 +1,95 @@
+/*
+  Minimal CSV reading and writing for batch payment files and exported reports.
+  Handles quoted fields (with embedded commas, quotes and newlines) per RFC 4180.
+*/
+
+class CsvUtil {
+  constructor () {
+    // Bind 'this' object to all subfunctions
+    this.parse = this.parse.bind(this)
+    this.formatField = this.formatField.bind(this)
+    this.formatRow = this.formatRow.bind(this)
+    this.format = this.format.bind(this)
+  }
+
+  // Parse CSV text into rows of trimmed fields. Each row records the line
+  // number it started on so errors can point at the file.
+  parse (text) {
+    const rows = []
+    let fields = []
+    let field = ''
+    let inQuotes = false
+    let line = 1
+    let rowLine = 1
+
+    const endField = () => {
+      fields.push(field.trim())
+      field = ''
+    }
+    const endRow = () => {
+      endField()
+      // Skip blank lines
+      if (fields.length > 1 || fields[0] !== '') {
+        rows.push({ line: rowLine, fields })
+      }
+      fields = []
+    }
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i]
+
+      if (inQuotes) {
+        if (char === '"' && text[i + 1] === '"') {
+          field += '"'
+          i++
+        } else if (char === '"') {
+          inQuotes = false
+        } else {
+          if (char === '\n') line++
+          field += char
+        }
+      } else if (char === '"') {
+        inQuotes = true
+      } else if (char === ',') {
+        endField()
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i++
+        endRow()
+        line++
+        rowLine = line
+      } else {
+        field += char
+      }
+    }
+
+    if (inQuotes) {
+      throw new Error(`Unterminated quoted field starting on line ${rowLine}`)
+    }
+    if (field !== '' || fields.length > 0) {
+      endRow()
+    }
+
+    return rows
+  }
+
+  // Quote a field when it contains a separator, quote or newline
+  formatField (value) {
+    const str = value === null || value === undefined ? '' : String(value)
+    if (/[",\r\n]/.test(str)) {
+      return `"${str.replace(/"/g, '""')}"`
+    }
+
+    return str
+  }
+
+  formatRow (fields) {
+    return fields.map(this.formatField).join(',')
+  }
+
+  // Format a header and rows into CSV text
+  format (header, rows) {
+    return [header, ...rows].map(this.formatRow).join('\n') + '\n'
+  }
+}
+
+export default CsvUtil
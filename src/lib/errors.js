@@ -0,0 +1,133 @@
+/*
+  Error taxonomy shared by all commands.
+  Each error class carries a stable code (reported by --json) and the process
+  exit code the CLI ends with, so scripts can tell failures apart:
+
+    1  ERROR               anything not covered below
+    2  VALIDATION_ERROR    bad flags, addresses, amounts or passwords
+    3  WALLET_NOT_FOUND    the named wallet file does not exist
+    4  INSUFFICIENT_FUNDS  not enough XEC or tokens for the transaction
+    5  NETWORK_ERROR       the Chronik indexer could not be reached
+    6  BROADCAST_REJECTED  the network refused the signed transaction
+*/
+
+const EXIT_CODES = {
+  SUCCESS: 0,
+  ERROR: 1,
+  VALIDATION_ERROR: 2,
+  WALLET_NOT_FOUND: 3,
+  INSUFFICIENT_FUNDS: 4,
+  NETWORK_ERROR: 5,
+  BROADCAST_REJECTED: 6
+}
+
+// Messages from node, fetch and websockets that mean the indexer was unreachable
+const NETWORK_PATTERN = /ECONNREFUSED|ECONNRESET|ENOTFOUND|ETIMEDOUT|EAI_AGAIN|fetch failed|socket hang up|timed? ?out/i
+
+// Mempool and relay policy rejections reported by the node for a broadcast
+// transaction, e.g. 'txn-mempool-conflict' or 'min relay fee not met'
+const RELAY_REJECTION_PATTERN = /txn-|bad-txns|min relay fee|insufficient (fee|priority)|dust/i
+
+// Balance messages raised by the wallet itself, e.g. 'Insufficient funds' or
+// 'Insufficient XEC for this transaction'
+const FUNDS_PATTERN = /insufficient (funds|balance|xec|tokens?\b|utxos?\b)|insufficient \S+ balance/i
+
+class CliError extends Error {
+  constructor (message, code = 'ERROR', options) {
+    super(message, options)
+    this.name = this.constructor.name
+    this.code = code
+    this.exitCode = EXIT_CODES[code] || EXIT_CODES.ERROR
+  }
+}
+
+class ValidationError extends CliError {
+  constructor (message, options) {
+    super(message, 'VALIDATION_ERROR', options)
+  }
+}
+
+class WalletNotFoundError extends CliError {
+  constructor (message, options) {
+    super(message, 'WALLET_NOT_FOUND', options)
+  }
+}
+
+class InsufficientFundsError extends CliError {
+  constructor (message, options) {
+    super(message, 'INSUFFICIENT_FUNDS', options)
+  }
+}
+
+class NetworkError extends CliError {
+  constructor (message, options) {
+    super(message, 'NETWORK_ERROR', options)
+  }
+}
+
+class BroadcastError extends CliError {
+  constructor (message, options) {
+    super(message, 'BROADCAST_REJECTED', options)
+  }
+}
+
+// Map any error to a CliError. Typed errors pass through; errors raised by
+// the wallet library are recognized by their message.
+function classifyError (err) {
+  if (err instanceof CliError) {
+    return err
+  }
+
+  const message = (err && err.message) || String(err)
+  if (NETWORK_PATTERN.test(message) || (err && NETWORK_PATTERN.test(err.code || ''))) {
+    return new NetworkError(message, { cause: err })
+  }
+  if (FUNDS_PATTERN.test(message)) {
+    return new InsufficientFundsError(message, { cause: err })
+  }
+
+  return new CliError(message, 'ERROR', { cause: err })
+}
+
+// Classify an error raised while building or broadcasting a transaction.
+// Relay rejections are recognized first, as their text can mention fees or
+// funds. Anything that is not a network or funds problem was rejected by the
+// network.
+function classifyBroadcastError (err) {
+  const message = (err && err.message) || String(err)
+  if (!(err instanceof CliError) && RELAY_REJECTION_PATTERN.test(message)) {
+    return new BroadcastError(message, { cause: err })
+  }
+
+  const classified = classifyError(err)
+  if (classified.code !== 'ERROR') {
+    return classified
+  }
+
+  return new BroadcastError(classified.message, { cause: err })
+}
+
+// Prefix the message of an error while keeping its class, so the exit code
+// survives the 'Failed to ...' wrapping done at each layer
+function wrapError (err, prefix) {
+  const classified = classifyError(err)
+  const Wrapped = classified.constructor
+  const message = `${prefix}: ${classified.message}`
+
+  return Wrapped === CliError
+    ? new CliError(message, classified.code, { cause: err })
+    : new Wrapped(message, { cause: err })
+}
+
+export {
+  EXIT_CODES,
+  CliError,
+  ValidationError,
+  WalletNotFoundError,
+  InsufficientFundsError,
+  NetworkError,
+  BroadcastError,
+  classifyError,
+  classifyBroadcastError,
+  wrapError
+}
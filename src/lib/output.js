@@ -0,0 +1,90 @@
+/*
+  Machine-readable output for the global --json flag.
+  Each command emits exactly one JSON document on stdout:
+    { "command": "<name>", "success": true, "data": { ... } }
+    { "command": "<name>", "success": false, "error": { "code": "...", "message": "..." } }
+  Without --json commands print human-readable text instead, through info(),
+  but failures still set the process exit code listed in errors.js.
+*/
+
+// Local libraries
+import config from './config.js'
+import { classifyError } from './errors.js'
+
+class Output {
+  constructor () {
+    // Encapsulate dependencies
+    this.config = config
+    this.stdout = process.stdout
+    this.process = process
+    this.console = console
+
+    // Bind 'this' object to all subfunctions
+    this.isJson = this.isJson.bind(this)
+    this.info = this.info.bind(this)
+    this.json = this.json.bind(this)
+    this.error = this.error.bind(this)
+    this.write = this.write.bind(this)
+    this.xecAmount = this.xecAmount.bind(this)
+  }
+
+  // True when the --json flag was given
+  isJson () {
+    return Boolean(this.config.json)
+  }
+
+  // Print human-readable text, as console.log does. Nothing is printed in
+  // JSON mode, where stdout carries only the JSON document; warnings and
+  // errors go to stderr in both modes.
+  info (...args) {
+    if (this.isJson()) {
+      return false
+    }
+
+    this.console.log(...args)
+    return true
+  }
+
+  // Emit the result document of a successful command
+  json (data) {
+    if (!this.isJson()) {
+      return false
+    }
+
+    return this.write({ command: this.config.command, success: true, data })
+  }
+
+  // Record a failed command: set the exit code and emit the error document
+  error (err) {
+    const cliError = classifyError(err)
+    this.process.exitCode = cliError.exitCode
+
+    if (!this.isJson()) {
+      return false
+    }
+
+    return this.write({
+      command: this.config.command,
+      success: false,
+      error: {
+        code: cliError.code,
+        message: cliError.message
+      }
+    })
+  }
+
+  // Serialize a document to stdout, converting BigInt values to strings
+  write (doc) {
+    const str = JSON.stringify(doc, (key, value) => typeof value === 'bigint' ? value.toString() : value, 2)
+    this.stdout.write(`${str}\n`)
+    return true
+  }
+
+  // Describe an amount of satoshis in both sats and XEC
+  xecAmount (sats) {
+    const value = Number(sats) || 0
+    return { sats: value, xec: value / 100 }
+  }
+}
+
+export default Output
@@ -0,0 +1,121 @@
+/*
+  eCash payment request URIs in the BIP21 style used by Cashtab:
+    ecash:<address>?amount=150&label=Invoice%2042&message=Thanks
+  Token requests carry the token ID and the amount in token units instead:
+    ecash:<address>?token_id=<64 hex>&token_decimalized_qty=12.5
+*/
+
+// Local libraries
+import AddressUtil from './address-util.js'
+import { ValidationError } from './errors.js'
+
+class PaymentUri {
+  constructor () {
+    // Encapsulate dependencies
+    this.addressUtil = new AddressUtil()
+
+    // Bind 'this' object to all subfunctions
+    this.build = this.build.bind(this)
+    this.parse = this.parse.bind(this)
+  }
+
+  // Build a payment URI. amount is XEC with at most 2 decimals, or the token
+  // quantity when tokenId is given. Throws ValidationError on bad input.
+  build ({ address, amount, label, message, tokenId } = {}) {
+    address = this.addressUtil.normalize(address)
+
+    const params = []
+
+    if (tokenId) {
+      if (!/^[0-9a-fA-F]{64}$/.test(tokenId)) {
+        throw new ValidationError('Token ID must be a 64-character hex string.')
+      }
+      if (amount === undefined || amount === null || amount === '') {
+        throw new ValidationError('A token payment request needs the token amount.')
+      }
+      if (!/^\d+(\.\d+)?$/.test(String(amount)) || Number(amount) <= 0) {
+        throw new ValidationError(`Invalid token amount '${amount}'. Use a positive number.`)
+      }
+      params.push(`token_id=${tokenId.toLowerCase()}`)
+      params.push(`token_decimalized_qty=${amount}`)
+    } else if (amount !== undefined && amount !== null && amount !== '') {
+      if (!/^\d+(\.\d{1,2})?$/.test(String(amount)) || Number(amount) <= 0) {
+        throw new ValidationError(`Invalid amount '${amount}'. Use a positive XEC amount with at most 2 decimals.`)
+      }
+      params.push(`amount=${amount}`)
+    }
+
+    if (label) {
+      params.push(`label=${encodeURIComponent(label)}`)
+    }
+    if (message) {
+      params.push(`message=${encodeURIComponent(message)}`)
+    }
+
+    return params.length > 0 ? `${address}?${params.join('&')}` : address
+  }
+
+  // Parse a payment URI into { address, amount, tokenId, label, message }.
+  // As in build(), amount is the token quantity for token requests. Amounts
+  // are returned as strings for the send commands to validate.
+  parse (uri) {
+    const match = /^ecash:([^?]+)(?:\?(.*))?$/i.exec(String(uri || '').trim())
+    if (!match) {
+      throw new ValidationError(`Payment URI must look like ecash:<address>?amount=..., got '${uri}'`)
+    }
+
+    const request = {
+      address: this.addressUtil.normalize(match[1], 'Payment URI address'),
+      amount: null,
+      tokenId: null,
+      label: null,
+      message: null
+    }
+
+    let xecAmount = null
+    let tokenQty = null
+    for (const pair of (match[2] || '').split('&').filter(Boolean)) {
+      const [key, ...rest] = pair.split('=')
+      let value
+      try {
+        value = decodeURIComponent(rest.join('=').replace(/\+/g, ' '))
+      } catch (err) {
+        throw new ValidationError(`Payment URI parameter '${key}' is not properly encoded`)
+      }
+
+      if (key === 'amount') {
+        xecAmount = value
+      } else if (key === 'token_id') {
+        request.tokenId = value.toLowerCase()
+      } else if (key === 'token_decimalized_qty') {
+        tokenQty = value
+      } else if (key === 'label') {
+        request.label = value
+      } else if (key === 'message') {
+        request.message = value
+      } else if (key.startsWith('req-')) {
+        // BIP21: required parameters that are not understood must not be ignored
+        throw new ValidationError(`Payment URI requires '${key}', which this wallet does not support`)
+      }
+    }
+
+    if (request.tokenId) {
+      if (!/^[0-9a-f]{64}$/.test(request.tokenId)) {
+        throw new ValidationError('Payment URI token_id must be a 64-character hex string.')
+      }
+      if (xecAmount !== null) {
+        throw new ValidationError('Payment URI cannot request both an XEC amount and a token amount.')
+      }
+      request.amount = tokenQty
+    } else {
+      if (tokenQty !== null) {
+        throw new ValidationError('Payment URI has token_decimalized_qty but no token_id.')
+      }
+      request.amount = xecAmount
+    }
+
+    return request
+  }
+}
+
+export default PaymentUri
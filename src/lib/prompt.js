@@ -0,0 +1,92 @@
+/*
+  Interactive prompt helpers for reading passwords and answers from the user.
+  Prompts are written to stderr so they never mix with command output.
+  When stdin is not a terminal, answers are read line by line from stdin.
+*/
+
+// Global npm libraries
+import readline from 'readline'
+
+// Lines read from a non-interactive stdin, shared by all Prompt instances
+let stdinLines = null
+
+class Prompt {
+  constructor () {
+    // Encapsulate dependencies
+    this.stdin = process.stdin
+    this.stderr = process.stderr
+
+    // Bind 'this' object to all subfunctions
+    this.ask = this.ask.bind(this)
+    this.askHidden = this.askHidden.bind(this)
+    this.confirm = this.confirm.bind(this)
+    this.readStdinLine = this.readStdinLine.bind(this)
+  }
+
+  // Ask a question and return the typed answer
+  async ask (question) {
+    if (!this.stdin.isTTY) {
+      const answer = await this.readStdinLine()
+      return answer.trim()
+    }
+
+    const rl = readline.createInterface({
+      input: this.stdin,
+      output: this.stderr
+    })
+
+    return new Promise(resolve => {
+      rl.question(question, answer => {
+        rl.close()
+        resolve(answer.trim())
+      })
+    })
+  }
+
+  // Ask a yes/no question. Anything but 'y' or 'yes' counts as no.
+  async confirm (question) {
+    const answer = await this.ask(`${question} (y/N): `)
+    return ['y', 'yes'].includes(answer.toLowerCase())
+  }
+
+  // Ask a question without echoing the answer (passwords, mnemonics)
+  async askHidden (question) {
+    if (!this.stdin.isTTY) {
+      return this.readStdinLine()
+    }
+
+    const rl = readline.createInterface({
+      input: this.stdin,
+      output: this.stderr,
+      terminal: true
+    })
+
+    this.stderr.write(question)
+
+    // Swallow everything readline would echo while the user types
+    rl._writeToOutput = () => {}
+
+    return new Promise(resolve => {
+      rl.question('', answer => {
+        rl.close()
+        this.stderr.write('\n')
+        resolve(answer)
+      })
+    })
+  }
+
+  // Read the next line from a piped (non-interactive) stdin
+  async readStdinLine () {
+    if (!stdinLines) {
+      const chunks = []
+      for await (const chunk of this.stdin) {
+        chunks.push(chunk)
+      }
+      stdinLines = Buffer.concat(chunks).toString('utf8').split(/\r?\n/)
+    }
+
+    return stdinLines.length > 0 ? stdinLines.shift() : ''
+  }
+}
+
+export default Prompt
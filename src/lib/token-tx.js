@@ -0,0 +1,675 @@
+/*
+  Build, sign and broadcast the wallet's transactions with ecash-lib: every
+  XEC send and sweep, and every token GENESIS, MINT, BURN, SEND and SLP split.
+  Coin selection skips frozen and --exclude-utxo UTXOs and pays the fee at the
+  configured rate, sending the leftover XEC back to the wallet as change.
+  The build functions return the signed transaction with its exact fee, so
+  commands can preview it before broadcasting. applyToWallet lets a batch
+  build each transaction on the change of the one before.
+*/
+
+// Global npm libraries
+import {
+  TxBuilder,
+  P2PKHSignatory,
+  ALL_BIP143,
+  Script,
+  fromHex,
+  toHex,
+  emppScript,
+  slpGenesis,
+  slpMint,
+  slpSend,
+  slpBurn,
+  alpGenesis,
+  alpMint,
+  alpSend,
+  alpBurn,
+  SLP_FUNGIBLE,
+  SLP_MAX_SEND_OUTPUTS,
+  ALP_STANDARD,
+  ALP_POLICY_MAX_OUTPUTS
+} from 'ecash-lib'
+
+// Local libraries
+import AmountUtil from './amount-util.js'
+import { DEFAULT_FEE_RATE } from './wallet-util.js'
+import { ValidationError, InsufficientFundsError, classifyBroadcastError, wrapError } from './errors.js'
+
+// Sats locked in every token output
+const DUST_SATS = 546n
+
+// Largest amount each protocol can encode: SLP uses 8-byte and ALP 6-byte amounts
+const MAX_ATOMS = {
+  SLP: 2n ** 64n - 1n,
+  ALP: 2n ** 48n - 1n
+}
+
+// Rough serialized sizes used to pick enough inputs before signing
+const TX_OVERHEAD_BYTES = 10
+const P2PKH_INPUT_BYTES = 141
+const P2PKH_OUTPUT_BYTES = 34
+
+class TokenTx {
+  constructor () {
+    // Encapsulate dependencies
+    this.TxBuilder = TxBuilder
+    this.Script = Script
+    this.amountUtil = new AmountUtil()
+
+    // Bind 'this' object to all subfunctions
+    this.getKeys = this.getKeys.bind(this)
+    this.getSats = this.getSats.bind(this)
+    this.outpointId = this.outpointId.bind(this)
+    this.frozenOutpoints = this.frozenOutpoints.bind(this)
+    this.skippedOutpoints = this.skippedOutpoints.bind(this)
+    this.toAtoms = this.toAtoms.bind(this)
+    this.addressScript = this.addressScript.bind(this)
+    this.findMintBaton = this.findMintBaton.bind(this)
+    this.getTokenUtxos = this.getTokenUtxos.bind(this)
+    this.getAddressTokenUtxos = this.getAddressTokenUtxos.bind(this)
+    this.selectTokenUtxos = this.selectTokenUtxos.bind(this)
+    this.estimateFee = this.estimateFee.bind(this)
+    this.selectXecUtxos = this.selectXecUtxos.bind(this)
+    this.toInput = this.toInput.bind(this)
+    this.buildTx = this.buildTx.bind(this)
+    this.feeRate = this.feeRate.bind(this)
+    this.broadcastTx = this.broadcastTx.bind(this)
+    this.applyToWallet = this.applyToWallet.bind(this)
+    this.buildAndBroadcast = this.buildAndBroadcast.bind(this)
+    this.buildXecSend = this.buildXecSend.bind(this)
+    this.buildSweep = this.buildSweep.bind(this)
+    this.createGenesis = this.createGenesis.bind(this)
+    this.createMint = this.createMint.bind(this)
+    this.selectBurnUtxos = this.selectBurnUtxos.bind(this)
+    this.buildBurnSplit = this.buildBurnSplit.bind(this)
+    this.buildBurn = this.buildBurn.bind(this)
+    this.sendBurn = this.sendBurn.bind(this)
+    this.buildSend = this.buildSend.bind(this)
+    this.createSend = this.createSend.bind(this)
+    this.buildSplit = this.buildSplit.bind(this)
+    this.splitSlpUtxo = this.splitSlpUtxo.bind(this)
+  }
+
+  // Signing keys and output script of the wallet's primary address
+  getKeys (xecWallet) {
+    const { privateKey, publicKey, xecAddress } = xecWallet.walletInfo
+    if (!privateKey || !publicKey) {
+      throw new Error('Wallet keys are not available')
+    }
+
+    return {
+      sk: fromHex(privateKey),
+      pk: fromHex(publicKey),
+      address: xecAddress,
+      script: this.Script.fromAddress(xecAddress)
+    }
+  }
+
+  getSats (utxo) {
+    return BigInt(utxo.sats !== undefined ? utxo.sats : utxo.value || 0)
+  }
+
+  // Convert a display quantity like '1000.5' into token atoms, checking it
+  // fits in the protocol's amount field
+  toAtoms (qty, decimals, protocol = 'SLP') {
+    const atoms = this.amountUtil.toAtoms(qty, decimals)
+    if (atoms > MAX_ATOMS[protocol]) {
+      throw new ValidationError(`Quantity is too large for an ${protocol} token.`)
+    }
+
+    return atoms
+  }
+
+  // Output script paying to an eCash address
+  addressScript (address) {
+    try {
+      return this.Script.fromAddress(address)
+    } catch (err) {
+      throw new ValidationError(`Invalid address ${address}: ${err.message}`)
+    }
+  }
+
+  // A UTXO's outpoint as 'txid:outIdx', the name coin control uses for it
+  outpointId (utxo) {
+    return `${utxo.outpoint.txid}:${utxo.outpoint.outIdx}`
+  }
+
+  // Outpoints frozen in the wallet file. Automatic coin selection never
+  // spends them.
+  frozenOutpoints (xecWallet) {
+    const state = xecWallet.utxoState || {}
+    return Object.keys(state).filter(outpoint => state[outpoint].frozen)
+  }
+
+  // Outpoints coin selection must skip: the frozen ones plus exclude
+  skippedOutpoints (xecWallet, exclude = []) {
+    return [...this.frozenOutpoints(xecWallet), ...exclude]
+  }
+
+  // The wallet's mint baton UTXO for a token, or null if it holds none.
+  // A frozen baton is refused unless includeFrozen is set, so minting never
+  // spends it.
+  findMintBaton (xecWallet, tokenId, includeFrozen = false) {
+    const utxos = xecWallet.utxos?.utxoStore?.xecUtxos || []
+    const baton = utxos.find(utxo => utxo.token && utxo.token.tokenId === tokenId && utxo.token.isMintBaton) || null
+
+    if (baton && !includeFrozen && this.frozenOutpoints(xecWallet).includes(this.outpointId(baton))) {
+      throw new ValidationError(
+        `The mint baton of token ${tokenId} (${this.outpointId(baton)}) is frozen. Unfreeze it with utxo-unfreeze before minting.`
+      )
+    }
+
+    return baton
+  }
+
+  // The wallet's UTXOs holding an amount of a token (mint batons excluded)
+  getTokenUtxos (xecWallet, tokenId) {
+    const utxos = xecWallet.utxos?.utxoStore?.xecUtxos || []
+    return utxos.filter(utxo => utxo.token && utxo.token.tokenId === tokenId && !utxo.token.isMintBaton)
+  }
+
+  // The same for another address of the wallet, such as an HD address of a
+  // watch-only xpub wallet, fetched from Chronik
+  async getAddressTokenUtxos (xecWallet, address, tokenId) {
+    const result = await xecWallet.getUtxos(address)
+    const utxos = (result && result.utxos) || []
+    return utxos.filter(utxo => utxo.token && utxo.token.tokenId === tokenId && !utxo.token.isMintBaton)
+  }
+
+  // Pick token UTXOs, largest first, until they hold at least the given atoms.
+  // Frozen UTXOs and those whose outpoint is in exclude are never picked.
+  selectTokenUtxos (xecWallet, tokenId, atoms, exclude = []) {
+    const skipped = this.skippedOutpoints(xecWallet, exclude)
+    const utxos = this.getTokenUtxos(xecWallet, tokenId)
+      .filter(utxo => !skipped.includes(this.outpointId(utxo)))
+      .sort((a, b) => Number(BigInt(b.token.atoms) - BigInt(a.token.atoms)))
+
+    const selected = []
+    let total = 0n
+    for (const utxo of utxos) {
+      if (total >= atoms && selected.length > 0) {
+        break
+      }
+      selected.push(utxo)
+      total += BigInt(utxo.token.atoms)
+    }
+
+    if (total < atoms) {
+      throw new InsufficientFundsError(
+        `Insufficient token balance. Need ${atoms} atoms, have ${total}${skipped.length > 0 ? ' in UTXOs that are not frozen or excluded' : ''}`
+      )
+    }
+
+    return { utxos: selected, total }
+  }
+
+  estimateFee (numInputs, outputs, feeRate) {
+    const outputBytes = outputs.reduce((sum, output) => {
+      return sum + (output.script ? output.script.bytecode.length + 9 : P2PKH_OUTPUT_BYTES)
+    }, 0)
+    const size = TX_OVERHEAD_BYTES + numInputs * P2PKH_INPUT_BYTES + outputBytes + P2PKH_OUTPUT_BYTES
+    return BigInt(Math.ceil(size * feeRate))
+  }
+
+  // Pick pure-XEC UTXOs, largest first, until they cover the outputs and fee.
+  // satsFromInputs is the XEC already brought in by token inputs. Frozen
+  // UTXOs and those whose outpoint is in exclude are never picked.
+  selectXecUtxos (xecWallet, outputs, feeRate, numTokenInputs = 0, satsFromInputs = 0n, exclude = []) {
+    const skipped = this.skippedOutpoints(xecWallet, exclude)
+    const utxos = (xecWallet.utxos?.utxoStore?.xecUtxos || [])
+      .filter(utxo => !utxo.token && !skipped.includes(this.outpointId(utxo)))
+      .sort((a, b) => Number(this.getSats(b) - this.getSats(a)))
+
+    const outputSats = outputs.reduce((sum, output) => sum + output.sats, 0n)
+    const selected = []
+    let total = satsFromInputs
+
+    for (const utxo of utxos) {
+      const fee = this.estimateFee(numTokenInputs + selected.length, outputs, feeRate)
+      if (total >= outputSats + fee && (selected.length > 0 || numTokenInputs > 0)) {
+        break
+      }
+      selected.push(utxo)
+      total += this.getSats(utxo)
+    }
+
+    const fee = this.estimateFee(numTokenInputs + selected.length, outputs, feeRate)
+    if (total < outputSats + fee) {
+      throw new InsufficientFundsError(
+        `Insufficient XEC for this transaction. Need about ${this.amountUtil.formatXec(outputSats + fee)} XEC, ` +
+        `have ${this.amountUtil.formatXec(total)} XEC in pure XEC UTXOs${skipped.length > 0 ? ' that are not frozen or excluded' : ''}`
+      )
+    }
+
+    return selected
+  }
+
+  // Turn a wallet UTXO into a signed P2PKH input
+  toInput (utxo, keys) {
+    return {
+      input: {
+        prevOut: utxo.outpoint,
+        signData: {
+          sats: this.getSats(utxo),
+          outputScript: keys.script
+        }
+      },
+      signatory: P2PKHSignatory(keys.sk, keys.pk, ALL_BIP143)
+    }
+  }
+
+  // Sign a transaction with the given outputs, adding XEC inputs for dust and
+  // fees plus a change output, without broadcasting it. Outputs may note the
+  // token atoms they carry. xecUtxos replaces the automatic coin selection,
+  // exclude lists outpoints it must skip, and changeScript sends the leftover
+  // XEC somewhere other than the wallet.
+  // Returns the signed hex with the inputs, outputs and exact fee.
+  buildTx (xecWallet, options = {}) {
+    const { outputs, tokenUtxos = [], exclude = [], feeRate = xecWallet.fee || DEFAULT_FEE_RATE } = options
+    const keys = this.getKeys(xecWallet)
+    const changeScript = options.changeScript || keys.script
+    const txOutputs = outputs.map(({ sats, script }) => ({ sats, script }))
+
+    const satsFromTokens = tokenUtxos.reduce((sum, utxo) => sum + this.getSats(utxo), 0n)
+    const xecUtxos = options.xecUtxos ||
+      this.selectXecUtxos(xecWallet, txOutputs, feeRate, tokenUtxos.length, satsFromTokens, exclude)
+    const inputs = [...tokenUtxos, ...xecUtxos]
+
+    const inputSats = inputs.reduce((sum, utxo) => sum + this.getSats(utxo), 0n)
+    const outputSats = txOutputs.reduce((sum, output) => sum + output.sats, 0n)
+    const minFee = this.estimateFee(inputs.length, txOutputs, feeRate)
+    if (inputSats < outputSats + minFee) {
+      throw new InsufficientFundsError(
+        `Insufficient XEC for this transaction. Need about ${this.amountUtil.formatXec(outputSats + minFee)} XEC, ` +
+        `have ${this.amountUtil.formatXec(inputSats)} XEC in the selected UTXOs`
+      )
+    }
+
+    const txBuilder = new this.TxBuilder({
+      inputs: inputs.map(utxo => this.toInput(utxo, keys)),
+      // The bare script is the leftover (change) output
+      outputs: [...txOutputs, changeScript]
+    })
+    const tx = txBuilder.sign({
+      feePerKb: BigInt(Math.round(feeRate * 1000)),
+      dustSats: DUST_SATS
+    })
+
+    // The change output is left out when the leftover is below dust
+    const raw = tx.ser()
+    const fee = inputSats - tx.outputs.reduce((sum, output) => sum + output.sats, 0n)
+
+    return {
+      hex: toHex(raw),
+      txid: tx.txid(),
+      size: raw.length,
+      fee,
+      feeRate: this.feeRate(fee, raw.length),
+      inputs,
+      outputs: tx.outputs.map((output, i) => ({
+        sats: output.sats,
+        script: output.script,
+        atoms: i < outputs.length ? outputs[i].atoms : undefined,
+        change: i >= outputs.length
+      })),
+      changeSats: tx.outputs.length > outputs.length ? tx.outputs[tx.outputs.length - 1].sats : 0n
+    }
+  }
+
+  // Broadcast a transaction returned by buildTx and return its txid
+  async broadcastTx (xecWallet, built) {
+    try {
+      const txid = await xecWallet.broadcast({ hex: built.hex })
+      return typeof txid === 'string' ? txid : built.txid
+    } catch (err) {
+      throw classifyBroadcastError(err)
+    }
+  }
+
+  // Update the wallet's UTXO set as if a transaction returned by buildTx had
+  // been broadcast: its inputs are gone and its outputs paying the wallet
+  // become unconfirmed UTXOs. A batch uses it to build each transaction on
+  // the change of the one before, so all of them can be previewed before
+  // any is sent. token ({ tokenId, tokenType }) marks the outputs carrying
+  // token atoms.
+  applyToWallet (xecWallet, built, token = null) {
+    const store = xecWallet.utxos.utxoStore
+    const ownScript = this.getKeys(xecWallet).script.toHex()
+    const spent = built.inputs.map(utxo => this.outpointId(utxo))
+
+    const created = []
+    built.outputs.forEach((output, outIdx) => {
+      if (output.script.toHex() !== ownScript) return
+
+      const utxo = { outpoint: { txid: built.txid, outIdx }, blockHeight: -1, sats: output.sats }
+      if (token && output.atoms) {
+        utxo.token = { tokenId: token.tokenId, tokenType: token.tokenType, atoms: output.atoms, isMintBaton: false }
+      }
+      created.push(utxo)
+    })
+
+    store.xecUtxos = [
+      ...(store.xecUtxos || []).filter(utxo => !spent.includes(this.outpointId(utxo))),
+      ...created
+    ]
+  }
+
+  // Sign and broadcast a transaction. Returns its txid, the fee paid in sats,
+  // the size in bytes and the resulting fee rate.
+  async buildAndBroadcast (xecWallet, options = {}) {
+    const built = this.buildTx(xecWallet, options)
+    const txid = await this.broadcastTx(xecWallet, built)
+
+    return { txid, fee: built.fee, size: built.size, feeRate: built.feeRate }
+  }
+
+  // Sats per byte paid by a fee, rounded to 2 decimals
+  feeRate (fee, size) {
+    return size > 0 ? Math.round(Number(fee) * 100 / size) / 100 : 0
+  }
+
+  // Pay each recipient ({ address, sats }) from the wallet's pure-XEC UTXOs,
+  // or from exactly the given xecUtxos
+  buildXecSend (xecWallet, options = {}) {
+    const { recipients, feeRate, xecUtxos, exclude } = options
+
+    const outputs = recipients.map(recipient => ({
+      sats: recipient.sats,
+      script: this.addressScript(recipient.address)
+    }))
+
+    return this.buildTx(xecWallet, { outputs, feeRate, xecUtxos, exclude })
+  }
+
+  // Spend every pure-XEC UTXO of the wallet to a single address, which
+  // receives everything left after the fee. Token and frozen UTXOs are left
+  // alone.
+  buildSweep (xecWallet, options = {}) {
+    const { address, feeRate } = options
+
+    const frozen = this.frozenOutpoints(xecWallet)
+    const xecUtxos = (xecWallet.utxos?.utxoStore?.xecUtxos || [])
+      .filter(utxo => !utxo.token && !frozen.includes(this.outpointId(utxo)))
+    if (xecUtxos.length === 0) {
+      throw new InsufficientFundsError('No XEC to sweep.')
+    }
+
+    const built = this.buildTx(xecWallet, {
+      outputs: [],
+      xecUtxos,
+      changeScript: this.addressScript(address),
+      feeRate
+    })
+    if (built.outputs.length === 0) {
+      throw new InsufficientFundsError('The balance is too small to sweep. Less than 5.46 XEC would be left after the fee.')
+    }
+
+    // The leftover output is the sweep itself, not change
+    return {
+      ...built,
+      outputs: built.outputs.map(output => ({ ...output, change: false })),
+      changeSats: 0n
+    }
+  }
+
+  // Issue a new token. Output 1 receives the initial quantity and, when
+  // requested, output 2 receives the mint baton. The token ID is the txid.
+  // SLP tokenType selects a fungible token or an NFT1 group; an NFT1 child
+  // is created by passing the group UTXO (holding exactly 1 atom) to spend.
+  async createGenesis (xecWallet, options = {}) {
+    const {
+      protocol = 'SLP',
+      tokenType = SLP_FUNGIBLE,
+      ticker,
+      name,
+      url,
+      hash,
+      decimals = 0,
+      atoms = 0n,
+      mintBaton = false,
+      groupUtxo = null
+    } = options
+    const keys = this.getKeys(xecWallet)
+
+    const genesisInfo = {
+      tokenTicker: ticker || '',
+      tokenName: name || '',
+      url: url || '',
+      decimals
+    }
+
+    let opReturn
+    if (protocol === 'ALP') {
+      opReturn = emppScript([
+        alpGenesis(ALP_STANDARD, genesisInfo, {
+          atomsArray: [atoms],
+          numBatons: mintBaton ? 1 : 0
+        })
+      ])
+    } else {
+      if (hash) {
+        genesisInfo.hash = hash
+      }
+      opReturn = slpGenesis(tokenType, genesisInfo, atoms, mintBaton ? 2 : undefined)
+    }
+
+    const outputs = [
+      { sats: 0n, script: opReturn },
+      { sats: DUST_SATS, script: keys.script }
+    ]
+    if (mintBaton) {
+      outputs.push({ sats: DUST_SATS, script: keys.script })
+    }
+
+    // The NFT1 group input must come first, buildAndBroadcast puts token inputs first
+    const tokenUtxos = groupUtxo ? [groupUtxo] : []
+    const sent = await this.buildAndBroadcast(xecWallet, { outputs, tokenUtxos })
+
+    return { ...sent, tokenId: sent.txid }
+  }
+
+  // Mint more of a token by spending its mint baton. Output 1 receives the new
+  // tokens and output 2 the baton, unless batonAddress is null, which destroys it.
+  async createMint (xecWallet, options = {}) {
+    const { batonUtxo, atoms, address, batonAddress = null } = options
+    const { tokenId, tokenType = {} } = batonUtxo.token
+    const keepBaton = batonAddress !== null
+
+    let opReturn
+    if (tokenType.protocol === 'ALP') {
+      opReturn = emppScript([
+        alpMint(tokenId, tokenType.number || ALP_STANDARD, {
+          atomsArray: [atoms],
+          numBatons: keepBaton ? 1 : 0
+        })
+      ])
+    } else {
+      opReturn = slpMint(tokenId, tokenType.number || SLP_FUNGIBLE, atoms, keepBaton ? 2 : undefined)
+    }
+
+    const outputs = [
+      { sats: 0n, script: opReturn },
+      { sats: DUST_SATS, script: this.addressScript(address) }
+    ]
+    if (keepBaton) {
+      outputs.push({ sats: DUST_SATS, script: this.addressScript(batonAddress) })
+    }
+
+    return this.buildAndBroadcast(xecWallet, { outputs, tokenUtxos: [batonUtxo] })
+  }
+
+  // The token UTXOs a burn of atoms spends: a single unfrozen UTXO holding
+  // exactly that amount when there is one, else the largest ones. Returns
+  // { utxos, total, tokenType }.
+  selectBurnUtxos (xecWallet, tokenId, atoms) {
+    const frozen = this.frozenOutpoints(xecWallet)
+    const exact = this.getTokenUtxos(xecWallet, tokenId)
+      .find(utxo => BigInt(utxo.token.atoms) === atoms && !frozen.includes(this.outpointId(utxo)))
+    const { utxos, total } = exact
+      ? { utxos: [exact], total: atoms }
+      : this.selectTokenUtxos(xecWallet, tokenId, atoms)
+
+    return { utxos, total, tokenType: utxos[0].token.tokenType || {} }
+  }
+
+  // An SLP BURN destroys every token input, so when the UTXOs to burn hold
+  // more than the amount, a split transaction first sends the amount to a
+  // UTXO of its own. Returns that split signed but not broadcast, or null
+  // when none is needed (ALP burns return their change themselves).
+  buildBurnSplit (xecWallet, options = {}) {
+    const { tokenId, atoms } = options
+    const { utxos, total, tokenType } = this.selectBurnUtxos(xecWallet, tokenId, atoms)
+    if (tokenType.protocol === 'ALP' || total === atoms) {
+      return null
+    }
+
+    return this.buildSplit(xecWallet, { tokenId, tokenType, utxos, amounts: [atoms, total - atoms] })
+  }
+
+  // Sign the burn of an exact amount of a token without broadcasting it.
+  // Any tokens left over in the spent ALP UTXOs are sent back to the wallet.
+  // An SLP burn needs UTXOs holding exactly the amount: apply the split from
+  // buildBurnSplit to the wallet (see applyToWallet) before calling this.
+  buildBurn (xecWallet, options = {}) {
+    const { tokenId, atoms } = options
+    const keys = this.getKeys(xecWallet)
+    const { utxos, total, tokenType } = this.selectBurnUtxos(xecWallet, tokenId, atoms)
+    const change = total - atoms
+
+    if (tokenType.protocol === 'ALP') {
+      const sections = [alpBurn(tokenId, tokenType.number || ALP_STANDARD, atoms)]
+      if (change > 0n) {
+        sections.push(alpSend(tokenId, tokenType.number || ALP_STANDARD, [change]))
+      }
+
+      const outputs = [{ sats: 0n, script: emppScript(sections) }]
+      if (change > 0n) {
+        outputs.push({ sats: DUST_SATS, script: keys.script, atoms: change })
+      }
+
+      return this.buildTx(xecWallet, { outputs, tokenUtxos: utxos })
+    }
+
+    if (change > 0n) {
+      throw new ValidationError(`No UTXO holds exactly ${atoms} atoms of token ${tokenId}. Split them first with buildBurnSplit.`)
+    }
+
+    const outputs = [
+      { sats: 0n, script: slpBurn(tokenId, tokenType.number || SLP_FUNGIBLE, atoms) }
+    ]
+    return this.buildTx(xecWallet, { outputs, tokenUtxos: utxos })
+  }
+
+  // Broadcast a burn signed by buildBurn, after its split when there is one.
+  // If the burn fails once the split went through, the error names the split
+  // txid: its tokens are back in the wallet, the amount to burn in its own UTXO.
+  async sendBurn (xecWallet, split, burn) {
+    const splitTxid = split ? await this.broadcastTx(xecWallet, split) : null
+
+    let txid
+    try {
+      txid = await this.broadcastTx(xecWallet, burn)
+    } catch (err) {
+      if (!splitTxid) throw err
+
+      const error = wrapError(err,
+        `Split transaction ${splitTxid} was broadcast, so the tokens to burn are now in UTXO ${splitTxid}:1, ` +
+        'but the burn failed (run the burn again to destroy them)')
+      error.splitTxid = splitTxid
+      throw error
+    }
+
+    // Report the fee of both transactions together
+    const fee = burn.fee + (split ? split.fee : 0n)
+    const size = burn.size + (split ? split.size : 0)
+    return { txid, fee, size, feeRate: this.feeRate(fee, size), splitTxid }
+  }
+
+  // Sign, without broadcasting, a send of SLP tokens back to the wallet split
+  // into the given amounts. Its outputs note their atoms, so applyToWallet
+  // adds the new token UTXOs.
+  buildSplit (xecWallet, options = {}) {
+    const { tokenId, tokenType, utxos, amounts } = options
+    const keys = this.getKeys(xecWallet)
+
+    const outputs = [
+      { sats: 0n, script: slpSend(tokenId, tokenType.number || SLP_FUNGIBLE, amounts) },
+      ...amounts.map(atoms => ({ sats: DUST_SATS, script: keys.script, atoms }))
+    ]
+    return this.buildTx(xecWallet, { outputs, tokenUtxos: utxos })
+  }
+
+  // Send SLP tokens back to the wallet, split into the given amounts. Returns
+  // the txid and fee, and the new UTXO holding the first amount.
+  async splitSlpUtxo (xecWallet, options = {}) {
+    const { tokenId, tokenType, amounts } = options
+    const built = this.buildSplit(xecWallet, options)
+    const txid = await this.broadcastTx(xecWallet, built)
+
+    return {
+      txid,
+      fee: built.fee,
+      size: built.size,
+      feeRate: built.feeRate,
+      utxo: {
+        outpoint: { txid, outIdx: 1 },
+        sats: DUST_SATS,
+        token: { tokenId, tokenType, atoms: amounts[0], isMintBaton: false }
+      }
+    }
+  }
+
+  // Sign a send of tokens from the given UTXOs to each recipient
+  // ({ address, atoms }). Whatever the UTXOs hold beyond that is sent back to
+  // the wallet as change. xecUtxos and exclude control the XEC inputs as in
+  // buildTx.
+  buildSend (xecWallet, options = {}) {
+    const { tokenId, utxos, recipients, feeRate, xecUtxos, exclude } = options
+    const keys = this.getKeys(xecWallet)
+    const tokenType = utxos[0].token.tokenType || {}
+
+    const total = utxos.reduce((sum, utxo) => sum + BigInt(utxo.token.atoms), 0n)
+    const sent = recipients.reduce((sum, recipient) => sum + recipient.atoms, 0n)
+    if (sent > total) {
+      throw new InsufficientFundsError(`Insufficient token balance. Need ${sent} atoms, have ${total}`)
+    }
+
+    const outputs = recipients.map(recipient => ({
+      sats: DUST_SATS,
+      script: this.addressScript(recipient.address),
+      atoms: recipient.atoms
+    }))
+    if (total > sent) {
+      outputs.push({ sats: DUST_SATS, script: keys.script, atoms: total - sent })
+    }
+    if (tokenType.protocol !== 'ALP' && outputs.length > SLP_MAX_SEND_OUTPUTS) {
+      throw new ValidationError(`An SLP send can have at most ${SLP_MAX_SEND_OUTPUTS} token outputs`)
+    }
+    if (tokenType.protocol === 'ALP' && outputs.length > ALP_POLICY_MAX_OUTPUTS) {
+      throw new ValidationError(`An ALP send can have at most ${ALP_POLICY_MAX_OUTPUTS} token outputs`)
+    }
+
+    const sendAtoms = outputs.map(output => output.atoms)
+    const opReturn = tokenType.protocol === 'ALP'
+      ? emppScript([alpSend(tokenId, tokenType.number || ALP_STANDARD, sendAtoms)])
+      : slpSend(tokenId, tokenType.number || SLP_FUNGIBLE, sendAtoms)
+
+    return this.buildTx(xecWallet, {
+      outputs: [{ sats: 0n, script: opReturn }, ...outputs],
+      tokenUtxos: utxos,
+      feeRate,
+      xecUtxos,
+      exclude
+    })
+  }
+
+  async createSend (xecWallet, options = {}) {
+    const built = this.buildSend(xecWallet, options)
+    const txid = await this.broadcastTx(xecWallet, built)
+
+    return { txid, fee: built.fee, size: built.size, feeRate: built.feeRate }
+  }
+}
+
+export default TokenTx
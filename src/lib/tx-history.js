@@ -0,0 +1,236 @@
+/*
+  Fetch a wallet's transaction history from Chronik and work out what each
+  transaction meant for the wallet: net XEC change, fee, direction and the
+  other party. Shared by the history and export commands.
+*/
+
+// Global npm libraries
+import { Address, Script } from 'ecash-lib'
+
+// Local libraries
+import WalletCache from './wallet-cache.js'
+import { ValidationError } from './errors.js'
+
+// Largest page Chronik serves for address history
+const MAX_PAGE_SIZE = 200
+
+class TxHistory {
+  constructor () {
+    // Encapsulate dependencies
+    this.Address = Address
+    this.Script = Script
+    this.walletCache = new WalletCache()
+
+    // Bind 'this' object to all subfunctions
+    this.getPage = this.getPage.bind(this)
+    this.getAll = this.getAll.bind(this)
+    this.getTokenTxs = this.getTokenTxs.bind(this)
+    this.getWalletScript = this.getWalletScript.bind(this)
+    this.scriptToAddress = this.scriptToAddress.bind(this)
+    this.analyzeTx = this.analyzeTx.bind(this)
+    this.getTokenFlow = this.getTokenFlow.bind(this)
+    this.getTokenIds = this.getTokenIds.bind(this)
+    this.parseDate = this.parseDate.bind(this)
+  }
+
+  // One page of history, newest first. page is 0-based, as in Chronik.
+  async getPage (wallet, address, page = 0, pageSize = 25) {
+    const result = await wallet.chronik.address(address).history(page, pageSize)
+    return {
+      txs: result.txs || [],
+      numPages: result.numPages || 0,
+      numTxs: result.numTxs || 0
+    }
+  }
+
+  // The complete history, fetched in the largest pages Chronik allows
+  async getAll (wallet, address) {
+    const txs = []
+    let page = 0
+    let numPages = 1
+    while (page < numPages) {
+      const result = await this.getPage(wallet, address, page, MAX_PAGE_SIZE)
+      txs.push(...result.txs)
+      numPages = result.numPages
+      page++
+    }
+
+    return txs
+  }
+
+  // Every transaction of the address that carries token data, newest first.
+  // Chronik history pages already include inputs, outputs and token entries,
+  // so no per-transaction lookups are needed. Confirmed token transactions
+  // are cached on disk, and later runs only page through the history until
+  // they reach the newest transaction seen by the previous scan.
+  async getTokenTxs (wallet, address) {
+    const cached = await this.walletCache.loadHistory(address)
+
+    const newTxs = []
+    let reachedCache = false
+    let page = 0
+    let numPages = 1
+    while (page < numPages && !reachedCache) {
+      const result = await this.getPage(wallet, address, page, MAX_PAGE_SIZE)
+      for (const tx of result.txs) {
+        if (cached.latestTxid && tx.txid === cached.latestTxid) {
+          reachedCache = true
+          break
+        }
+        newTxs.push(tx)
+      }
+      numPages = result.numPages
+      page++
+    }
+
+    // Without the cached marker in the history (e.g. after a reorg) the
+    // full scan above replaces the cache
+    const cachedTxs = reachedCache ? cached.txs : []
+    const newTokenTxs = newTxs.filter(tx => tx.tokenEntries && tx.tokenEntries.length > 0)
+
+    // Unconfirmed transactions can still change, so they are never cached
+    const latestConfirmed = newTxs.find(tx => tx.block)
+    if (latestConfirmed) {
+      await this.walletCache.saveHistory(address, {
+        latestTxid: latestConfirmed.txid,
+        txs: newTokenTxs.filter(tx => tx.block).concat(cachedTxs)
+      })
+    }
+
+    return newTokenTxs.concat(cachedTxs)
+  }
+
+  // Hex output script of the wallet address, used to spot the wallet's inputs and outputs
+  getWalletScript (address) {
+    return this.Script.fromAddress(address).toHex()
+  }
+
+  // eCash address of an output script, or null for OP_RETURN and other non-standard scripts
+  scriptToAddress (scriptHex) {
+    try {
+      return this.Address.fromScriptHex(scriptHex).toString()
+    } catch (err) {
+      return null
+    }
+  }
+
+  // Summarize a Chronik transaction from the wallet's point of view.
+  // Amounts are BigInt sats. walletScript is the wallet's output script, or a
+  // list of them for a wallet spread over several HD addresses.
+  analyzeTx (tx, walletScript) {
+    const ownScripts = [].concat(walletScript)
+    const isOwn = script => ownScripts.includes(script)
+
+    let ownIn = 0n
+    let ownOut = 0n
+    let totalIn = 0n
+    let totalOut = 0n
+
+    for (const input of tx.inputs || []) {
+      const sats = BigInt(input.sats || 0)
+      totalIn += sats
+      if (isOwn(input.outputScript)) ownIn += sats
+    }
+    for (const output of tx.outputs || []) {
+      const sats = BigInt(output.sats || 0)
+      totalOut += sats
+      if (isOwn(output.outputScript)) ownOut += sats
+    }
+
+    const netSats = ownOut - ownIn
+    const feeSats = tx.isCoinbase ? 0n : totalIn - totalOut
+
+    let direction
+    if (ownIn === 0n) {
+      direction = 'RECEIVED'
+    } else if ((tx.outputs || []).some(output => output.sats > 0n && !isOwn(output.outputScript))) {
+      direction = 'SENT'
+    } else {
+      direction = 'SELF'
+    }
+
+    // The first foreign address on the other side of the transaction
+    let counterparty = null
+    if (direction === 'RECEIVED') {
+      const input = (tx.inputs || []).find(input => input.outputScript && !isOwn(input.outputScript))
+      counterparty = input ? this.scriptToAddress(input.outputScript) : null
+    } else if (direction === 'SENT') {
+      const output = (tx.outputs || []).find(output => output.sats > 0n && !isOwn(output.outputScript))
+      counterparty = output ? this.scriptToAddress(output.outputScript) : null
+    }
+
+    return {
+      txid: tx.txid,
+      timestamp: tx.block?.timestamp || tx.timeFirstSeen || null,
+      confirmed: Boolean(tx.block),
+      blockHeight: tx.block?.height || null,
+      direction,
+      netSats,
+      feeSats,
+      // Only the sender pays the fee
+      feePaid: ownIn > 0n,
+      counterparty,
+      isCoinbase: Boolean(tx.isCoinbase)
+    }
+  }
+
+  // Sum the token atoms leaving and entering the wallet in a transaction.
+  // Mint batons carry no amount and are ignored. walletScript is one output
+  // script or a list of them, as in analyzeTx.
+  getTokenFlow (tx, tokenId, walletScript) {
+    const ownScripts = [].concat(walletScript)
+    const isOwn = script => ownScripts.includes(script)
+    const isOurToken = part => part.token && part.token.tokenId === tokenId && !part.token.isMintBaton
+
+    let atomsOut = 0n
+    for (const input of tx.inputs || []) {
+      if (isOwn(input.outputScript) && isOurToken(input)) {
+        atomsOut += BigInt(input.token.atoms)
+      }
+    }
+
+    let atomsIn = 0n
+    for (const output of tx.outputs || []) {
+      if (isOwn(output.outputScript) && isOurToken(output)) {
+        atomsIn += BigInt(output.token.atoms)
+      }
+    }
+
+    const netAtoms = atomsIn - atomsOut
+
+    // The first foreign address on the other side of the token movement
+    let counterparty = null
+    if (netAtoms < 0n) {
+      const output = (tx.outputs || []).find(output => !isOwn(output.outputScript) && isOurToken(output))
+      counterparty = output ? this.scriptToAddress(output.outputScript) : null
+    } else if (netAtoms > 0n) {
+      const input = (tx.inputs || []).find(input => input.outputScript && !isOwn(input.outputScript))
+      counterparty = input ? this.scriptToAddress(input.outputScript) : null
+    }
+
+    return { atomsIn, atomsOut, netAtoms, counterparty }
+  }
+
+  // Token IDs moved by a transaction, in the order of its token entries
+  getTokenIds (tx) {
+    return [...new Set((tx.tokenEntries || []).map(entry => entry.tokenId))]
+  }
+
+  // Parse a --from/--to date flag into a unix timestamp in seconds. A bare
+  // date covers the whole day (UTC): --from starts at 00:00:00, --to ends at 23:59:59.
+  parseDate (value, which) {
+    const ms = Date.parse(value)
+    if (Number.isNaN(ms)) {
+      throw new ValidationError(`Invalid --${which} date '${value}'. Use YYYY-MM-DD or an ISO date and time.`)
+    }
+
+    const seconds = Math.floor(ms / 1000)
+    if (which === 'to' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+      return seconds + 86400 - 1
+    }
+
+    return seconds
+  }
+}
+
+export default TxHistory
@@ -0,0 +1,209 @@
+/*
+  Show a signed transaction before it is broadcast: the UTXOs it spends, its
+  outputs and change, the exact fee and fee rate, and the wallet balance once
+  it is sent. The send commands print this preview and ask for confirmation,
+  or stop after it with --dry-run. Batch sends get one line per transaction
+  and the totals of the whole batch.
+*/
+
+// Global npm libraries
+import { Address } from 'ecash-lib'
+
+// Local libraries
+import AmountUtil from './amount-util.js'
+import Output from './output.js'
+import Prompt from './prompt.js'
+import { ValidationError } from './errors.js'
+
+class TxPreview {
+  constructor () {
+    // Encapsulate dependencies
+    this.Address = Address
+    this.amountUtil = new AmountUtil()
+    this.output = new Output()
+    this.prompt = new Prompt()
+
+    // Bind 'this' object to all subfunctions
+    this.describe = this.describe.bind(this)
+    this.scriptToAddress = this.scriptToAddress.bind(this)
+    this.display = this.display.bind(this)
+    this.displayBatch = this.displayBatch.bind(this)
+    this.batchTotals = this.batchTotals.bind(this)
+    this.toJson = this.toJson.bind(this)
+    this.confirm = this.confirm.bind(this)
+  }
+
+  // Summarize a transaction built by TokenTx for the wallet that signed it.
+  // token ({ tokenId, ticker, decimals }) adds the token amounts and balance.
+  describe (xecWallet, built, token = null) {
+    const walletAddress = xecWallet.walletInfo.xecAddress
+    const utxos = xecWallet.utxos?.utxoStore?.xecUtxos || []
+    const tokenAtoms = utxo => token && utxo.token && utxo.token.tokenId === token.tokenId && !utxo.token.isMintBaton
+      ? this.amountUtil.toBigInt(utxo.token.atoms)
+      : 0n
+
+    const inputs = built.inputs.map(utxo => ({
+      txid: utxo.outpoint.txid,
+      outIdx: utxo.outpoint.outIdx,
+      sats: this.amountUtil.toBigInt(utxo.sats),
+      atoms: tokenAtoms(utxo)
+    }))
+    const outputs = built.outputs.map(output => ({
+      address: this.scriptToAddress(output.script),
+      sats: output.sats,
+      atoms: output.atoms || 0n,
+      change: output.change
+    }))
+
+    // Only the outputs paying the wallet itself stay in its balance
+    const own = outputs.filter(output => output.address === walletAddress)
+    const balanceSats = this.amountUtil.sum(utxos.map(utxo => utxo.sats))
+    const balanceAfter = balanceSats -
+      this.amountUtil.sum(inputs.map(input => input.sats)) +
+      this.amountUtil.sum(own.map(output => output.sats))
+
+    let tokenBalanceAfter = null
+    if (token) {
+      tokenBalanceAfter = this.amountUtil.sum(utxos.map(tokenAtoms)) -
+        this.amountUtil.sum(inputs.map(input => input.atoms)) +
+        this.amountUtil.sum(own.map(output => output.atoms))
+    }
+
+    return {
+      txid: built.txid,
+      size: built.size,
+      fee: built.fee,
+      feeRate: built.feeRate,
+      inputs,
+      outputs,
+      changeSats: built.changeSats,
+      balanceAfter,
+      token,
+      tokenBalanceAfter
+    }
+  }
+
+  // eCash address of an output script, or null for OP_RETURN data
+  scriptToAddress (script) {
+    try {
+      return this.Address.fromScript(script).toString()
+    } catch (err) {
+      return null
+    }
+  }
+
+  // Print the preview returned by describe()
+  display (summary) {
+    const { token } = summary
+    const xec = sats => `${this.amountUtil.formatXec(sats)} XEC`
+    const tokens = atoms => `${this.amountUtil.formatAtoms(atoms, token.decimals, { trim: true, group: true })} ${token.ticker}`
+    const amount = item => token && item.atoms > 0n ? `${xec(item.sats)} + ${tokens(item.atoms)}` : xec(item.sats)
+
+    this.output.info('Transaction preview:')
+    this.output.info(`   Inputs (${summary.inputs.length}):`)
+    summary.inputs.forEach(input => {
+      this.output.info(`      ${input.txid}:${input.outIdx}  ${amount(input)}`)
+    })
+    this.output.info(`   Outputs (${summary.outputs.length}):`)
+    summary.outputs.forEach(output => {
+      if (!output.address) {
+        this.output.info(`      OP_RETURN${token ? ` (${token.ticker} send data)` : ''}`)
+        return
+      }
+      this.output.info(`      ${output.address}  ${amount(output)}${output.change ? ' (change)' : ''}`)
+    })
+    this.output.info(`   Change: ${summary.changeSats > 0n ? xec(summary.changeSats) : 'none'}`)
+    this.output.info(`   Fee: ${this.amountUtil.formatFee(summary.fee, summary.feeRate)}, ${summary.size} bytes`)
+    this.output.info(`   Balance after: ${xec(summary.balanceAfter)}${token ? `, ${tokens(summary.tokenBalanceAfter)}` : ''}`)
+    this.output.info()
+
+    return true
+  }
+
+  // Print the previews of the transactions of a batch, one line each, then
+  // the totals. label(i) says what transaction i pays, e.g. '200 recipients,
+  // 120 XEC'. Each transaction after the first spends the change of the one
+  // before, so only inputs from outside the batch are counted as wallet UTXOs.
+  displayBatch (summaries, label) {
+    const { token } = summaries[0]
+    const last = summaries[summaries.length - 1]
+    const totals = this.batchTotals(summaries)
+
+    this.output.info('Batch preview:')
+    summaries.forEach((summary, i) => {
+      this.output.info(
+        `   Transaction ${i + 1}: ${label(i)}, ${summary.inputs.length} input${summary.inputs.length === 1 ? '' : 's'}, ` +
+        `fee ${this.amountUtil.formatXec(summary.fee)} XEC`
+      )
+    })
+    this.output.info(`   Wallet UTXOs spent: ${totals.utxosSpent}`)
+    this.output.info(`   Total fee: ${this.amountUtil.formatFee(totals.fee, totals.feeRate)}, ${totals.size} bytes`)
+    this.output.info(
+      `   Balance after: ${this.amountUtil.formatXec(last.balanceAfter)} XEC` +
+      `${token ? `, ${this.amountUtil.formatAtoms(last.tokenBalanceAfter, token.decimals, { trim: true, group: true })} ${token.ticker}` : ''}`
+    )
+    this.output.info()
+
+    return true
+  }
+
+  // Fee, size and wallet UTXOs spent by all the transactions of a batch
+  batchTotals (summaries) {
+    const txids = summaries.map(summary => summary.txid)
+    const fee = this.amountUtil.sum(summaries.map(summary => summary.fee))
+    const size = summaries.reduce((sum, summary) => sum + summary.size, 0)
+    const utxosSpent = summaries.reduce((sum, summary) =>
+      sum + summary.inputs.filter(input => !txids.includes(input.txid)).length, 0)
+
+    return {
+      fee,
+      size,
+      feeRate: size > 0 ? Math.round(Number(fee) * 100 / size) / 100 : 0,
+      utxosSpent
+    }
+  }
+
+  // The preview in the shape used by the --json output
+  toJson (summary) {
+    const { token } = summary
+    const tokenAmount = atoms => token ? this.amountUtil.formatAtoms(atoms, token.decimals, { trim: true }) : null
+    const itemAmount = item => item.atoms > 0n ? tokenAmount(item.atoms) : null
+
+    return {
+      txid: summary.txid,
+      size: summary.size,
+      fee: this.output.xecAmount(summary.fee),
+      feeRate: summary.feeRate,
+      inputs: summary.inputs.map(input => ({
+        txid: input.txid,
+        outIdx: input.outIdx,
+        sats: Number(input.sats),
+        tokenAmount: itemAmount(input)
+      })),
+      outputs: summary.outputs.map(output => ({
+        address: output.address,
+        sats: Number(output.sats),
+        tokenAmount: itemAmount(output),
+        change: output.change
+      })),
+      change: this.output.xecAmount(summary.changeSats),
+      balanceAfter: this.output.xecAmount(summary.balanceAfter),
+      tokenBalanceAfter: tokenAmount(summary.tokenBalanceAfter)
+    }
+  }
+
+  // Ask before broadcasting, unless --yes was given
+  async confirm (flags, question = 'Broadcast this transaction?') {
+    if (flags.yes) {
+      return true
+    }
+
+    if (!(await this.prompt.confirm(question))) {
+      throw new ValidationError('Transaction cancelled. Nothing was sent.')
+    }
+
+    return true
+  }
+}
+
+export default TxPreview
@@ -0,0 +1,284 @@
+/*
+  On-disk cache kept in a .cache folder next to the wallet files. It holds
+  data that cannot change once it is on the blockchain, so it never has to be
+  fetched twice:
+  - token genesis info (a token ID is the txid of its genesis, so the ticker,
+    name and decimals are fixed)
+  - details of confirmed transactions, with their block height
+  - the confirmed token transactions of each address, scanned up to the
+    newest transaction seen so far
+  Token info and transactions are stored one file per ID, so a lookup only
+  ever reads and writes its own small file.
+  The last-known UTXO set of each address is kept as well, with the block
+  height it was fetched at, so balances can still be shown when Chronik is
+  unreachable.
+  The global --no-cache option turns all reads and writes off.
+*/
+
+// Global npm libraries
+import { promises as fs } from 'fs'
+import path from 'path'
+
+// Local libraries
+import WalletUtil from './wallet-util.js'
+import config from './config.js'
+
+// Bump when the cached format changes, so old files are ignored
+const CACHE_VERSION = 1
+
+class WalletCache {
+  constructor () {
+    // Encapsulate dependencies
+    this.walletUtil = new WalletUtil()
+    this.config = config
+    this.fs = fs
+
+    // Bind 'this' object to all subfunctions
+    this.isEnabled = this.isEnabled.bind(this)
+    this.getCacheDir = this.getCacheDir.bind(this)
+    this.getCachePath = this.getCachePath.bind(this)
+    this.getEntryPath = this.getEntryPath.bind(this)
+    this.readFile = this.readFile.bind(this)
+    this.writeFile = this.writeFile.bind(this)
+    this.clear = this.clear.bind(this)
+    this.getTokenData = this.getTokenData.bind(this)
+    this.getTx = this.getTx.bind(this)
+    this.loadHistory = this.loadHistory.bind(this)
+    this.saveHistory = this.saveHistory.bind(this)
+    this.loadUtxos = this.loadUtxos.bind(this)
+    this.saveUtxos = this.saveUtxos.bind(this)
+    this.compactTx = this.compactTx.bind(this)
+    this.expandTx = this.expandTx.bind(this)
+    this.compactUtxo = this.compactUtxo.bind(this)
+    this.expandUtxo = this.expandUtxo.bind(this)
+  }
+
+  // False when the global --no-cache option is set
+  isEnabled () {
+    return !this.config.noCache
+  }
+
+  getCacheDir () {
+    return path.join(this.walletUtil.getWalletsDir(), '.cache')
+  }
+
+  // e.g. ('history', 'ecash:qr...') -> <wallets>/.cache/history-qr....json
+  getCachePath (kind, address) {
+    const name = address ? `${kind}-${address.replace(/^ecash:/, '')}` : kind
+    return path.join(this.getCacheDir(), `${name}.json`)
+  }
+
+  // One file per token or transaction, so a lookup reads and writes only its
+  // own entry, e.g. ('txs', 'ab12...') -> <wallets>/.cache/txs/ab12....json.
+  // Returns null for anything but a 64-character hex ID.
+  getEntryPath (kind, id) {
+    if (typeof id !== 'string' || !/^[0-9a-f]{64}$/.test(id)) return null
+    return path.join(this.getCacheDir(), kind, `${id}.json`)
+  }
+
+  // Contents of a cache file, or null when it is missing, unreadable,
+  // outdated or the cache is turned off
+  async readFile (filePath) {
+    if (!this.isEnabled() || !filePath) return null
+
+    try {
+      const data = JSON.parse(await this.fs.readFile(filePath, 'utf8'))
+      return data.version === CACHE_VERSION ? data : null
+    } catch (err) {
+      return null
+    }
+  }
+
+  // Failing to write the cache only makes the next run slower
+  async writeFile (filePath, data) {
+    if (!this.isEnabled() || !filePath) return false
+
+    try {
+      await this.fs.mkdir(path.dirname(filePath), { recursive: true })
+      await this.fs.writeFile(filePath, JSON.stringify({ version: CACHE_VERSION, ...data }), { mode: 0o600 })
+      return true
+    } catch (err) {
+      return false
+    }
+  }
+
+  // Delete every cache file. Returns the number of files removed.
+  async clear () {
+    const cacheDir = this.getCacheDir()
+
+    let entries
+    try {
+      entries = await this.fs.readdir(cacheDir, { recursive: true, withFileTypes: true })
+    } catch (err) {
+      if (err.code === 'ENOENT') return 0
+      throw err
+    }
+
+    await this.fs.rm(cacheDir, { recursive: true, force: true })
+    return entries.filter(entry => entry.isFile()).length
+  }
+
+  // Token metadata from wallet.getETokenData, fetched once per token
+  async getTokenData (wallet, tokenId) {
+    const filePath = this.getEntryPath('tokens', tokenId)
+    const cached = await this.readFile(filePath)
+    if (cached) {
+      return cached.token
+    }
+
+    const tokenData = await wallet.getETokenData(tokenId)
+    if (tokenData) {
+      await this.writeFile(filePath, { token: tokenData })
+    }
+
+    return tokenData
+  }
+
+  // Transaction details from Chronik. Only confirmed transactions are cached.
+  async getTx (wallet, txid) {
+    const filePath = this.getEntryPath('txs', txid)
+    const cached = await this.readFile(filePath)
+    if (cached) {
+      return this.expandTx(cached.tx)
+    }
+
+    const tx = await wallet.chronik.tx(txid)
+    if (tx && tx.block) {
+      await this.writeFile(filePath, { tx: this.compactTx({ ...tx, txid }) })
+    }
+
+    return tx
+  }
+
+  // Cached history of an address: the newest confirmed txid that was scanned
+  // and the transactions kept from the scan. A missing cache is empty.
+  async loadHistory (address) {
+    const data = await this.readFile(this.getCachePath('history', address))
+    if (!data) {
+      return { latestTxid: null, txs: [] }
+    }
+
+    return {
+      latestTxid: data.latestTxid || null,
+      txs: (data.txs || []).map(this.expandTx)
+    }
+  }
+
+  async saveHistory (address, history) {
+    return this.writeFile(this.getCachePath('history', address), {
+      address,
+      latestTxid: history.latestTxid,
+      txs: history.txs.map(this.compactTx)
+    })
+  }
+
+  // Last-known UTXO set of an address as { blockHeight, savedAt, utxos },
+  // or null when none was saved
+  async loadUtxos (address) {
+    const data = await this.readFile(this.getCachePath('utxos', address))
+    if (!data) {
+      return null
+    }
+
+    return {
+      blockHeight: data.blockHeight,
+      savedAt: data.savedAt,
+      utxos: data.utxos.map(this.expandUtxo)
+    }
+  }
+
+  // Save the UTXOs of an initialized wallet with the current chain tip height
+  async saveUtxos (wallet) {
+    let blockHeight = null
+    try {
+      const info = await wallet.chronik.blockchainInfo()
+      blockHeight = info.tipHeight
+    } catch (err) {
+      // The UTXO set is still worth keeping without its height
+    }
+
+    const address = wallet.walletInfo.xecAddress
+    const utxos = wallet.utxos?.utxoStore?.xecUtxos || []
+    return this.writeFile(this.getCachePath('utxos', address), {
+      address,
+      blockHeight,
+      savedAt: new Date().toISOString(),
+      utxos: utxos.map(this.compactUtxo)
+    })
+  }
+
+  // Keep the fields the history commands use, with BigInts as strings
+  compactTx (tx) {
+    const compactToken = token => token
+      ? { tokenId: token.tokenId, atoms: String(token.atoms), isMintBaton: Boolean(token.isMintBaton) }
+      : undefined
+
+    return {
+      txid: tx.txid,
+      block: tx.block ? { height: tx.block.height, timestamp: tx.block.timestamp } : null,
+      timeFirstSeen: tx.timeFirstSeen,
+      isCoinbase: Boolean(tx.isCoinbase),
+      inputs: (tx.inputs || []).map(input => ({
+        outputScript: input.outputScript,
+        sats: String(input.sats || 0),
+        token: compactToken(input.token)
+      })),
+      outputs: (tx.outputs || []).map(output => ({
+        outputScript: output.outputScript,
+        sats: String(output.sats || 0),
+        token: compactToken(output.token)
+      })),
+      tokenEntries: (tx.tokenEntries || []).map(entry => ({
+        tokenId: entry.tokenId,
+        tokenType: entry.tokenType,
+        txType: entry.txType,
+        groupTokenId: entry.groupTokenId,
+        actualBurnAtoms: String(entry.actualBurnAtoms || 0),
+        intentionalBurnAtoms: String(entry.intentionalBurnAtoms || 0)
+      }))
+    }
+  }
+
+  // Restore a compacted transaction, turning amounts back into BigInts
+  expandTx (tx) {
+    const expandToken = token => token ? { ...token, atoms: BigInt(token.atoms) } : undefined
+
+    return {
+      ...tx,
+      inputs: tx.inputs.map(input => ({ ...input, sats: BigInt(input.sats), token: expandToken(input.token) })),
+      outputs: tx.outputs.map(output => ({ ...output, sats: BigInt(output.sats), token: expandToken(output.token) })),
+      tokenEntries: tx.tokenEntries.map(entry => ({
+        ...entry,
+        actualBurnAtoms: BigInt(entry.actualBurnAtoms),
+        intentionalBurnAtoms: BigInt(entry.intentionalBurnAtoms)
+      }))
+    }
+  }
+
+  compactUtxo (utxo) {
+    return {
+      outpoint: utxo.outpoint,
+      blockHeight: utxo.blockHeight,
+      isCoinbase: Boolean(utxo.isCoinbase),
+      sats: String(utxo.sats !== undefined ? utxo.sats : utxo.value || 0),
+      token: utxo.token
+        ? {
+            tokenId: utxo.token.tokenId,
+            tokenType: utxo.token.tokenType,
+            atoms: String(utxo.token.atoms || 0),
+            isMintBaton: Boolean(utxo.token.isMintBaton)
+          }
+        : undefined
+    }
+  }
+
+  expandUtxo (utxo) {
+    return {
+      ...utxo,
+      sats: BigInt(utxo.sats),
+      token: utxo.token ? { ...utxo.token, atoms: BigInt(utxo.token.atoms) } : undefined
+    }
+  }
+}
+
+export default WalletCache
@@ -0,0 +1,133 @@
+/*
+  Password-based encryption for the secret part of a wallet file.
+  Keys are derived with scrypt and secrets are sealed with AES-256-GCM,
+  so a wrong password or a tampered file fails to decrypt.
+*/
+
+// Global npm libraries
+import crypto from 'crypto'
+import { promisify } from 'util'
+
+// Local libraries
+import { ValidationError, wrapError } from './errors.js'
+
+const scrypt = promisify(crypto.scrypt)
+
+// Wallet fields that never leave the file in plaintext once encrypted
+const SECRET_FIELDS = ['mnemonic', 'privateKey', 'publicKey']
+
+// scrypt cost parameters (N=2^15 needs 32 MiB of memory)
+const KDF_PARAMS = { N: 32768, r: 8, p: 1, keyLen: 32 }
+
+class WalletCrypto {
+  constructor () {
+    // Encapsulate dependencies
+    this.crypto = crypto
+
+    // Bind 'this' object to all subfunctions
+    this.isEncrypted = this.isEncrypted.bind(this)
+    this.deriveKey = this.deriveKey.bind(this)
+    this.encryptWallet = this.encryptWallet.bind(this)
+    this.decryptWallet = this.decryptWallet.bind(this)
+  }
+
+  // Check if wallet data holds an encrypted secret envelope
+  isEncrypted (walletData) {
+    return Boolean(walletData && walletData.encryption && walletData.encryption.ciphertext)
+  }
+
+  // Derive a symmetric key from a password and salt
+  async deriveKey (password, salt, params = KDF_PARAMS) {
+    if (!password || typeof password !== 'string') {
+      throw new ValidationError('Password is required and must be a string')
+    }
+
+    return scrypt(password, salt, params.keyLen, {
+      N: params.N,
+      r: params.r,
+      p: params.p,
+      maxmem: 256 * params.N * params.r
+    })
+  }
+
+  // Return a copy of walletData with secret fields replaced by an encrypted envelope
+  async encryptWallet (walletData, password) {
+    try {
+      if (this.isEncrypted(walletData)) {
+        throw new ValidationError('Wallet is already encrypted')
+      }
+
+      const secrets = {}
+      const publicWallet = { ...walletData.wallet }
+      for (const field of SECRET_FIELDS) {
+        if (publicWallet[field] !== undefined) {
+          secrets[field] = publicWallet[field]
+          delete publicWallet[field]
+        }
+      }
+
+      const salt = this.crypto.randomBytes(16)
+      const iv = this.crypto.randomBytes(12)
+      const key = await this.deriveKey(password, salt)
+
+      const cipher = this.crypto.createCipheriv('aes-256-gcm', key, iv)
+      const ciphertext = Buffer.concat([
+        cipher.update(JSON.stringify(secrets), 'utf8'),
+        cipher.final()
+      ])
+
+      return {
+        ...walletData,
+        wallet: publicWallet,
+        encryption: {
+          version: 1,
+          kdf: 'scrypt',
+          kdfParams: { ...KDF_PARAMS, salt: salt.toString('hex') },
+          cipher: 'aes-256-gcm',
+          iv: iv.toString('hex'),
+          authTag: cipher.getAuthTag().toString('hex'),
+          ciphertext: ciphertext.toString('hex')
+        }
+      }
+    } catch (err) {
+      throw wrapError(err, 'Failed to encrypt wallet')
+    }
+  }
+
+  // Return a copy of walletData with the secret fields restored in plaintext
+  async decryptWallet (walletData, password) {
+    if (!this.isEncrypted(walletData)) {
+      throw new ValidationError('Wallet is not encrypted')
+    }
+
+    const { encryption } = walletData
+    if (encryption.kdf !== 'scrypt' || encryption.cipher !== 'aes-256-gcm') {
+      throw new Error(`Unsupported wallet encryption: ${encryption.kdf}/${encryption.cipher}`)
+    }
+
+    const { salt, ...params } = encryption.kdfParams
+    const key = await this.deriveKey(password, Buffer.from(salt, 'hex'), params)
+
+    let secrets
+    try {
+      const decipher = this.crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(encryption.iv, 'hex'))
+      decipher.setAuthTag(Buffer.from(encryption.authTag, 'hex'))
+      const plaintext = Buffer.concat([
+        decipher.update(Buffer.from(encryption.ciphertext, 'hex')),
+        decipher.final()
+      ])
+      secrets = JSON.parse(plaintext.toString('utf8'))
+    } catch (err) {
+      throw new ValidationError('Incorrect wallet password')
+    }
+
+    const { encryption: _removed, ...plainData } = walletData
+
+    return {
+      ...plainData,
+      wallet: { ...secrets, ...walletData.wallet }
+    }
+  }
+}
+
+export default WalletCrypto
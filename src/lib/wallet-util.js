@@ -3,35 +3,171 @@
 */
 
 // Global npm libraries
+import MinimalXecWallet from 'minimal-xec-wallet'
 import { promises as fs } from 'fs'
 import { readFile } from 'fs/promises'
+import os from 'os'
 import path from 'path'
 import { fileURLToPath } from 'url'
 
+// Local libraries
+import WalletCrypto from './wallet-crypto.js'
+import Prompt from './prompt.js'
+import config from './config.js'
+import { ValidationError, WalletNotFoundError, wrapError } from './errors.js'
+
 // Get current directory
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = path.dirname(__filename)
 
+// Wallets used to live inside the install folder; they are migrated out once
+const LEGACY_WALLETS_DIR = path.join(__dirname, '../../.wallets')
+
+// Written next to the default wallet directory once the legacy wallets moved
+const LEGACY_MIGRATION_MARKER = '.legacy-wallets-migrated'
+
+// Default eCash derivation path (coin type 899), used by wallets that store none
+export const DEFAULT_HD_PATH = "m/44'/899'/0'/0/0"
+
+// Fee rate in sats per byte when neither --fee-rate nor XEC_WALLET_FEE_RATE
+// is set. It matches the wallet library default.
+export const DEFAULT_FEE_RATE = 1.2
+
+// Nodes do not relay transactions paying less than 1 sat per byte, and a rate
+// above the maximum is almost certainly a typo
+const MIN_FEE_RATE = 1
+const MAX_FEE_RATE = 50
+
 class WalletUtil {
   constructor () {
     // Encapsulate dependencies
     this.fs = fs
+    this.MinimalXecWallet = MinimalXecWallet
+    this.walletCrypto = new WalletCrypto()
+    this.prompt = new Prompt()
+    this.config = config
 
     // Bind 'this' object to all subfunctions
     this.saveWallet = this.saveWallet.bind(this)
     this.loadWallet = this.loadWallet.bind(this)
+    this.readWalletFile = this.readWalletFile.bind(this)
+    this.getPassword = this.getPassword.bind(this)
+    this.getNewPassword = this.getNewPassword.bind(this)
+    this.isEncrypted = this.isEncrypted.bind(this)
     this.getWalletPath = this.getWalletPath.bind(this)
+    this.getWalletsDir = this.getWalletsDir.bind(this)
+    this.getDefaultWalletsDir = this.getDefaultWalletsDir.bind(this)
+    this.migrateLegacyWallets = this.migrateLegacyWallets.bind(this)
     this.walletExists = this.walletExists.bind(this)
     this.listWallets = this.listWallets.bind(this)
+    this.createXecWallet = this.createXecWallet.bind(this)
+    this.getFeeRate = this.getFeeRate.bind(this)
+    this.parseFeeRate = this.parseFeeRate.bind(this)
+    this.getUtxoState = this.getUtxoState.bind(this)
+    this.isWatchOnly = this.isWatchOnly.bind(this)
+    this.getHdAddresses = this.getHdAddresses.bind(this)
+    this.assertCanSpend = this.assertCanSpend.bind(this)
   }
 
   // Get the full path for a wallet file
   getWalletPath (walletName) {
     if (!walletName || typeof walletName !== 'string') {
-      throw new Error('Wallet name is required and must be a string')
+      throw new ValidationError('Wallet name is required and must be a string')
     }
     
-    return path.join(__dirname, '../../.wallets', `${walletName}.json`)
+    return path.join(this.getWalletsDir(), `${walletName}.json`)
+  }
+
+  // Get the wallet directory from --wallet-dir, XEC_WALLET_DIR or the XDG data directory
+  getWalletsDir () {
+    if (this.config.walletDir) {
+      return path.resolve(this.config.walletDir)
+    }
+
+    if (process.env.XEC_WALLET_DIR) {
+      return path.resolve(process.env.XEC_WALLET_DIR)
+    }
+
+    return this.getDefaultWalletsDir()
+  }
+
+  // The wallet directory used when neither --wallet-dir nor XEC_WALLET_DIR is set
+  getDefaultWalletsDir () {
+    const dataHome = process.env.XDG_DATA_HOME || path.join(os.homedir(), '.local', 'share')
+    return path.join(dataHome, 'xec-wallet', 'wallets')
+  }
+
+  // Move wallet files out of the legacy install-folder .wallets directory
+  // into the default wallet directory. A --wallet-dir or XEC_WALLET_DIR
+  // chosen for one command never receives them. Files that already exist in
+  // the target directory are left in place, and a marker file next to the
+  // wallet directory records that the migration ran, so it is only tried once.
+  async migrateLegacyWallets () {
+    if (this.config.walletDir || process.env.XEC_WALLET_DIR) {
+      return []
+    }
+
+    const walletsDir = this.getDefaultWalletsDir()
+    const markerPath = path.join(path.dirname(walletsDir), LEGACY_MIGRATION_MARKER)
+    if (path.resolve(LEGACY_WALLETS_DIR) === walletsDir) {
+      return []
+    }
+
+    let files
+    try {
+      files = (await this.fs.readdir(LEGACY_WALLETS_DIR)).filter(file => file.endsWith('.json'))
+    } catch (err) {
+      // No legacy directory, nothing to migrate
+      return []
+    }
+
+    try {
+      await this.fs.access(markerPath)
+      return []
+    } catch (err) {
+      // Not migrated yet
+    }
+
+    await this.fs.mkdir(walletsDir, { recursive: true })
+
+    const moved = []
+    for (const file of files) {
+      const from = path.join(LEGACY_WALLETS_DIR, file)
+      const to = path.join(walletsDir, file)
+
+      try {
+        await this.fs.access(to)
+        console.warn(`Warning: Not migrating ${from}, ${to} already exists`)
+        continue
+      } catch (err) {
+        // Target is free
+      }
+
+      try {
+        await this.fs.rename(from, to)
+      } catch (err) {
+        // rename fails across filesystems, so fall back to copy and delete
+        await this.fs.copyFile(from, to)
+        await this.fs.chmod(to, 0o600)
+        await this.fs.unlink(from)
+      }
+      moved.push(file)
+    }
+
+    if (moved.length > 0) {
+      console.warn(`Moved ${moved.length} wallet file(s) from ${LEGACY_WALLETS_DIR} to ${walletsDir}`)
+    }
+
+    await this.fs.writeFile(markerPath, `${new Date().toISOString()}\n`)
+
+    // Remove the legacy directory once it is empty
+    try {
+      await this.fs.rmdir(LEGACY_WALLETS_DIR)
+    } catch (err) {
+      // Not empty (skipped files), keep it
+    }
+
+    return moved
   }
 
   // Check if a wallet file exists
@@ -49,40 +185,56 @@ class WalletUtil {
   async saveWallet (walletName, walletData) {
     try {
       if (!walletName || typeof walletName !== 'string') {
-        throw new Error('Wallet name is required and must be a string')
+        throw new ValidationError('Wallet name is required and must be a string')
       }
 
       if (!walletData || typeof walletData !== 'object') {
-        throw new Error('Wallet data is required and must be an object')
+        throw new ValidationError('Wallet data is required and must be an object')
       }
 
       const walletPath = this.getWalletPath(walletName)
       
-      // Ensure .wallets directory exists
+      // Ensure wallet directory exists
       const walletsDir = path.dirname(walletPath)
       await this.fs.mkdir(walletsDir, { recursive: true })
 
-      // Save wallet data
-      await this.fs.writeFile(walletPath, JSON.stringify(walletData, null, 2))
+      // Save wallet data, readable by the owner only
+      await this.fs.writeFile(walletPath, JSON.stringify(walletData, null, 2), { mode: 0o600 })
       
       return true
     } catch (err) {
-      throw new Error(`Failed to save wallet: ${err.message}`)
+      throw wrapError(err, 'Failed to save wallet')
     }
   }
 
-  // Load wallet data from JSON file
+  // Load wallet data from JSON file, decrypting the secrets if needed
   async loadWallet (walletName) {
+    const walletData = await this.readWalletFile(walletName)
+
+    if (!this.isEncrypted(walletData)) {
+      return walletData
+    }
+
+    try {
+      const password = await this.getPassword(walletName)
+      return await this.walletCrypto.decryptWallet(walletData, password)
+    } catch (err) {
+      throw wrapError(err, 'Failed to load wallet')
+    }
+  }
+
+  // Read wallet file as stored on disk, without decrypting anything
+  async readWalletFile (walletName) {
     try {
       if (!walletName || typeof walletName !== 'string') {
-        throw new Error('Wallet name is required and must be a string')
+        throw new ValidationError('Wallet name is required and must be a string')
       }
 
       const walletPath = this.getWalletPath(walletName)
       
       // Check if wallet exists
       if (!(await this.walletExists(walletName))) {
-        throw new Error(`Wallet '${walletName}' not found`)
+        throw new WalletNotFoundError(`Wallet '${walletName}' not found`)
       }
 
       // Load and parse wallet file
@@ -94,16 +246,64 @@ class WalletUtil {
       if (err.message.includes('not found')) {
         throw err
       }
-      throw new Error(`Failed to load wallet: ${err.message}`)
+      throw wrapError(err, 'Failed to load wallet')
     }
   }
 
+  // Check if a loaded wallet file has encrypted secrets
+  isEncrypted (walletData) {
+    return this.walletCrypto.isEncrypted(walletData)
+  }
+
+  // Get the wallet password from --password, XEC_WALLET_PASSWORD or stdin
+  async getPassword (walletName) {
+    if (this.config.password) {
+      return this.config.password
+    }
+
+    if (process.env.XEC_WALLET_PASSWORD) {
+      return process.env.XEC_WALLET_PASSWORD
+    }
+
+    const password = await this.prompt.askHidden(`Password for wallet '${walletName}': `)
+    if (!password) {
+      throw new ValidationError('A password is required to unlock this wallet')
+    }
+
+    return password
+  }
+
+  // Get a password for encrypting a wallet, asking twice when prompting
+  async getNewPassword (walletName) {
+    if (this.config.password) {
+      return this.config.password
+    }
+
+    if (process.env.XEC_WALLET_PASSWORD) {
+      return process.env.XEC_WALLET_PASSWORD
+    }
+
+    const password = await this.prompt.askHidden(`New password for wallet '${walletName}': `)
+    if (!password) {
+      throw new ValidationError('Password cannot be empty')
+    }
+
+    if (process.stdin.isTTY) {
+      const confirmation = await this.prompt.askHidden('Repeat password: ')
+      if (confirmation !== password) {
+        throw new ValidationError('Passwords do not match')
+      }
+    }
+
+    return password
+  }
+
   // List all available wallets
   async listWallets () {
     try {
-      const walletsDir = path.join(__dirname, '../../.wallets')
+      const walletsDir = this.getWalletsDir()
       
-      // Check if .wallets directory exists
+      // Check if wallet directory exists
       try {
         await this.fs.access(walletsDir)
       } catch (err) {
@@ -122,13 +322,15 @@ class WalletUtil {
       for (const file of walletFiles) {
         try {
           const walletName = path.basename(file, '.json')
-          const walletData = await this.loadWallet(walletName)
+          const walletData = await this.readWalletFile(walletName)
           
           wallets.push({
             name: walletName,
             description: walletData.description || '',
             xecAddress: walletData.wallet?.xecAddress || 'Unknown',
-            created: walletData.created || 'Unknown'
+            created: walletData.created || 'Unknown',
+            encrypted: this.isEncrypted(walletData),
+            watchOnly: this.isWatchOnly(walletData)
           })
         } catch (err) {
           // Skip corrupted wallet files
@@ -138,9 +340,112 @@ class WalletUtil {
       
       return wallets
     } catch (err) {
-      throw new Error(`Failed to list wallets: ${err.message}`)
+      throw wrapError(err, 'Failed to list wallets')
     }
   }
+
+  // Create a MinimalXecWallet instance from stored wallet data.
+  // Wallets imported with a BIP39 passphrase are opened from their derived
+  // private key, since the passphrase itself is never stored.
+  createXecWallet (walletData, advancedOptions = {}) {
+    if (!walletData || !walletData.wallet) {
+      throw new Error('Wallet data is required')
+    }
+
+    const { mnemonic, privateKey, hdPath, bip39Passphrase, xecAddress } = walletData.wallet
+    const options = { fee: this.getFeeRate(), ...advancedOptions }
+
+    let xecWallet
+    if (this.isWatchOnly(walletData)) {
+      // No keys are stored, so let the library generate throwaway keys and
+      // point every address lookup at the watched address instead
+      xecWallet = new this.MinimalXecWallet(undefined, options)
+      xecWallet.walletInfoPromise = xecWallet.walletInfoPromise.then(() => {
+        xecWallet.walletInfo = {
+          mnemonic: null,
+          privateKey: null,
+          publicKey: null,
+          xecAddress,
+          hdPath: null,
+          watchOnly: true
+        }
+        return xecWallet.walletInfo
+      })
+    } else if (bip39Passphrase) {
+      xecWallet = new this.MinimalXecWallet(privateKey, options)
+    } else {
+      if (hdPath) {
+        options.hdPath = hdPath
+      }
+      xecWallet = new this.MinimalXecWallet(mnemonic, options)
+    }
+
+    // The library passes its fee rate to sends but not to UTXO consolidation
+    if (xecWallet.consolidateUtxos) {
+      xecWallet.consolidateUtxos.defaultSatsPerByte = xecWallet.fee
+    }
+
+    // Frozen UTXOs and labels travel with the wallet, so coin selection
+    // anywhere can leave the frozen ones alone
+    xecWallet.utxoState = this.getUtxoState(walletData)
+
+    return xecWallet
+  }
+
+  // Get the fee rate in sats per byte from --fee-rate, XEC_WALLET_FEE_RATE or the default
+  getFeeRate () {
+    if (this.config.feeRate) {
+      return this.config.feeRate
+    }
+
+    if (process.env.XEC_WALLET_FEE_RATE) {
+      return this.parseFeeRate(process.env.XEC_WALLET_FEE_RATE, 'XEC_WALLET_FEE_RATE')
+    }
+
+    return DEFAULT_FEE_RATE
+  }
+
+  // Parse a fee rate in sats per byte, refusing rates outside the sanity bounds
+  parseFeeRate (value, source = '--fee-rate') {
+    const str = String(value).trim()
+    const feeRate = Number(str)
+    if (!/^\d+(\.\d+)?$/.test(str) || !Number.isFinite(feeRate)) {
+      throw new ValidationError(`Invalid ${source} '${str}'. Use a number of sats per byte, like 1.2.`)
+    }
+
+    if (feeRate < MIN_FEE_RATE || feeRate > MAX_FEE_RATE) {
+      throw new ValidationError(`${source} must be between ${MIN_FEE_RATE} and ${MAX_FEE_RATE} sats per byte, got ${str}.`)
+    }
+
+    return feeRate
+  }
+
+  // Per-UTXO state saved in the wallet file, keyed by outpoint (txid:outIdx):
+  // { frozen: true, label: 'rent' }
+  getUtxoState (walletData) {
+    return (walletData && walletData.utxoState) || {}
+  }
+
+  // Check if wallet data describes a watch-only wallet (address or xpub, no keys)
+  isWatchOnly (walletData) {
+    return Boolean(walletData && walletData.wallet && walletData.wallet.watchOnly)
+  }
+
+  // The HD addresses ({ path, address }) found by the xpub scan of a
+  // watch-only wallet, or an empty list for every other wallet
+  getHdAddresses (walletData) {
+    const hdAddresses = walletData && walletData.wallet && walletData.wallet.hdAddresses
+    return Array.isArray(hdAddresses) ? hdAddresses : []
+  }
+
+  // Throw a clear error when a command that signs transactions gets a watch-only wallet
+  assertCanSpend (walletName, walletData) {
+    if (this.isWatchOnly(walletData)) {
+      throw new ValidationError(`Wallet '${walletName}' is watch-only and cannot sign transactions`)
+    }
+
+    return true
+  }
 }
 
-export default WalletUtil
\ No newline at end of file
+export default WalletUtil
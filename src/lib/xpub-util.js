@@ -0,0 +1,135 @@
+/*
+  Extended public key (xpub) helpers for watch-only HD wallets.
+  Derives receive and change addresses without any private key material.
+*/
+
+// Global npm libraries
+import crypto from 'crypto'
+import { HdNode, Address } from 'ecash-lib'
+
+// Local libraries
+import { ValidationError } from './errors.js'
+
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz'
+
+// BIP32 version bytes for mainnet extended keys
+const XPUB_VERSION = 0x0488b21e
+const XPRV_VERSION = 0x0488ade4
+
+// Number of consecutive unused addresses that ends a scan (BIP44 gap limit)
+const DEFAULT_GAP_LIMIT = 20
+
+class XpubUtil {
+  constructor () {
+    // Encapsulate dependencies
+    this.crypto = crypto
+    this.HdNode = HdNode
+    this.Address = Address
+
+    // Bind 'this' object to all subfunctions
+    this.decodeBase58Check = this.decodeBase58Check.bind(this)
+    this.parseXpub = this.parseXpub.bind(this)
+    this.deriveAddress = this.deriveAddress.bind(this)
+    this.scanAddresses = this.scanAddresses.bind(this)
+  }
+
+  // Decode a Base58Check string and verify its checksum
+  decodeBase58Check (str) {
+    let num = 0n
+    for (const char of str) {
+      const value = BASE58_ALPHABET.indexOf(char)
+      if (value === -1) {
+        throw new Error(`Invalid Base58 character '${char}'`)
+      }
+      num = num * 58n + BigInt(value)
+    }
+
+    let hex = num.toString(16)
+    if (hex.length % 2) hex = `0${hex}`
+    const leadingZeros = str.length - str.replace(/^1+/, '').length
+    const bytes = Buffer.concat([Buffer.alloc(leadingZeros), Buffer.from(num === 0n ? '' : hex, 'hex')])
+
+    const payload = bytes.subarray(0, -4)
+    const checksum = bytes.subarray(-4)
+    const hash = this.crypto.createHash('sha256').update(
+      this.crypto.createHash('sha256').update(payload).digest()
+    ).digest()
+
+    if (!hash.subarray(0, 4).equals(checksum)) {
+      throw new Error('Invalid Base58 checksum')
+    }
+
+    return payload
+  }
+
+  // Parse a serialized xpub into an HdNode that can derive public children
+  parseXpub (xpub) {
+    try {
+      if (!xpub || typeof xpub !== 'string') {
+        throw new Error('Extended public key must be a non-empty string')
+      }
+
+      const data = this.decodeBase58Check(xpub.trim())
+      if (data.length !== 78) {
+        throw new Error('Extended key must be 78 bytes long')
+      }
+
+      const version = data.readUInt32BE(0)
+      if (version === XPRV_VERSION) {
+        throw new Error('This is a private extended key (xprv). Use the matching xpub instead.')
+      }
+      if (version !== XPUB_VERSION) {
+        throw new Error('Only mainnet xpub keys are supported')
+      }
+
+      const pubkey = data.subarray(45, 78)
+      if (pubkey[0] !== 0x02 && pubkey[0] !== 0x03) {
+        throw new Error('Extended key does not contain a compressed public key')
+      }
+
+      return new this.HdNode({
+        seckey: undefined,
+        pubkey: new Uint8Array(pubkey),
+        chainCode: new Uint8Array(data.subarray(13, 45)),
+        depth: data[4],
+        index: data.readUInt32BE(9),
+        parentFingerprint: data.readUInt32BE(5)
+      })
+    } catch (err) {
+      throw new ValidationError(`Invalid xpub: ${err.message}`)
+    }
+  }
+
+  // Derive the eCash address at <chain>/<index> below the xpub (chain 0 = receive, 1 = change)
+  deriveAddress (xpub, chain, index) {
+    const node = this.parseXpub(xpub).derive(chain).derive(index)
+    return this.Address.p2pkh(node.pkh()).toString()
+  }
+
+  // Walk the receive and change chains until gapLimit unused addresses in a row.
+  // isUsed is an async callback that tells whether an address has any history.
+  async scanAddresses (xpub, isUsed, gapLimit = DEFAULT_GAP_LIMIT) {
+    const account = this.parseXpub(xpub)
+    const addresses = []
+
+    for (const chain of [0, 1]) {
+      const chainNode = account.derive(chain)
+      let unused = 0
+
+      for (let index = 0; unused < gapLimit; index++) {
+        const address = this.Address.p2pkh(chainNode.derive(index).pkh()).toString()
+
+        if (await isUsed(address)) {
+          addresses.push({ path: `${chain}/${index}`, address })
+          unused = 0
+        } else {
+          unused++
+        }
+      }
+    }
+
+    return addresses
+  }
+}
+
+export default XpubUtil
@@ -6,37 +6,117 @@
 */
 
 // Global npm libraries
-import { Command } from 'commander'
+import { Command, InvalidArgumentError } from 'commander'
 
 // Local libraries
 import WalletCreate from './src/commands/wallet-create.js'
+import WalletImport from './src/commands/wallet-import.js'
+import WalletWatch from './src/commands/wallet-watch.js'
 import WalletList from './src/commands/wallet-list.js'
 import WalletAddrs from './src/commands/wallet-addrs.js'
 import WalletBalance from './src/commands/wallet-balance.js'
+import UtxoList from './src/commands/utxo-list.js'
+import UtxoFreeze from './src/commands/utxo-freeze.js'
+import UtxoUnfreeze from './src/commands/utxo-unfreeze.js'
+import UtxoLabel from './src/commands/utxo-label.js'
 import SendXec from './src/commands/send-xec.js'
 import WalletSweep from './src/commands/wallet-sweep.js'
 import ETokenInfo from './src/commands/etoken-info.js'
 import ETokenTxHistory from './src/commands/etoken-tx-history.js'
+import XecTxHistory from './src/commands/xec-tx-history.js'
+import ExportHistory from './src/commands/export-history.js'
 import SendETokens from './src/commands/send-etokens.js'
+import ETokenCreate from './src/commands/etoken-create.js'
+import ETokenMint from './src/commands/etoken-mint.js'
+import ETokenBurn from './src/commands/etoken-burn.js'
+import NftCreateGroup from './src/commands/nft-create-group.js'
+import NftSplitGroup from './src/commands/nft-split-group.js'
+import NftMint from './src/commands/nft-mint.js'
+import NftSend from './src/commands/nft-send.js'
 import WalletOptimize from './src/commands/wallet-optimize.js'
+import WalletEncrypt from './src/commands/wallet-encrypt.js'
+import WalletDecrypt from './src/commands/wallet-decrypt.js'
+import CacheClear from './src/commands/cache-clear.js'
+import WalletUtil from './src/lib/wallet-util.js'
+import config from './src/lib/config.js'
+import { EXIT_CODES, classifyError } from './src/lib/errors.js'
 
 // Instantiate the subcommands
 const walletCreate = new WalletCreate()
+const walletImport = new WalletImport()
+const walletWatch = new WalletWatch()
 const walletList = new WalletList()
 const walletAddrs = new WalletAddrs()
 const walletBalance = new WalletBalance()
+const utxoList = new UtxoList()
+const utxoFreeze = new UtxoFreeze()
+const utxoUnfreeze = new UtxoUnfreeze()
+const utxoLabel = new UtxoLabel()
 const sendXec = new SendXec()
 const walletSweep = new WalletSweep()
 const etokenInfo = new ETokenInfo()
 const etokenTxHistory = new ETokenTxHistory()
+const xecTxHistory = new XecTxHistory()
+const exportHistory = new ExportHistory()
 const sendETokens = new SendETokens()
+const etokenCreate = new ETokenCreate()
+const etokenMint = new ETokenMint()
+const etokenBurn = new ETokenBurn()
+const nftCreateGroup = new NftCreateGroup()
+const nftSplitGroup = new NftSplitGroup()
+const nftMint = new NftMint()
+const nftSend = new NftSend()
 const walletOptimize = new WalletOptimize()
+const walletEncrypt = new WalletEncrypt()
+const walletDecrypt = new WalletDecrypt()
+const cacheClear = new CacheClear()
 const program = new Command()
 
+// Report a bad --fee-rate as a usage error
+function parseFeeRate (value) {
+  try {
+    return new WalletUtil().parseFeeRate(value)
+  } catch (err) {
+    throw new InvalidArgumentError(err.message)
+  }
+}
+
+// Collect the values of an option that can be given more than once
+function collect (value, previous = []) {
+  return previous.concat([value])
+}
+
 program
   .name('xec-wallet')
   .description('A command-line eCash (XEC) wallet using minimal-xec-wallet.')
   .version('1.0.1')
+  .option('--password <string>', 'password for encrypted wallets (or set XEC_WALLET_PASSWORD)')
+  .option('--wallet-dir <path>', 'directory holding wallet files (or set XEC_WALLET_DIR)')
+  .option('--json', 'print a single JSON document instead of human-readable text')
+  .option('--no-cache', 'do not read or write the on-disk token and transaction cache')
+  .option('--fee-rate <sats>', 'fee rate in sats per byte for new transactions (or set XEC_WALLET_FEE_RATE)', parseFeeRate)
+
+// Unknown commands, missing arguments and bad options are validation errors.
+// Help and version output keep exit code 0.
+program.exitOverride((err) => {
+  if (err.exitCode !== 0) {
+    process.exit(EXIT_CODES.VALIDATION_ERROR)
+  }
+})
+
+// Copy global options into the shared runtime config before any command runs,
+// then move wallets out of the legacy install-folder location
+program.hook('preAction', async (thisCommand, actionCommand) => {
+  const globalOpts = program.opts()
+  config.password = globalOpts.password || null
+  config.walletDir = globalOpts.walletDir || null
+  config.json = Boolean(globalOpts.json)
+  config.noCache = globalOpts.cache === false
+  config.feeRate = globalOpts.feeRate || null
+  config.command = actionCommand.name()
+
+  await new WalletUtil().migrateLegacyWallets()
+})
 
 // Define the wallet-create command
 program
@@ -44,8 +124,47 @@ program
   .description('Create a new XEC wallet with name (-n <name>) and description (-d)')
   .option('-n, --name <string>', 'wallet name')
   .option('-d, --description <string>', 'wallet description')
+  .option('-e, --encrypt', 'encrypt the mnemonic and keys with a password')
   .action(walletCreate.run)
 
+// Define the wallet-import command
+program
+  .command('wallet-import')
+  .description('Restore a wallet from an existing 12/24-word mnemonic')
+  .option('-n, --name <string>', 'wallet name')
+  .option('-d, --description <string>', 'wallet description')
+  .option('-f, --mnemonic-file <path>', 'read the mnemonic from a file instead of prompting')
+  .option('-p, --passphrase', 'prompt for an optional BIP39 passphrase')
+  .option('--hd-path <path>', 'custom derivation path (default: m/44\'/899\'/0\'/0/0)')
+  .option('-e, --encrypt', 'encrypt the mnemonic and keys with a password')
+  .action(walletImport.run)
+
+// Define the wallet-watch command
+program
+  .command('wallet-watch')
+  .description('Create a watch-only wallet from an address (-a) or an xpub (-x)')
+  .option('-n, --name <string>', 'wallet name')
+  .option('-d, --description <string>', 'wallet description')
+  .option('-a, --addr <string>', 'eCash address to watch')
+  .option('-x, --xpub <string>', 'extended public key to scan for HD addresses')
+  .option('--gap <number>', 'unused addresses in a row that end an xpub scan (default: 20)')
+  .option('--rescan', 'rescan the xpub of an existing watch-only wallet')
+  .action(walletWatch.run)
+
+// Define the wallet-encrypt command
+program
+  .command('wallet-encrypt')
+  .description('Encrypt an existing wallet file with a password')
+  .option('-n, --name <string>', 'wallet name')
+  .action(walletEncrypt.run)
+
+// Define the wallet-decrypt command
+program
+  .command('wallet-decrypt')
+  .description('Remove password encryption from a wallet file')
+  .option('-n, --name <string>', 'wallet name')
+  .action(walletDecrypt.run)
+
 // Define the wallet-list command
 program
   .command('wallet-list')
@@ -61,6 +180,11 @@ program
   .option('--xec', 'show only XEC address (default)')
   .option('--wif', 'show WIF private key for sweeping')
   .option('--index <number>', 'show additional HD address at index')
+  .option('--amount <amount>', 'payment request amount in XEC, or in tokens with -t')
+  .option('--label <text>', 'payment request label, e.g. a shop or invoice name')
+  .option('--message <text>', 'payment request message')
+  .option('-t, --tokenId <string>', 'request a token payment instead of XEC')
+  .option('--save <file>', 'save the QR code as a .png or .svg image')
   .action(walletAddrs.run)
 
 // Define the wallet-balance command
@@ -70,6 +194,40 @@ program
   .option('-n, --name <string>', 'wallet name')
   .action(walletBalance.run)
 
+// Define the utxo-list command
+program
+  .command('utxo-list')
+  .description('List the wallet UTXOs with their outpoints, frozen state and labels')
+  .option('-n, --name <string>', 'wallet name')
+  .action(utxoList.run)
+
+// Define the utxo-freeze command
+program
+  .command('utxo-freeze')
+  .description('Freeze UTXOs so automatic coin selection never spends them')
+  .option('-n, --name <string>', 'wallet name')
+  .option('-u, --utxo <txid:outIdx>', 'UTXO to freeze (repeat for more)', collect)
+  .option('-l, --label <string>', 'label the frozen UTXOs, e.g. what they are set aside for')
+  .action(utxoFreeze.run)
+
+// Define the utxo-unfreeze command
+program
+  .command('utxo-unfreeze')
+  .description('Unfreeze UTXOs so they can be spent again')
+  .option('-n, --name <string>', 'wallet name')
+  .option('-u, --utxo <txid:outIdx>', 'UTXO to unfreeze (repeat for more)', collect)
+  .action(utxoUnfreeze.run)
+
+// Define the utxo-label command
+program
+  .command('utxo-label')
+  .description('Set or clear a free-text label on UTXOs')
+  .option('-n, --name <string>', 'wallet name')
+  .option('-u, --utxo <txid:outIdx>', 'UTXO to label (repeat for more)', collect)
+  .option('-l, --label <string>', 'label text')
+  .option('--clear', 'remove the label')
+  .action(utxoLabel.run)
+
 // Define the send-xec command
 program
   .command('send-xec')
@@ -77,6 +235,13 @@ program
   .option('-n, --name <string>', 'wallet name sending XEC')
   .option('-a, --addr <string>', 'address to send XEC to')
   .option('-q, --qty <string>', 'the quantity of XEC to send')
+  .option('-b, --batch <file>', 'pay many recipients from a CSV (address,amount[,label]) or JSON file')
+  .option('--results <file>', 'where to write the batch results (default: <batch>.results.<ext>)')
+  .option('--uri <uri>', 'pay an ecash: payment request URI (address, amount and label)')
+  .option('-y, --yes', 'broadcast without asking for confirmation')
+  .option('--dry-run', 'show the transaction preview without broadcasting it')
+  .option('--utxo <txid:outIdx>', 'spend exactly this UTXO (repeat for more)', collect)
+  .option('--exclude-utxo <txid:outIdx>', 'never spend this UTXO (repeat for more)', collect)
   .action(sendXec.run)
 
 // Define the wallet-sweep command
@@ -87,6 +252,8 @@ program
   .option('-n, --name <string>', 'destination wallet name to sweep funds to')
   .option('-b, --balance-only', 'only check balance, do not sweep')
   .option('-q, --qty <string>', 'specific amount to send (optional, default: sweep all)')
+  .option('-y, --yes', 'broadcast without asking for confirmation')
+  .option('--dry-run', 'show the transaction preview without broadcasting it')
   .action(walletSweep.run)
 
 // Define the etoken-info command
@@ -105,6 +272,30 @@ program
   .option('-n, --name <string>', 'wallet name')
   .action(etokenTxHistory.run)
 
+// Define the xec-tx-history command
+program
+  .command('xec-tx-history')
+  .description('List XEC transactions of a wallet with amounts, fees and status')
+  .option('-n, --name <string>', 'wallet name')
+  .option('--page <number>', 'page to show, starting at 1', '1')
+  .option('--limit <number>', 'transactions per page (max 200)', '10')
+  .option('--from <date>', 'only transactions on or after this date (YYYY-MM-DD)')
+  .option('--to <date>', 'only transactions on or before this date (YYYY-MM-DD)')
+  .option('--min-amount <xec>', 'only transactions moving at least this much XEC')
+  .option('--max-amount <xec>', 'only transactions moving at most this much XEC')
+  .action(xecTxHistory.run)
+
+// Define the export-history command
+program
+  .command('export-history')
+  .description('Export XEC and token movements of a wallet to a CSV, JSON or OFX ledger file')
+  .option('-n, --name <string>', 'wallet name')
+  .option('-f, --format <format>', 'file format: csv, json or ofx', 'csv')
+  .option('-o, --output <file>', 'file to write (default: <name>-history.<format>)')
+  .option('--from <date>', 'only transactions on or after this date (YYYY-MM-DD)')
+  .option('--to <date>', 'only transactions on or before this date (YYYY-MM-DD)')
+  .action(exportHistory.run)
+
 // Define the send-etokens command
 program
   .command('send-etokens')
@@ -113,8 +304,96 @@ program
   .option('-t, --tokenId <string>', 'Token ID to send')
   .option('-a, --addr <string>', 'destination address to send eTokens to')
   .option('-q, --qty <string>', 'quantity of eTokens to send')
+  .option('-b, --batch <file>', 'airdrop to many recipients from a CSV (address,amount[,label]) or JSON file')
+  .option('--results <file>', 'where to write the batch results (default: <batch>.results.<ext>)')
+  .option('--uri <uri>', 'pay an ecash: payment request URI (address, amount and label)')
+  .option('-y, --yes', 'broadcast without asking for confirmation')
+  .option('--dry-run', 'show the transaction preview without broadcasting it')
+  .option('--utxo <txid:outIdx>', 'spend exactly this token or XEC UTXO (repeat for more)', collect)
+  .option('--exclude-utxo <txid:outIdx>', 'never spend this UTXO (repeat for more)', collect)
   .action(sendETokens.run)
 
+// Define the etoken-create command
+program
+  .command('etoken-create')
+  .description('Create a new SLP or ALP token (GENESIS transaction)')
+  .option('-n, --name <string>', 'wallet name paying for and receiving the new token')
+  .option('--ticker <string>', 'token ticker symbol')
+  .option('--token-name <string>', 'token name')
+  .option('--url <string>', 'document URL (e.g. a website)')
+  .option('--hash <string>', 'sha256 hash of the token document, 64 hex chars (SLP only)')
+  .option('-d, --decimals <number>', 'number of decimal places, 0-9', '0')
+  .option('-q, --qty <string>', 'initial quantity minted to the wallet')
+  .option('-p, --protocol <string>', 'token protocol: slp (type 1) or alp', 'slp')
+  .option('--mint-baton', 'create a mint baton so more tokens can be minted later')
+  .action(etokenCreate.run)
+
+// Define the etoken-mint command
+program
+  .command('etoken-mint')
+  .description('Mint more of an eToken using a mint baton held by the wallet')
+  .option('-n, --name <string>', 'wallet name holding the mint baton')
+  .option('-t, --tokenId <string>', 'Token ID to mint')
+  .option('-q, --qty <string>', 'quantity of new tokens to mint')
+  .option('-a, --addr <string>', 'address receiving the new tokens (default: this wallet)')
+  .option('--baton-to <string>', 'pass the mint baton to another address (default: keep it)')
+  .option('--burn-baton', 'destroy the mint baton, fixing the supply for good')
+  .action(etokenMint.run)
+
+// Define the etoken-burn command
+program
+  .command('etoken-burn')
+  .description('Permanently destroy an exact quantity of an eToken')
+  .option('-n, --name <string>', 'wallet name holding the tokens')
+  .option('-t, --tokenId <string>', 'Token ID to burn')
+  .option('-q, --qty <string>', 'quantity of tokens to burn')
+  .option('-a, --addr <string>', 'not accepted: burning has no recipient (use send-etokens)')
+  .option('-y, --yes', 'skip the confirmation prompt')
+  .action(etokenBurn.run)
+
+// Define the nft-create-group command
+program
+  .command('nft-create-group')
+  .description('Create an SLP NFT1 group token (an NFT collection)')
+  .option('-n, --name <string>', 'wallet name paying for and receiving the group tokens')
+  .option('--ticker <string>', 'collection ticker symbol')
+  .option('--token-name <string>', 'collection name')
+  .option('--url <string>', 'document URL (e.g. the collection website)')
+  .option('--hash <string>', 'sha256 hash of the collection document, 64 hex chars')
+  .option('-q, --qty <string>', 'number of group tokens, i.e. how many NFTs can be minted')
+  .option('--mint-baton', 'create a mint baton so the collection can grow later')
+  .action(nftCreateGroup.run)
+
+// Define the nft-split-group command
+program
+  .command('nft-split-group')
+  .description('Split NFT1 group tokens into single-token UTXOs, ready for minting NFTs')
+  .option('-n, --name <string>', 'wallet name holding the group tokens')
+  .option('-t, --tokenId <string>', 'group token ID')
+  .option('-c, --count <number>', 'number of single group tokens to create (1-18)')
+  .action(nftSplitGroup.run)
+
+// Define the nft-mint command
+program
+  .command('nft-mint')
+  .description('Mint a child NFT from an NFT1 group')
+  .option('-n, --name <string>', 'wallet name holding the group tokens')
+  .option('-g, --group <string>', 'group token ID of the collection')
+  .option('--ticker <string>', 'NFT ticker symbol')
+  .option('--token-name <string>', 'NFT name')
+  .option('--url <string>', 'document URL (e.g. the image or metadata)')
+  .option('--hash <string>', 'sha256 hash of the NFT document, 64 hex chars')
+  .action(nftMint.run)
+
+// Define the nft-send command
+program
+  .command('nft-send')
+  .description('Send a child NFT to an address')
+  .option('-n, --name <string>', 'wallet name holding the NFT')
+  .option('-t, --tokenId <string>', 'NFT token ID')
+  .option('-a, --addr <string>', 'destination address')
+  .action(nftSend.run)
+
 // Define the wallet-optimize command
 program
   .command('wallet-optimize')
@@ -123,16 +402,22 @@ program
   .option('--dry-run', 'show optimization plan without executing transactions')
   .action(walletOptimize.run)
 
+// Define the cache-clear command
+program
+  .command('cache-clear')
+  .description('Delete the cached token and transaction data (wallet files are kept)')
+  .action(cacheClear.run)
+
 // Handle unhandled promise rejections
 process.on('unhandledRejection', (err) => {
   console.error('Unhandled error:', err.message)
-  process.exit(1)
+  process.exit(classifyError(err).exitCode)
 })
 
 // Handle uncaught exceptions
 process.on('uncaughtException', (err) => {
   console.error('Uncaught exception:', err.message)
-  process.exit(1)
+  process.exit(classifyError(err).exitCode)
 })
 
 program.parseAsync(process.argv)